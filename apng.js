@@ -0,0 +1,248 @@
+// Animated PNG helpers. libvips only sees the default image of an APNG, so frames are
+// split into standalone PNGs for decoding and stitched back together when encoding.
+// Pixel work (decoding frames, compositing) is left to the caller.
+
+const { PNG_SIGNATURE, createPngChunk } = require('./image-metadata');
+
+// Chunks that describe the animation or pixel data and are never copied verbatim
+const FRAME_CHUNKS = new Set(['IHDR', 'acTL', 'fcTL', 'IDAT', 'fdAT', 'IEND']);
+
+const DISPOSE_NONE = 0;
+const DISPOSE_BACKGROUND = 1;
+const DISPOSE_PREVIOUS = 2;
+const BLEND_SOURCE = 0;
+
+function readChunks(buffer) {
+  if (buffer.length < 8 || !buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+    throw new Error('Not a PNG file');
+  }
+  const chunks = [];
+  let offset = 8;
+  while (offset + 12 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    const end = offset + 12 + length;
+    if (end > buffer.length) {
+      throw new Error(`Truncated PNG chunk: ${type}`);
+    }
+    chunks.push({ type, data: buffer.subarray(offset + 8, offset + 8 + length) });
+    offset = end;
+    if (type === 'IEND') break;
+  }
+  return chunks;
+}
+
+/**
+ * Check for an acTL chunk before the first IDAT.
+ * @param {Buffer} buffer
+ * @returns {boolean}
+ */
+function isApng(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 8 || !buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+    return false;
+  }
+  let offset = 8;
+  while (offset + 8 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    if (type === 'acTL') return true;
+    if (type === 'IDAT' || type === 'IEND') return false;
+    offset += 12 + length;
+  }
+  return false;
+}
+
+function frameDelay(numerator, denominator) {
+  return Math.round((numerator * 1000) / (denominator || 100));
+}
+
+/**
+ * Split an APNG into standalone PNG images, one per animation frame.
+ * @param {Buffer} buffer
+ * @returns {{width: number, height: number, loop: number, frames: Array<{png: Buffer, x: number, y: number, width: number, height: number, delay: number, dispose: number, blend: number}>}}
+ */
+function splitApng(buffer) {
+  const chunks = readChunks(buffer);
+  const ihdr = chunks.find(chunk => chunk.type === 'IHDR');
+  const actl = chunks.find(chunk => chunk.type === 'acTL');
+  if (!ihdr || !actl) {
+    throw new Error('Not an animated PNG');
+  }
+
+  const firstIdat = chunks.findIndex(chunk => chunk.type === 'IDAT');
+  const shared = chunks
+    .slice(0, firstIdat === -1 ? chunks.length : firstIdat)
+    .filter(chunk => !FRAME_CHUNKS.has(chunk.type));
+
+  const frames = [];
+  let current = null;
+  chunks.forEach(chunk => {
+    if (chunk.type === 'fcTL') {
+      const data = chunk.data;
+      current = {
+        width: data.readUInt32BE(4),
+        height: data.readUInt32BE(8),
+        x: data.readUInt32BE(12),
+        y: data.readUInt32BE(16),
+        delay: frameDelay(data.readUInt16BE(20), data.readUInt16BE(22)),
+        dispose: data[24],
+        blend: data[25],
+        data: []
+      };
+      frames.push(current);
+    } else if (chunk.type === 'IDAT' && current) {
+      // The default image only belongs to the animation when an fcTL precedes it
+      current.data.push(chunk.data);
+    } else if (chunk.type === 'fdAT' && current) {
+      current.data.push(chunk.data.subarray(4));
+    }
+  });
+
+  const width = ihdr.data.readUInt32BE(0);
+  const height = ihdr.data.readUInt32BE(4);
+  return {
+    width,
+    height,
+    loop: actl.data.readUInt32BE(4),
+    frames: frames
+      .filter(frame => frame.data.length > 0)
+      .map(frame => {
+        const header = Buffer.from(ihdr.data);
+        header.writeUInt32BE(frame.width, 0);
+        header.writeUInt32BE(frame.height, 4);
+        const png = Buffer.concat([
+          PNG_SIGNATURE,
+          createPngChunk('IHDR', header),
+          ...shared.map(chunk => createPngChunk(chunk.type, chunk.data)),
+          ...frame.data.map(data => createPngChunk('IDAT', data)),
+          createPngChunk('IEND', Buffer.alloc(0))
+        ]);
+        return {
+          png,
+          x: frame.x,
+          y: frame.y,
+          width: frame.width,
+          height: frame.height,
+          delay: frame.delay,
+          dispose: frame.dispose,
+          blend: frame.blend
+        };
+      })
+  };
+}
+
+/**
+ * Render split APNG frames onto full-size canvases, applying dispose and blend ops.
+ * @param {{width: number, height: number, frames: Array}} animation - From splitApng
+ * @param {Buffer[]} framePixels - RGBA pixels for each frame's own region
+ * @returns {Buffer[]} Full-canvas RGBA pixels for every frame
+ */
+function composeApngFrames(animation, framePixels) {
+  const { width, height } = animation;
+  const canvas = Buffer.alloc(width * height * 4);
+  const rendered = [];
+
+  animation.frames.forEach((frame, index) => {
+    const pixels = framePixels[index];
+    const dispose = index === 0 && frame.dispose === DISPOSE_PREVIOUS ? DISPOSE_BACKGROUND : frame.dispose;
+    const saved = dispose === DISPOSE_PREVIOUS ? Buffer.from(canvas) : null;
+
+    for (let y = 0; y < frame.height && frame.y + y < height; y++) {
+      for (let x = 0; x < frame.width && frame.x + x < width; x++) {
+        const src = (y * frame.width + x) * 4;
+        const dst = ((frame.y + y) * width + frame.x + x) * 4;
+        const alpha = pixels[src + 3];
+        if (frame.blend === BLEND_SOURCE || alpha === 255) {
+          pixels.copy(canvas, dst, src, src + 4);
+        } else if (alpha > 0) {
+          // Porter-Duff "over" on straight (non-premultiplied) alpha
+          const srcA = alpha / 255;
+          const dstA = canvas[dst + 3] / 255;
+          const outA = srcA + dstA * (1 - srcA);
+          for (let c = 0; c < 3; c++) {
+            canvas[dst + c] = Math.round((pixels[src + c] * srcA + canvas[dst + c] * dstA * (1 - srcA)) / outA);
+          }
+          canvas[dst + 3] = Math.round(outA * 255);
+        }
+      }
+    }
+
+    rendered.push(Buffer.from(canvas));
+
+    if (dispose === DISPOSE_BACKGROUND) {
+      for (let y = frame.y; y < Math.min(height, frame.y + frame.height); y++) {
+        canvas.fill(0, (y * width + frame.x) * 4, (y * width + Math.min(width, frame.x + frame.width)) * 4);
+      }
+    } else if (saved) {
+      saved.copy(canvas);
+    }
+  });
+
+  return rendered;
+}
+
+/**
+ * Stitch same-sized PNG images into an APNG.
+ * Frames must share a color type, so palette PNGs are not supported.
+ * @param {Buffer[]} pngFrames
+ * @param {{delay?: number[], loop?: number}} [options] - Delays in milliseconds, loop 0 = forever
+ * @returns {Buffer}
+ */
+function assembleApng(pngFrames, options = {}) {
+  if (!Array.isArray(pngFrames) || pngFrames.length === 0) {
+    throw new Error('No frames to assemble');
+  }
+  const parsed = pngFrames.map(readChunks);
+  const first = parsed[0];
+  const ihdr = first.find(chunk => chunk.type === 'IHDR');
+  const firstIdat = first.findIndex(chunk => chunk.type === 'IDAT');
+  const shared = first
+    .slice(0, firstIdat)
+    .filter(chunk => !FRAME_CHUNKS.has(chunk.type));
+  const delays = options.delay || [];
+
+  const actl = Buffer.alloc(8);
+  actl.writeUInt32BE(pngFrames.length, 0);
+  actl.writeUInt32BE(options.loop || 0, 4);
+
+  const output = [PNG_SIGNATURE, createPngChunk('IHDR', ihdr.data), createPngChunk('acTL', actl)];
+  shared.forEach(chunk => output.push(createPngChunk(chunk.type, chunk.data)));
+
+  let sequence = 0;
+  parsed.forEach((chunks, index) => {
+    const header = chunks.find(chunk => chunk.type === 'IHDR');
+    if (!header.data.equals(ihdr.data)) {
+      throw new Error('APNG frames must share size and color type');
+    }
+
+    const fctl = Buffer.alloc(26);
+    fctl.writeUInt32BE(sequence++, 0);
+    fctl.writeUInt32BE(ihdr.data.readUInt32BE(0), 4);
+    fctl.writeUInt32BE(ihdr.data.readUInt32BE(4), 8);
+    fctl.writeUInt16BE(Math.min(65535, Math.max(0, Math.round(delays[index] ?? 100))), 20);
+    fctl.writeUInt16BE(1000, 22);
+    fctl[24] = DISPOSE_NONE;
+    fctl[25] = BLEND_SOURCE;
+    output.push(createPngChunk('fcTL', fctl));
+
+    chunks.filter(chunk => chunk.type === 'IDAT').forEach(chunk => {
+      if (index === 0) {
+        output.push(createPngChunk('IDAT', chunk.data));
+      } else {
+        const seq = Buffer.alloc(4);
+        seq.writeUInt32BE(sequence++, 0);
+        output.push(createPngChunk('fdAT', Buffer.concat([seq, chunk.data])));
+      }
+    });
+  });
+
+  output.push(createPngChunk('IEND', Buffer.alloc(0)));
+  return Buffer.concat(output);
+}
+
+module.exports = {
+  isApng,
+  splitApng,
+  composeApngFrames,
+  assembleApng
+};
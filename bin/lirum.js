@@ -0,0 +1,36 @@
+#!/usr/bin/env node
+// Launch the app's headless converter from a terminal or build script:
+//   lirum convert in.heic --to webp --quality 80 --out dist/
+// The conversion engine runs inside Electron so native modules match the app build.
+
+const { spawn } = require('child_process');
+const path = require('path');
+
+// Electron is a development dependency, so a plain install of the package does not bring it
+let electronPath;
+try {
+  electronPath = require('electron');
+} catch (err) {
+  console.error('lirum: Electron is not installed, so the converter cannot start.');
+  console.error('Run "npm install" in the app folder to install it, then use "npx lirum convert" or "npm run convert".');
+  process.exit(1);
+}
+const appDir = path.join(__dirname, '..');
+
+const child = spawn(electronPath, [appDir, ...process.argv.slice(2)], {
+  stdio: 'inherit',
+  windowsHide: true
+});
+
+child.on('error', (err) => {
+  console.error('lirum: failed to start Electron:', err.message);
+  process.exit(1);
+});
+
+child.on('exit', (code, signal) => {
+  if (signal) {
+    process.kill(process.pid, signal);
+    return;
+  }
+  process.exit(code === null ? 1 : code);
+});
@@ -0,0 +1,210 @@
+// Camera RAW helpers. libvips has no RAW loader, so files are developed with LibRaw's
+// dcraw_emu (or the original dcraw) when one is on the PATH, using the camera's white
+// balance and the default auto-brightness. Without either tool, or for cameras the tool
+// does not know, the largest embedded JPEG preview is used instead.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { runTool, withTempDir } = require('./external-tool');
+const { readExifOrientation, insertJpegExifSegment } = require('./image-metadata');
+
+const RAW_EXTENSIONS = ['dng', 'cr2', 'cr3', 'nef', 'arw'];
+const DEVELOP_TOOLS = ['dcraw_emu', 'dcraw'];
+// -w camera white balance, -6 16-bit output (gamma corrected), -T TIFF instead of PPM
+const DEVELOP_ARGS = ['-w', '-6', '-T'];
+
+const JPEG_SOI = Buffer.from([0xff, 0xd8, 0xff]);
+// Baseline, extended and progressive Huffman frames; lossless JPEG (SOF3) is the sensor data
+// itself in CR2 and DNG files, and the other frame types are not previews
+const PREVIEW_FRAME_MARKERS = [0xc0, 0xc1, 0xc2];
+const OTHER_FRAME_MARKERS = [0xc3, 0xc5, 0xc6, 0xc7, 0xc9, 0xca, 0xcb, 0xcd, 0xce, 0xcf];
+
+// Developing a RAW file takes seconds, and the preview, info queries and the encoder all
+// decode the same file, so the last result is kept
+let lastDecode = null;
+
+function rawExtension(fileName) {
+  const extension = fileName ? path.extname(fileName).toLowerCase().slice(1) : '';
+  return RAW_EXTENSIONS.includes(extension) ? extension : null;
+}
+
+function isCr3(buffer) {
+  return buffer.length >= 12 && buffer.toString('latin1', 4, 12) === 'ftypcrx ';
+}
+
+function isCameraRaw(buffer, fileName) {
+  if (rawExtension(fileName)) return true;
+  if (!buffer || buffer.length < 12) return false;
+  // CR3 is an ISO base media file with a 'crx ' brand; CR2 marks its TIFF header with 'CR'
+  if (isCr3(buffer)) return true;
+  return buffer.toString('latin1', 0, 4) === 'II*\0' && buffer.toString('latin1', 8, 10) === 'CR';
+}
+
+// Develop with the first tool found; null when none is installed
+function developRaw(buffer, extension) {
+  return withTempDir('lirum-raw-', async directory => {
+    const inputPath = path.join(directory, `input.${extension}`);
+    fs.writeFileSync(inputPath, buffer);
+    for (const tool of DEVELOP_TOOLS) {
+      try {
+        await runTool(tool, [...DEVELOP_ARGS, inputPath]);
+      } catch (err) {
+        if (err.code === 'ENOENT') continue;
+        throw err;
+      }
+      // dcraw replaces the extension with .tiff, dcraw_emu appends it
+      const output = fs.readdirSync(directory).find(name => name.endsWith('.tiff'));
+      if (!output) {
+        throw new Error(`${tool} did not write an image`);
+      }
+      return fs.readFileSync(path.join(directory, output));
+    }
+    return null;
+  });
+}
+
+// Skip entropy-coded data up to the next marker that is not a stuffed byte or a restart
+function skipEntropyData(buffer, offset) {
+  let position = buffer.indexOf(0xff, offset);
+  while (position !== -1 && position + 1 < buffer.length) {
+    const next = buffer[position + 1];
+    if (next === 0xff) {
+      position++;
+    } else if (next === 0x00 || (next >= 0xd0 && next <= 0xd7)) {
+      position = buffer.indexOf(0xff, position + 2);
+    } else {
+      return position;
+    }
+  }
+  return buffer.length;
+}
+
+// Walk the JPEG segments starting at an SOI; null when they do not form a usable preview
+function readJpegAt(buffer, start) {
+  let offset = start + 2;
+  let frame = null;
+  let hasExif = false;
+  while (offset + 4 <= buffer.length) {
+    if (buffer[offset] !== 0xff) return null;
+    const marker = buffer[offset + 1];
+    if (marker === 0xff) {
+      offset++;
+      continue;
+    }
+    if (marker === 0xd9) {
+      return frame ? { start, end: offset + 2, pixels: frame.width * frame.height, hasExif } : null;
+    }
+    const length = buffer.readUInt16BE(offset + 2);
+    if (length < 2) return null;
+    if (PREVIEW_FRAME_MARKERS.includes(marker)) {
+      if (offset + 9 > buffer.length) return null;
+      frame = { height: buffer.readUInt16BE(offset + 5), width: buffer.readUInt16BE(offset + 7) };
+    } else if (OTHER_FRAME_MARKERS.includes(marker)) {
+      return null;
+    } else if (marker === 0xe1 && buffer.toString('latin1', offset + 4, offset + 10) === 'Exif\0\0') {
+      hasExif = true;
+    }
+    offset += 2 + length;
+    if (marker === 0xda) {
+      if (!frame) return null;
+      offset = skipEntropyData(buffer, offset);
+    }
+  }
+  return null;
+}
+
+/**
+ * Find the embedded JPEG with the most pixels. Every RAW format here stores at least one
+ * (usually full size), so the file is scanned for JPEG streams instead of parsing each
+ * maker's container.
+ * @returns {{start: number, end: number, pixels: number, hasExif: boolean}|null}
+ */
+function findPreviewJpeg(buffer) {
+  let best = null;
+  let offset = buffer.indexOf(JPEG_SOI);
+  while (offset !== -1) {
+    const preview = readJpegAt(buffer, offset);
+    if (preview && (!best || preview.pixels > best.pixels)) {
+      best = preview;
+    }
+    offset = buffer.indexOf(JPEG_SOI, preview ? preview.end : offset + 2);
+  }
+  return best;
+}
+
+// IFD0 of TIFF-based RAW files, or the CMT1 box of CR3, holds the camera orientation
+function readRawOrientation(buffer) {
+  if (isCr3(buffer)) {
+    const box = buffer.indexOf('CMT1', 0, 'latin1');
+    return box === -1 ? 1 : readExifOrientation(buffer.subarray(box + 4));
+  }
+  return readExifOrientation(buffer);
+}
+
+function createOrientationExif(orientation) {
+  const exif = Buffer.alloc(26);
+  exif.write('MM\0*', 0, 'latin1');
+  exif.writeUInt32BE(8, 4);
+  exif.writeUInt16BE(1, 8);
+  exif.writeUInt16BE(0x0112, 10);
+  exif.writeUInt16BE(3, 12);
+  exif.writeUInt32BE(1, 14);
+  exif.writeUInt16BE(orientation, 18);
+  return exif;
+}
+
+/**
+ * Return the embedded preview JPEG, tagged with the camera orientation when the preview
+ * carries no EXIF of its own.
+ * @returns {Buffer|null}
+ */
+function extractPreviewJpeg(buffer) {
+  const preview = findPreviewJpeg(buffer);
+  if (!preview) return null;
+  const jpeg = buffer.subarray(preview.start, preview.end);
+  const orientation = readRawOrientation(buffer);
+  if (preview.hasExif || orientation === 1) return jpeg;
+  return insertJpegExifSegment(jpeg, createOrientationExif(orientation));
+}
+
+/**
+ * Decode a RAW file to an image sharp can read: a 16-bit TIFF developed by dcraw_emu/dcraw,
+ * or the embedded preview JPEG.
+ * @param {Buffer} buffer
+ * @param {string} [fileName] used for the file extension the tools expect
+ * @returns {Promise<Buffer>}
+ */
+async function decodeCameraRaw(buffer, fileName) {
+  const key = crypto.createHash('sha1').update(buffer).digest('hex');
+  if (lastDecode && lastDecode.key === key) {
+    return lastDecode.image;
+  }
+
+  const extension = rawExtension(fileName) || (isCr3(buffer) ? 'cr3' : 'cr2');
+  let image = null;
+  let developError = null;
+  try {
+    image = await developRaw(buffer, extension);
+  } catch (err) {
+    developError = err;
+  }
+  if (!image) {
+    image = extractPreviewJpeg(buffer);
+  }
+  if (!image) {
+    throw new Error(developError
+      ? `${developError.message}, and the file has no embedded JPEG preview`
+      : 'This RAW file has no embedded JPEG preview; install LibRaw (dcraw_emu) or dcraw to develop it');
+  }
+
+  lastDecode = { key, image };
+  return image;
+}
+
+module.exports = {
+  RAW_EXTENSIONS,
+  isCameraRaw,
+  extractPreviewJpeg,
+  decodeCameraRaw
+};
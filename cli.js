@@ -0,0 +1,643 @@
+// Headless command-line mode. main.js hands over the conversion engine when the app is
+// started as `lirum convert ...`, so scripted conversions use exactly the same encoder
+// as the window without creating one. Results are printed to stdout as JSON.
+
+const path = require('path');
+const fs = require('fs');
+
+const EXIT_CODES = {
+  OK: 0,
+  CONVERSION_FAILED: 1,
+  INVALID_INPUT: 2,
+  UNSUPPORTED_FORMAT: 3,
+  WRITE_FAILED: 4
+};
+
+const USAGE = `Usage: lirum convert <files|folders|globs...> --to <format> [options]
+
+Options:
+  --to, -t <format>       Output format: jpeg, png, webp, avif, heic, jxl, gif, bmp, tiff,
+                          ico, icns, pdf
+  --quality, -q <1-100>   Quality for JPEG, WebP, AVIF, HEIC, JPEG XL and the JPEG pages
+                          of PDF output (default 90)
+  --out, -o <folder>      Output folder (default: next to each input file)
+  --resize <mode:value>   fit:WxH, exact:WxH, cover:WxH, percent:N (or N%), long-edge:N
+  --kernel <name>         Resampling kernel: nearest, linear, cubic, mitchell, lanczos2, lanczos3
+  --metadata <policy>     keep, no-gps, icc-only or strip (default strip)
+  --orientation <mode>    bake (default) rotates pixels upright; tag keeps the stored
+                          pixels and writes the EXIF orientation tag instead
+  --color <profile>       keep (default) the source color profile, convert to srgb or p3,
+                          or convert to the .icc/.icm file at the given path
+  --max-size <size>       Search quality to stay under a size such as 200KB or 1.5MB
+                          (JPEG, WebP, AVIF and HEIC)
+  --allow-downscale       With --max-size, shrink the image when quality alone is not enough
+  --sizes <list>          Icon sizes for ico (16-256) or icns (16-1024), such as 16,32,48,256
+  --page-size <size>      PDF page size: a4 (default), letter, or fit to the image
+  --margin <mm>           PDF page margin in millimetres (default 10)
+  --dpi <n>               Render SVG and PDF inputs at this resolution (default 150; 96 is
+                          an SVG's own pixel size)
+  --render-width <px>     Render SVG and PDF inputs at this width instead of a DPI; PDF
+                          inputs use their first page
+  --lossless-jpeg         With --to jxl, repack JPEG inputs losslessly; converting the .jxl
+                          back with --to jpeg --metadata keep restores the original file.
+                          Implies --metadata keep and cannot be combined with --resize or
+                          --color; other inputs are encoded normally
+  --animation <mode>      animate (default; GIF, WebP and PNG/APNG output), first-frame,
+                          or frames to write every frame as numbered stills
+  --recursive, -r         Include images in subfolders of folder inputs
+  --help, -h              Show this help
+
+Exit codes: 0 success, 1 conversion failed, 2 invalid input,
+3 unsupported format, 4 write failure.`;
+
+class CliError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'CliError';
+    this.code = code;
+  }
+}
+
+// The app name is passed through when launched as `electron . convert`
+function isCliInvocation(args) {
+  return Array.isArray(args) && args[0] === 'convert';
+}
+
+function parseCliArgs(args) {
+  const options = {
+    inputs: [],
+    to: null,
+    quality: null,
+    out: null,
+    resize: null,
+    kernel: null,
+    metadata: null,
+    orientation: null,
+    color: null,
+    maxSize: null,
+    allowDownscale: false,
+    sizes: null,
+    pageSize: null,
+    margin: null,
+    dpi: null,
+    renderWidth: null,
+    losslessJpeg: false,
+    animation: null,
+    recursive: false,
+    help: false
+  };
+
+  const takeValue = (flag, index) => {
+    const value = args[index + 1];
+    if (value === undefined || value.startsWith('--')) {
+      throw new CliError(`Missing value for ${flag}`, 'INVALID_INPUT');
+    }
+    return value;
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    let arg = args[i];
+    let inlineValue = null;
+    const equals = arg.startsWith('--') ? arg.indexOf('=') : -1;
+    if (equals !== -1) {
+      inlineValue = arg.slice(equals + 1);
+      arg = arg.slice(0, equals);
+    }
+    const value = () => {
+      if (inlineValue !== null) return inlineValue;
+      const next = takeValue(arg, i);
+      i += 1;
+      return next;
+    };
+
+    switch (arg) {
+      case '--to':
+      case '-t':
+        options.to = value();
+        break;
+      case '--quality':
+      case '-q':
+        options.quality = value();
+        break;
+      case '--out':
+      case '-o':
+        options.out = value();
+        break;
+      case '--resize':
+        options.resize = value();
+        break;
+      case '--kernel':
+        options.kernel = value();
+        break;
+      case '--metadata':
+        options.metadata = value();
+        break;
+      case '--orientation':
+        options.orientation = value();
+        break;
+      case '--color':
+        options.color = value();
+        break;
+      case '--max-size':
+        options.maxSize = value();
+        break;
+      case '--allow-downscale':
+        options.allowDownscale = true;
+        break;
+      case '--sizes':
+        options.sizes = value();
+        break;
+      case '--page-size':
+        options.pageSize = value();
+        break;
+      case '--margin':
+        options.margin = value();
+        break;
+      case '--dpi':
+        options.dpi = value();
+        break;
+      case '--render-width':
+        options.renderWidth = value();
+        break;
+      case '--lossless-jpeg':
+        options.losslessJpeg = true;
+        break;
+      case '--animation':
+        options.animation = value();
+        break;
+      case '--recursive':
+      case '-r':
+        options.recursive = true;
+        break;
+      case '--help':
+      case '-h':
+        options.help = true;
+        break;
+      default:
+        if (arg.startsWith('-') && arg !== '-') {
+          throw new CliError(`Unknown option: ${arg}`, 'INVALID_INPUT');
+        }
+        options.inputs.push(arg);
+    }
+  }
+
+  return options;
+}
+
+// Turn "fit:1920x1080", "percent:50", "50%" or "long-edge:2048" into a resize setting
+function parseResizeSpec(spec, kernel) {
+  if (!spec) return null;
+  const value = String(spec).trim().toLowerCase();
+  if (value === 'none') return null;
+
+  const percentShorthand = value.match(/^(\d+(?:\.\d+)?)%$/);
+  const [mode, argument = ''] = percentShorthand
+    ? ['percent', percentShorthand[1]]
+    : value.split(':');
+
+  const resize = { mode, kernel: kernel || undefined };
+  if (mode === 'percent') {
+    resize.percent = argument.replace(/%$/, '');
+  } else if (mode === 'long-edge') {
+    resize.longEdge = argument;
+  } else if (['fit', 'exact', 'cover'].includes(mode)) {
+    const size = argument.match(/^(\d*)x(\d*)$/);
+    if (!size) {
+      throw new CliError(`Resize "${spec}" needs a size such as ${mode}:1920x1080`, 'INVALID_INPUT');
+    }
+    resize.width = size[1];
+    resize.height = size[2];
+  } else {
+    throw new CliError(`Unknown resize mode: ${mode}`, 'INVALID_INPUT');
+  }
+  return resize;
+}
+
+// Parse "200KB", "1.5MB" or a plain byte count
+function parseByteSize(value) {
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*(b|kb|k|mb|m)?$/i);
+  if (!match) {
+    throw new CliError(`Invalid size: ${value}`, 'INVALID_INPUT');
+  }
+  const unit = (match[2] || 'b').toLowerCase();
+  const multiplier = unit.startsWith('m') ? 1024 * 1024 : unit.startsWith('k') ? 1024 : 1;
+  return Math.round(parseFloat(match[1]) * multiplier);
+}
+
+function hasGlobPattern(value) {
+  return /[*?[]/.test(value);
+}
+
+function globToRegExp(pattern) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*') {
+      source += '[^/\\\\]*';
+    } else if (char === '?') {
+      source += '[^/\\\\]';
+    } else if (char === '[') {
+      const end = pattern.indexOf(']', i + 1);
+      if (end === -1) {
+        source += '\\[';
+      } else {
+        source += `[${pattern.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\')}]`;
+        i = end;
+      }
+    } else {
+      source += char.replace(/[.+^${}()|\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`, process.platform === 'win32' ? 'i' : '');
+}
+
+// Expand a glob such as "photos/**/*.heic" for shells that pass patterns through
+// unexpanded (Windows, or quoted arguments). "**" matches any number of folders.
+function expandGlob(pattern) {
+  const normalized = pattern.replace(/\\/g, '/');
+  const segments = normalized.split('/');
+  const firstGlob = segments.findIndex(hasGlobPattern);
+  const base = segments.slice(0, firstGlob).join('/') || (normalized.startsWith('/') ? '/' : '.');
+  const matches = [];
+
+  const walk = (directory, remaining) => {
+    if (remaining.length === 0) {
+      matches.push(directory);
+      return;
+    }
+    const [segment, ...rest] = remaining;
+    let entries;
+    try {
+      entries = fs.readdirSync(directory, { withFileTypes: true });
+    } catch {
+      return;
+    }
+
+    if (segment === '**') {
+      walk(directory, rest);
+      entries
+        .filter(entry => entry.isDirectory() && !entry.name.startsWith('.'))
+        .forEach(entry => walk(path.join(directory, entry.name), remaining));
+      return;
+    }
+
+    if (!hasGlobPattern(segment)) {
+      const next = path.join(directory, segment);
+      if (fs.existsSync(next)) walk(next, rest);
+      return;
+    }
+
+    const matcher = globToRegExp(segment);
+    entries
+      .filter(entry => !entry.name.startsWith('.') && matcher.test(entry.name))
+      .filter(entry => rest.length === 0 || entry.isDirectory())
+      .sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }))
+      .forEach(entry => walk(path.join(directory, entry.name), rest));
+  };
+
+  walk(base, segments.slice(firstGlob));
+  return matches;
+}
+
+function resolveInputs(inputs, recursive, engine) {
+  const paths = [];
+  for (const input of inputs) {
+    if (fs.existsSync(input)) {
+      paths.push(path.resolve(input));
+    } else if (hasGlobPattern(input)) {
+      const matches = expandGlob(input);
+      if (matches.length === 0) {
+        throw new CliError(`No files match ${input}`, 'INVALID_INPUT');
+      }
+      paths.push(...matches.map(match => path.resolve(match)));
+    } else {
+      throw new CliError(`Input not found: ${input}`, 'INVALID_INPUT');
+    }
+  }
+
+  const files = engine.collectImageFiles(paths, recursive);
+  if (files.length === 0) {
+    throw new CliError('No supported images found in the given inputs', 'INVALID_INPUT');
+  }
+  return files;
+}
+
+async function convertFile(inputPath, settings, engine) {
+  const source = await engine.loadSourceImage(inputPath, settings.rasterize);
+  if (!source) {
+    throw new CliError(`Cannot decode ${path.basename(inputPath)}`, 'UNSUPPORTED_FORMAT');
+  }
+
+  const sourceMetadata = settings.metadata !== 'strip'
+    ? {
+      exif: source.metadata.exif || null,
+      icc: source.metadata.icc || null,
+      xmp: source.metadata.xmp || null
+    }
+    : null;
+
+  const encodeOptions = {
+    resize: settings.resize,
+    metadata: settings.metadata,
+    sourceMetadata,
+    orientation: settings.orientation,
+    color: settings.color,
+    encoder: settings.encoder,
+    native: true,
+    sourceFile: source.file
+  };
+  const outputDirectory = settings.outputDirectory || path.dirname(inputPath);
+  const baseName = path.basename(inputPath, path.extname(inputPath));
+
+  let animation = null;
+  let outputBuffer;
+  let quality = settings.quality;
+  try {
+    animation = settings.animation !== 'first-frame'
+      ? await engine.openAnimation(source.buffer, source.metadata)
+      : null;
+
+    if (animation && settings.animation === 'frames') {
+      const frames = await engine.encodeAnimationFrames(
+        animation, source.buffer, settings.format, settings.quality, encodeOptions
+      );
+      const digits = Math.max(3, String(frames.length).length);
+      const outputs = frames.map((buffer, index) => {
+        const frameName = `${baseName}_${String(index + 1).padStart(digits, '0')}.${settings.extension}`;
+        const framePath = engine.uniqueOutputPath(outputDirectory, frameName);
+        writeFile(framePath, buffer);
+        return framePath;
+      });
+      return {
+        output: outputs[0],
+        outputs,
+        frames: frames.length,
+        size: frames.reduce((total, buffer) => total + buffer.length, 0),
+        quality
+      };
+    }
+
+    if (animation && engine.ANIMATED_OUTPUT_FORMATS.includes(settings.format)) {
+      outputBuffer = await engine.encodeAnimation(
+        animation, source.buffer, settings.format, settings.quality, encodeOptions
+      );
+    } else if (settings.maxSize) {
+      const sized = await engine.encodeToTargetSize(source.buffer, settings.format, settings.maxSize, {
+        ...encodeOptions,
+        allowDownscale: settings.allowDownscale
+      });
+      outputBuffer = sized.buffer;
+      quality = sized.quality;
+    } else {
+      outputBuffer = await engine.encodeOutputBuffer(source.buffer, settings.format, settings.quality, encodeOptions);
+    }
+  } catch (err) {
+    throw err instanceof CliError ? err : new CliError(err.message, 'CONVERSION_FAILED');
+  }
+
+  const outputPath = engine.uniqueOutputPath(outputDirectory, `${baseName}.${settings.extension}`);
+  writeFile(outputPath, outputBuffer);
+
+  const animated = animation && engine.ANIMATED_OUTPUT_FORMATS.includes(settings.format);
+  return {
+    output: outputPath,
+    size: outputBuffer.length,
+    quality,
+    frames: animated ? animation.frames : undefined,
+    losslessJpeg: settings.encoder.recompressJpeg && !animated
+      ? engine.repacksJpegLosslessly(settings.format, encodeOptions)
+      : undefined
+  };
+}
+
+function writeFile(outputPath, buffer) {
+  try {
+    fs.writeFileSync(outputPath, buffer);
+  } catch (err) {
+    throw new CliError(`Failed to write ${outputPath}: ${err.message}`, 'WRITE_FAILED');
+  }
+}
+
+function printResult(stdout, result) {
+  stdout.write(`${JSON.stringify(result, null, 2)}\n`);
+}
+
+/**
+ * Run the `convert` command.
+ * @param {string[]} args - Arguments after "convert"
+ * @param {Object} engine - Conversion functions exported by main.js
+ * @param {Object} [streams] - Optional { stdout, stderr } for output
+ * @returns {Promise<number>} Process exit code
+ */
+async function runCli(args, engine, streams = {}) {
+  const stdout = streams.stdout || process.stdout;
+  const stderr = streams.stderr || process.stderr;
+
+  let settings;
+  let files;
+  try {
+    const options = parseCliArgs(args);
+    if (options.help) {
+      stderr.write(`${USAGE}\n`);
+      return EXIT_CODES.OK;
+    }
+    if (options.inputs.length === 0) {
+      throw new CliError('No input files given', 'INVALID_INPUT');
+    }
+    if (!options.to) {
+      throw new CliError('Missing --to <format>', 'INVALID_INPUT');
+    }
+
+    const format = engine.normalizeFormat(options.to);
+    const formatInfo = engine.OUTPUT_FORMATS[format];
+    if (!formatInfo) {
+      throw new CliError(`Unsupported output format: ${options.to}`, 'UNSUPPORTED_FORMAT');
+    }
+
+    let quality = null;
+    if (options.quality !== null) {
+      quality = engine.normalizeQuality(options.quality);
+      if (quality === null) {
+        throw new CliError(`Invalid quality: ${options.quality}`, 'INVALID_INPUT');
+      }
+    }
+
+    let outputDirectory = null;
+    if (options.out) {
+      outputDirectory = path.resolve(options.out);
+      try {
+        fs.mkdirSync(outputDirectory, { recursive: true });
+      } catch (err) {
+        throw new CliError(`Cannot create output folder ${outputDirectory}: ${err.message}`, 'WRITE_FAILED');
+      }
+    }
+
+    const animation = options.animation === null ? 'animate' : String(options.animation).toLowerCase();
+    if (!engine.ANIMATION_MODES.includes(animation)) {
+      throw new CliError(`Unknown animation mode: ${options.animation}`, 'INVALID_INPUT');
+    }
+
+    const orientation = options.orientation === null ? 'bake' : String(options.orientation).toLowerCase();
+    if (!engine.ORIENTATION_MODES.includes(orientation)) {
+      throw new CliError(`Unknown orientation mode: ${options.orientation}`, 'INVALID_INPUT');
+    }
+
+    let maxSize = null;
+    if (options.maxSize !== null) {
+      maxSize = parseByteSize(options.maxSize);
+      if (!engine.TARGET_SIZE_FORMATS.includes(format)) {
+        throw new CliError(`--max-size is not available for ${format.toUpperCase()}`, 'INVALID_INPUT');
+      }
+    }
+
+    if (options.losslessJpeg && format !== 'jxl') {
+      throw new CliError('--lossless-jpeg needs --to jxl', 'INVALID_INPUT');
+    }
+    // The repack copies the JPEG data as-is, so nothing may change the pixels or drop metadata
+    if (options.losslessJpeg) {
+      if (options.resize !== null) {
+        throw new CliError('--lossless-jpeg cannot be combined with --resize', 'INVALID_INPUT');
+      }
+      if (options.color !== null && String(options.color).toLowerCase() !== 'keep') {
+        throw new CliError('--lossless-jpeg cannot be combined with --color', 'INVALID_INPUT');
+      }
+      if (options.metadata !== null && String(options.metadata).toLowerCase() !== 'keep') {
+        throw new CliError('--lossless-jpeg keeps all metadata and cannot be combined with --metadata ' +
+          options.metadata, 'INVALID_INPUT');
+      }
+    }
+    const encoder = options.losslessJpeg ? { recompressJpeg: true } : {};
+    if (options.sizes !== null) {
+      const available = engine.ICON_SIZES[format];
+      if (!available) {
+        throw new CliError('--sizes needs --to ico or --to icns', 'INVALID_INPUT');
+      }
+      String(options.sizes).split(',').forEach(entry => {
+        const size = parseInt(entry, 10);
+        if (!available.includes(size)) {
+          throw new CliError(`Unsupported ${format.toUpperCase()} size: ${entry.trim()} (use ${available.join(', ')})`, 'INVALID_INPUT');
+        }
+        encoder[`size${size}`] = true;
+      });
+    }
+
+    if (options.pageSize !== null || options.margin !== null) {
+      if (format !== 'pdf') {
+        throw new CliError(`${options.pageSize !== null ? '--page-size' : '--margin'} needs --to pdf`, 'INVALID_INPUT');
+      }
+      if (options.pageSize !== null) {
+        encoder.pageSize = String(options.pageSize).toLowerCase();
+        if (!engine.PDF_PAGE_SIZES.includes(encoder.pageSize)) {
+          throw new CliError(`Unknown page size: ${options.pageSize} (use ${engine.PDF_PAGE_SIZES.join(', ')})`, 'INVALID_INPUT');
+        }
+      }
+      if (options.margin !== null) {
+        const margin = Number(options.margin);
+        if (!Number.isInteger(margin) || margin < 0 || margin > engine.MAX_PDF_MARGIN) {
+          throw new CliError(`Invalid margin: ${options.margin} (use 0-${engine.MAX_PDF_MARGIN} mm)`, 'INVALID_INPUT');
+        }
+        encoder.margin = margin;
+      }
+    }
+
+    if (options.dpi !== null && options.renderWidth !== null) {
+      throw new CliError('Use either --dpi or --render-width, not both', 'INVALID_INPUT');
+    }
+    const rasterizeValue = options.renderWidth !== null ? options.renderWidth : options.dpi;
+    if (rasterizeValue !== null && !(parseInt(rasterizeValue, 10) > 0)) {
+      throw new CliError(`Invalid ${options.renderWidth !== null ? 'render width' : 'DPI'}: ${rasterizeValue}`, 'INVALID_INPUT');
+    }
+    const rasterize = engine.normalizeRasterize(options.renderWidth !== null
+      ? { mode: 'width', width: options.renderWidth }
+      : { mode: 'dpi', dpi: options.dpi });
+
+    let resize;
+    let metadata;
+    let color;
+    try {
+      resize = engine.normalizeResize(parseResizeSpec(options.resize, options.kernel));
+      metadata = engine.normalizeMetadataPolicy(options.losslessJpeg ? 'keep' : options.metadata);
+      color = engine.normalizeColorProfile(options.color);
+    } catch (err) {
+      throw err instanceof CliError ? err : new CliError(err.message, 'INVALID_INPUT');
+    }
+
+    settings = {
+      format,
+      extension: formatInfo.extensions[0],
+      quality,
+      resize,
+      metadata,
+      orientation,
+      color,
+      encoder,
+      maxSize,
+      allowDownscale: options.allowDownscale,
+      animation,
+      rasterize,
+      outputDirectory
+    };
+    files = resolveInputs(options.inputs, options.recursive, engine);
+  } catch (err) {
+    const code = err.code in EXIT_CODES ? err.code : 'INVALID_INPUT';
+    printResult(stdout, { success: false, error: err.message, code, results: [] });
+    stderr.write(`lirum: ${err.message}\n`);
+    if (code === 'INVALID_INPUT') {
+      stderr.write('Run "lirum convert --help" for usage.\n');
+    }
+    return EXIT_CODES[code];
+  }
+
+  const results = [];
+  let exitCode = EXIT_CODES.OK;
+  for (const file of files) {
+    const startTime = Date.now();
+    // Files are decoded by content, so a misleading extension is only reported
+    const { warning } = engine.identifyInputFile(file);
+    if (warning) {
+      stderr.write(`lirum: ${file}: ${warning}\n`);
+    }
+    try {
+      const { output, outputs, frames, size, quality, losslessJpeg } = await convertFile(file, settings, engine);
+      results.push({
+        input: file,
+        output,
+        outputs,
+        frames,
+        format: settings.format,
+        size,
+        quality,
+        losslessJpeg,
+        duration: Date.now() - startTime,
+        warning: warning || undefined,
+        success: true
+      });
+    } catch (err) {
+      const code = err.code in EXIT_CODES ? err.code : 'CONVERSION_FAILED';
+      results.push({ input: file, success: false, error: err.message, code });
+      stderr.write(`lirum: ${file}: ${err.message}\n`);
+      // The first failure decides the exit code so scripts see the root cause
+      if (exitCode === EXIT_CODES.OK) {
+        exitCode = EXIT_CODES[code];
+      }
+    }
+  }
+
+  const succeeded = results.filter(result => result.success).length;
+  printResult(stdout, {
+    success: exitCode === EXIT_CODES.OK,
+    format: settings.format,
+    summary: { total: results.length, succeeded, failed: results.length - succeeded },
+    results
+  });
+  return exitCode;
+}
+
+module.exports = {
+  EXIT_CODES,
+  isCliInvocation,
+  parseCliArgs,
+  parseResizeSpec,
+  expandGlob,
+  runCli
+};
@@ -0,0 +1,55 @@
+// Command-line tools that stand in for codecs prebuilt sharp lacks: libjxl's cjxl/djxl,
+// Poppler's pdfinfo/pdftoppm and LibRaw's dcraw_emu (or dcraw). Tools read and write files,
+// so each run works in a temporary folder of its own.
+
+const { execFile } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const TOOL_TIMEOUT = 5 * 60 * 1000;
+const TOOL_MAX_OUTPUT = 16 * 1024 * 1024;
+
+/**
+ * Run a tool and resolve with what it printed.
+ * @param {string} tool
+ * @param {string[]} args
+ * @param {string} [missingMessage] - error when the tool is not on the PATH; without it the
+ *   ENOENT error is passed on, so callers can try another tool
+ * @returns {Promise<string>}
+ */
+function runTool(tool, args, missingMessage) {
+  return new Promise((resolve, reject) => {
+    execFile(tool, args, { timeout: TOOL_TIMEOUT, maxBuffer: TOOL_MAX_OUTPUT }, (err, stdout, stderr) => {
+      if (!err) {
+        resolve(String(stdout));
+        return;
+      }
+      if (err.code === 'ENOENT') {
+        reject(missingMessage ? new Error(missingMessage) : err);
+        return;
+      }
+      const detail = String(stderr || err.message).trim().split('\n').pop();
+      reject(new Error(`${tool} failed: ${detail}`));
+    });
+  });
+}
+
+/**
+ * Run a task in a new temporary folder, which is removed once the task settles.
+ * @param {string} prefix - folder name prefix, such as 'lirum-jxl-'
+ * @param {(directory: string) => Promise<*>} task
+ */
+async function withTempDir(prefix, task) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+  try {
+    return await task(directory);
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+}
+
+module.exports = {
+  runTool,
+  withTempDir
+};
@@ -0,0 +1,153 @@
+// Format detection from a file's first bytes. The renderer routes files to a decoder by
+// what they contain rather than by name or MIME type, so renamed and extensionless files
+// still open, and a name that disagrees with the content is reported.
+
+const path = require('path');
+const { RAW_EXTENSIONS } = require('./camera-raw');
+const { PNG_SIGNATURE } = require('./image-metadata');
+
+// Enough for every signature below, including an SVG root element after an XML prolog
+const SNIFF_LENGTH = 4096;
+
+const FORMAT_NAMES = {
+  jpeg: 'JPEG',
+  png: 'PNG',
+  webp: 'WebP',
+  gif: 'GIF',
+  bmp: 'BMP',
+  tiff: 'TIFF',
+  heic: 'HEIC',
+  avif: 'AVIF',
+  jxl: 'JPEG XL',
+  svg: 'SVG',
+  pdf: 'PDF',
+  raw: 'camera RAW'
+};
+
+const EXTENSION_FORMATS = {
+  jpg: 'jpeg',
+  jpeg: 'jpeg',
+  png: 'png',
+  webp: 'webp',
+  gif: 'gif',
+  bmp: 'bmp',
+  tif: 'tiff',
+  tiff: 'tiff',
+  heic: 'heic',
+  heif: 'heic',
+  avif: 'avif',
+  jxl: 'jxl',
+  svg: 'svg',
+  pdf: 'pdf',
+  ...Object.fromEntries(RAW_EXTENSIONS.map(extension => [extension, 'raw']))
+};
+
+// ISO base media brands; mif1/msf1 are generic HEIF, so the compatible brands decide
+const AVIF_BRANDS = ['avif', 'avis'];
+const HEIC_BRANDS = ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'hevm', 'hevs'];
+const HEIF_BRANDS = ['mif1', 'msf1'];
+const CR3_BRAND = 'crx ';
+
+// BITMAPCOREHEADER, INFOHEADER, V2/V3 INFOHEADER, OS/2 2.x, V4 and V5 header sizes
+const BMP_HEADER_SIZES = [12, 40, 52, 56, 64, 108, 124];
+
+const JXL_CONTAINER_SIGNATURE = [0x00, 0x00, 0x00, 0x0c, 0x4a, 0x58, 0x4c, 0x20, 0x0d, 0x0a, 0x87, 0x0a];
+
+function startsWith(bytes, signature, offset = 0) {
+  if (bytes.length < offset + signature.length) return false;
+  return signature.every((value, index) => bytes[offset + index] === value);
+}
+
+function readAscii(bytes, start, end) {
+  return String.fromCharCode(...bytes.subarray(start, Math.min(end, bytes.length)));
+}
+
+function readUInt32BE(bytes, offset) {
+  return ((bytes[offset] << 24) >>> 0) + (bytes[offset + 1] << 16) + (bytes[offset + 2] << 8) + bytes[offset + 3];
+}
+
+// The ftyp box lists a major brand at 8 and compatible brands from 16 to the end of the box
+function sniffIsoBrands(bytes) {
+  const boxSize = readUInt32BE(bytes, 0);
+  const brands = [readAscii(bytes, 8, 12)];
+  for (let offset = 16; offset + 4 <= Math.min(boxSize, bytes.length); offset += 4) {
+    brands.push(readAscii(bytes, offset, offset + 4));
+  }
+  const [major] = brands;
+  if (major === CR3_BRAND) return 'raw';
+  if (AVIF_BRANDS.includes(major)) return 'avif';
+  if (HEIC_BRANDS.includes(major)) return 'heic';
+  if (brands.some(brand => AVIF_BRANDS.includes(brand))) return 'avif';
+  if (brands.some(brand => HEIC_BRANDS.includes(brand) || HEIF_BRANDS.includes(brand))) return 'heic';
+  return null;
+}
+
+function isSvgText(bytes) {
+  const text = new TextDecoder('utf-8').decode(bytes).replace(/^\uFEFF/, '').trimStart();
+  return text.startsWith('<') && text.includes('<svg');
+}
+
+/**
+ * Identify an image format from the first bytes of a file (SNIFF_LENGTH is enough).
+ * TIFF-based RAW files (DNG, NEF, ARW) read as 'tiff'; only CR2 and CR3 are told apart.
+ * @param {Uint8Array} bytes
+ * @returns {string|null} a FORMAT_NAMES key, or null when no signature matches
+ */
+function sniffFormat(bytes) {
+  if (!bytes || bytes.length < 4) return null;
+
+  if (startsWith(bytes, [0xff, 0xd8, 0xff])) return 'jpeg';
+  if (startsWith(bytes, PNG_SIGNATURE)) return 'png';
+  if (readAscii(bytes, 0, 6) === 'GIF87a' || readAscii(bytes, 0, 6) === 'GIF89a') return 'gif';
+  if (readAscii(bytes, 0, 4) === 'RIFF' && readAscii(bytes, 8, 12) === 'WEBP') return 'webp';
+  if (startsWith(bytes, [0xff, 0x0a]) || startsWith(bytes, JXL_CONTAINER_SIGNATURE)) return 'jxl';
+
+  const tiffMagic = readAscii(bytes, 0, 4);
+  if (tiffMagic === 'II*\0' || tiffMagic === 'MM\0*') {
+    // CR2 marks its TIFF header with 'CR' after the first IFD offset
+    return readAscii(bytes, 8, 10) === 'CR' ? 'raw' : 'tiff';
+  }
+  if (readAscii(bytes, 4, 8) === 'ftyp') {
+    return sniffIsoBrands(bytes);
+  }
+  // 'BM' alone is too weak a signature, so the DIB header size has to be a known one
+  if (readAscii(bytes, 0, 2) === 'BM' && bytes.length >= 18) {
+    const headerSize = bytes[14] | (bytes[15] << 8) | (bytes[16] << 16) | (bytes[17] << 24);
+    if (BMP_HEADER_SIZES.includes(headerSize)) return 'bmp';
+  }
+  // Readers accept a few bytes of junk before the PDF header
+  if (readAscii(bytes, 0, 1024).includes('%PDF-')) return 'pdf';
+  if (isSvgText(bytes)) return 'svg';
+  return null;
+}
+
+function formatFromExtension(fileName) {
+  const extension = fileName ? path.extname(fileName).toLowerCase().slice(1) : '';
+  return EXTENSION_FORMATS[extension] || null;
+}
+
+/**
+ * Decide a file's format from its content, falling back to the extension when the content
+ * has no known signature. A TIFF named like a RAW file is taken as RAW.
+ * @param {Uint8Array} bytes the start of the file
+ * @param {string} [fileName]
+ * @returns {{format: string|null, detected: string|null, expected: string|null, warning: string|null}}
+ *   detected comes from the content, expected from the extension; warning is set when they disagree
+ */
+function identifyFormat(bytes, fileName) {
+  const detected = sniffFormat(bytes);
+  const expected = formatFromExtension(fileName);
+  const format = detected === 'tiff' && expected === 'raw' ? 'raw' : detected || expected;
+  const warning = detected && expected && format !== expected
+    ? `The ${path.extname(fileName).toLowerCase()} extension does not match the content (${FORMAT_NAMES[format]})`
+    : null;
+  return { format, detected, expected, warning };
+}
+
+module.exports = {
+  SNIFF_LENGTH,
+  FORMAT_NAMES,
+  sniffFormat,
+  formatFromExtension,
+  identifyFormat
+};
@@ -32,9 +32,10 @@ class HeicDecoder {
    * Decode HEIC/AVIF file to a canvas element
    * @param {File|Buffer|ArrayBuffer} file - The HEIC/AVIF file
    * @param {Function} onError - Optional error callback
+   * @param {{orientation?: number}} options - EXIF orientation to apply to the decoded pixels
    * @returns {Promise<HTMLCanvasElement>}
    */
-  async decode(file, onError) {
+  async decode(file, onError, options = {}) {
     if (!this.isReady) {
       await this.init();
     }
@@ -44,7 +45,7 @@ class HeicDecoder {
     const uint8Array = new Uint8Array(arrayBuffer);
 
     try {
-      return await this._decodeWithLibheif(uint8Array);
+      return await this._decodeWithLibheif(uint8Array, { orientation: options.orientation });
     } catch (err) {
       if (this.isAvifFile(file)) {
         try {
@@ -59,20 +60,141 @@ class HeicDecoder {
     }
   }
 
-  async _decodeWithLibheif(uint8Array) {
+  /**
+   * Decode every top-level image (burst shots, multi-image HEIF) to canvases
+   * @param {File|Buffer|ArrayBuffer} file - The HEIC/AVIF file
+   * @param {Function} onError - Optional error callback
+   * @param {{orientation?: number}} options - EXIF orientation to apply to the decoded pixels
+   * @returns {Promise<HTMLCanvasElement[]>}
+   */
+  async decodeAll(file, onError, options = {}) {
+    if (!this.isReady) {
+      await this.init();
+    }
+
+    const arrayBuffer = await this._fileToArrayBuffer(file);
+    const uint8Array = new Uint8Array(arrayBuffer);
+
+    try {
+      return await this._decodeWithLibheif(uint8Array, { all: true, orientation: options.orientation });
+    } catch (err) {
+      if (this.isAvifFile(file)) {
+        try {
+          // The browser decoder only exposes the primary image
+          return [await this._decodeAvifNatively(file)];
+        } catch (nativeErr) {
+          if (onError) onError(nativeErr);
+          throw nativeErr;
+        }
+      }
+      if (onError) onError(err);
+      throw err;
+    }
+  }
+
+  async _decodeWithLibheif(uint8Array, options = {}) {
     const heif = await this.decoder;
 
-    return new Promise((resolve, reject) => {
-      try {
-        const decoder = new heif.HeifDecoder();
-        const data = decoder.decode(uint8Array);
+    let data;
+    try {
+      const decoder = new heif.HeifDecoder();
+      data = decoder.decode(uint8Array);
+    } catch (err) {
+      throw new Error('Decode error: ' + err.message);
+    }
 
-        if (!data || data.length === 0) {
-          reject(new Error('Failed to decode image: no images found in file'));
-          return;
+    if (!data || data.length === 0) {
+      throw new Error('Failed to decode image: no images found in file');
+    }
+
+    // libheif applies the container's irot/imir transforms, which take precedence over EXIF
+    const orientation = options.orientation > 1 && !this._hasTransformProperties(uint8Array)
+      ? options.orientation
+      : 1;
+    const images = options.all ? data : [data[0]];
+    const canvases = [];
+    for (const image of images) {
+      const canvas = this._orientCanvas(await this._imageToCanvas(image), orientation);
+      // libheif does not color manage, so the pixels stay in the file's profile (e.g. Display P3)
+      canvas.dataset.colors = 'source';
+      canvases.push(canvas);
+    }
+    return options.all ? canvases : canvases[0];
+  }
+
+  /**
+   * Redraw a canvas so an EXIF orientation (2-8) becomes upright pixels
+   * @param {HTMLCanvasElement} canvas
+   * @param {number} orientation
+   * @returns {HTMLCanvasElement}
+   */
+  _orientCanvas(canvas, orientation) {
+    if (!orientation || orientation === 1) return canvas;
+
+    const { width, height } = canvas;
+    const oriented = document.createElement('canvas');
+    oriented.width = orientation >= 5 ? height : width;
+    oriented.height = orientation >= 5 ? width : height;
+    const ctx = oriented.getContext('2d');
+    if (!ctx) {
+      throw new Error('Failed to get 2D context for canvas');
+    }
+
+    switch (orientation) {
+      case 2: ctx.transform(-1, 0, 0, 1, width, 0); break;
+      case 3: ctx.transform(-1, 0, 0, -1, width, height); break;
+      case 4: ctx.transform(1, 0, 0, -1, 0, height); break;
+      case 5: ctx.transform(0, 1, 1, 0, 0, 0); break;
+      case 6: ctx.transform(0, 1, -1, 0, height, 0); break;
+      case 7: ctx.transform(0, -1, -1, 0, height, width); break;
+      case 8: ctx.transform(0, -1, 1, 0, 0, width); break;
+      default: return canvas;
+    }
+    ctx.drawImage(canvas, 0, 0);
+    return oriented;
+  }
+
+  /**
+   * Check the item properties (meta > iprp > ipco) for irot or imir boxes
+   * @param {Uint8Array} uint8Array
+   * @returns {boolean}
+   */
+  _hasTransformProperties(uint8Array) {
+    const view = new DataView(uint8Array.buffer, uint8Array.byteOffset, uint8Array.byteLength);
+    const readBoxes = (start, end) => {
+      const boxes = [];
+      let offset = start;
+      while (offset + 8 <= end) {
+        let size = view.getUint32(offset);
+        const type = String.fromCharCode(...uint8Array.subarray(offset + 4, offset + 8));
+        let header = 8;
+        if (size === 1 && offset + 16 <= end) {
+          size = Number(view.getBigUint64(offset + 8));
+          header = 16;
+        } else if (size === 0) {
+          size = end - offset;
         }
+        if (size < header || offset + size > end) break;
+        boxes.push({ type, start: offset + header, end: offset + size });
+        offset += size;
+      }
+      return boxes;
+    };
+
+    try {
+      const meta = readBoxes(0, uint8Array.length).find(box => box.type === 'meta');
+      // meta is a full box: skip version and flags
+      const iprp = meta && readBoxes(meta.start + 4, meta.end).find(box => box.type === 'iprp');
+      const ipco = iprp && readBoxes(iprp.start, iprp.end).find(box => box.type === 'ipco');
+      return Boolean(ipco && readBoxes(ipco.start, ipco.end).some(box => box.type === 'irot' || box.type === 'imir'));
+    } catch (err) {
+      return false;
+    }
+  }
 
-        const image = data[0];
+  _imageToCanvas(image) {
+    return new Promise((resolve, reject) => {
+      try {
         const width = image.get_width();
         const height = image.get_height();
 
@@ -115,7 +237,7 @@ class HeicDecoder {
   async _decodeAvifNatively(file) {
     if (typeof createImageBitmap === 'function') {
       try {
-        const bitmap = await createImageBitmap(file);
+        const bitmap = await createImageBitmap(file, { imageOrientation: 'from-image' });
         try {
           if (!bitmap.width || !bitmap.height) {
             throw new Error(`Invalid image dimensions: ${bitmap.width}x${bitmap.height}`);
@@ -179,13 +301,13 @@ class HeicDecoder {
   isHeicFile(file) {
     if (!file || !file.name) return false;
     
-    const name = file.name.toLowerCase();
-    const type = (file.type || '').toLowerCase();
+    const type = this._specificType(file);
+    if (type) {
+      return type === 'image/heic' || type === 'image/heif';
+    }
     
-    return type === 'image/heic' || 
-           type === 'image/heif' ||
-           name.endsWith('.heic') || 
-           name.endsWith('.heif');
+    const name = file.name.toLowerCase();
+    return name.endsWith('.heic') || name.endsWith('.heif');
   }
 
   /**
@@ -196,11 +318,24 @@ class HeicDecoder {
   isAvifFile(file) {
     if (!file || !file.name) return false;
     
-    const name = file.name.toLowerCase();
-    const type = (file.type || '').toLowerCase();
+    const type = this._specificType(file);
+    if (type) {
+      return type === 'image/avif';
+    }
     
-    return type === 'image/avif' ||
-           name.endsWith('.avif');
+    return file.name.toLowerCase().endsWith('.avif');
+  }
+
+  /**
+   * The file's MIME type when it names a specific format. The renderer types files by
+   * their content, so such a type outranks the file name.
+   * @param {File} file
+   * @returns {string|null}
+   */
+  _specificType(file) {
+    const type = (file.type || '').toLowerCase();
+    if (!type || type === 'image/unknown' || type === 'application/octet-stream') return null;
+    return type;
   }
 
   /**
@@ -0,0 +1,600 @@
+// Metadata helpers for carrying EXIF/XMP/ICC from a source image into converted output.
+// sharp can keep or replace metadata but cannot edit raw EXIF or attach raw ICC bytes,
+// so the byte-level work (GPS removal, orientation reset, embedding EXIF into TIFF,
+// ICC segments and chunks) lives here.
+
+const zlib = require('zlib');
+
+const METADATA_POLICIES = ['keep', 'no-gps', 'icc-only', 'strip'];
+
+const EXIF_HEADER = Buffer.from('Exif\0\0', 'latin1');
+const MAX_JPEG_SEGMENT = 0xffff - 2;
+
+const ICC_HEADER = Buffer.from('ICC_PROFILE\0', 'latin1');
+// APP2 payload minus the header and the chunk sequence/count bytes
+const MAX_ICC_CHUNK = MAX_JPEG_SEGMENT - ICC_HEADER.length - 2;
+const ICC_HEADER_SIZE = 128;
+
+const ICC_COLOR_SPACES = {
+  'RGB ': 'RGB',
+  'GRAY': 'Grayscale',
+  'CMYK': 'CMYK',
+  'CMY ': 'CMY',
+  'Lab ': 'Lab',
+  'XYZ ': 'XYZ',
+  'YCbr': 'YCbCr'
+};
+
+const ICC_DEVICE_CLASSES = {
+  mntr: 'Display',
+  scnr: 'Input',
+  prtr: 'Output',
+  spac: 'Color space',
+  link: 'Device link',
+  abst: 'Abstract',
+  nmcl: 'Named color'
+};
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+const TAG_ORIENTATION = 0x0112;
+const TAG_MAKER_NOTE = 0x927c;
+const TAG_EXIF_IFD = 0x8769;
+const TAG_GPS_IFD = 0x8825;
+const TAG_INTEROP_IFD = 0xa005;
+
+// Descriptive IFD0 tags copied into TIFF output alongside the EXIF and GPS sub-IFDs
+const IFD0_DESCRIPTIVE_TAGS = [0x010e, 0x010f, 0x0110, 0x0131, 0x0132, 0x013b, 0x8298];
+
+// Byte size of one value for each TIFF field type
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8 };
+
+// Width of the byte-swappable unit for each type (rationals swap per component)
+const TYPE_SWAP_UNITS = { 3: 2, 4: 4, 5: 4, 8: 2, 9: 4, 10: 4, 11: 4, 12: 8 };
+
+const XMP_LOCATION_PROPERTIES = [
+  'exif:GPS\\w+',
+  'photoshop:City',
+  'photoshop:State',
+  'photoshop:Country',
+  'Iptc4xmpCore:Location',
+  'Iptc4xmpCore:CountryCode',
+  'Iptc4xmpExt:LocationCreated',
+  'Iptc4xmpExt:LocationShown'
+];
+
+function normalizeMetadataPolicy(value) {
+  // Callers that do not ask for metadata keep the historical behaviour of stripping it
+  if (!value) return 'strip';
+  const policy = String(value).toLowerCase();
+  if (!METADATA_POLICIES.includes(policy)) {
+    throw new Error(`Unsupported metadata policy: ${value}`);
+  }
+  return policy;
+}
+
+class TiffView {
+  constructor(buffer, base, littleEndian) {
+    this.buffer = buffer;
+    this.base = base;
+    this.littleEndian = littleEndian;
+  }
+
+  static open(buffer) {
+    if (!buffer || buffer.length < 8) return null;
+    const base = buffer.subarray(0, 6).equals(EXIF_HEADER) ? 6 : 0;
+    if (buffer.length < base + 8) return null;
+    const order = buffer.toString('latin1', base, base + 2);
+    if (order !== 'II' && order !== 'MM') return null;
+    const view = new TiffView(buffer, base, order === 'II');
+    // 42 is classic TIFF; BigTIFF (43) uses 64-bit offsets and is not handled
+    if (view.u16(base + 2) !== 42) return null;
+    return view;
+  }
+
+  u16(offset) {
+    return this.littleEndian ? this.buffer.readUInt16LE(offset) : this.buffer.readUInt16BE(offset);
+  }
+
+  u32(offset) {
+    return this.littleEndian ? this.buffer.readUInt32LE(offset) : this.buffer.readUInt32BE(offset);
+  }
+
+  writeU16(offset, value) {
+    if (this.littleEndian) {
+      this.buffer.writeUInt16LE(value, offset);
+    } else {
+      this.buffer.writeUInt16BE(value, offset);
+    }
+  }
+
+  firstIfdOffset() {
+    return this.base + this.u32(this.base + 4);
+  }
+
+  readIfd(offset) {
+    if (offset < this.base || offset + 2 > this.buffer.length) {
+      throw new Error('IFD offset out of range');
+    }
+    const count = this.u16(offset);
+    const end = offset + 2 + count * 12;
+    if (end + 4 > this.buffer.length) {
+      throw new Error('IFD extends past end of data');
+    }
+
+    const entries = [];
+    for (let index = 0; index < count; index++) {
+      const entryOffset = offset + 2 + index * 12;
+      const tag = this.u16(entryOffset);
+      const type = this.u16(entryOffset + 2);
+      const valueCount = this.u32(entryOffset + 4);
+      const size = (TYPE_SIZES[type] || 0) * valueCount;
+      const valueOffset = size > 4 ? this.base + this.u32(entryOffset + 8) : entryOffset + 8;
+      if (valueOffset + size > this.buffer.length) {
+        throw new Error(`Value for tag 0x${tag.toString(16)} extends past end of data`);
+      }
+      entries.push({ tag, type, count: valueCount, size, valueOffset, entryOffset });
+    }
+
+    return { offset, entries, next: this.u32(end) };
+  }
+
+  readSubIfd(ifd, pointerTag) {
+    const pointer = ifd.entries.find(entry => entry.tag === pointerTag);
+    if (!pointer) return null;
+    return this.readIfd(this.base + this.u32(pointer.valueOffset));
+  }
+}
+
+/**
+ * Remove the GPS IFD contents from a raw EXIF block.
+ * Returns null when the block cannot be parsed so callers drop it rather than leak location data.
+ * @param {Buffer} exif
+ * @returns {Buffer|null}
+ */
+function stripGpsFromExif(exif) {
+  const copy = Buffer.from(exif);
+  const view = TiffView.open(copy);
+  if (!view) return null;
+
+  try {
+    const gps = view.readSubIfd(view.readIfd(view.firstIfdOffset()), TAG_GPS_IFD);
+    if (!gps) return copy;
+
+    gps.entries.forEach(entry => {
+      if (entry.size > 4) {
+        copy.fill(0, entry.valueOffset, entry.valueOffset + entry.size);
+      }
+    });
+    // Zero the entry count, the entries and the next-IFD pointer
+    copy.fill(0, gps.offset, gps.offset + 2 + gps.entries.length * 12 + 4);
+    return copy;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Read the IFD0 Orientation tag from a raw EXIF block.
+ * @param {Buffer} exif
+ * @returns {number} 1-8, or 1 when the tag is missing or unreadable
+ */
+function readExifOrientation(exif) {
+  const view = TiffView.open(exif);
+  if (!view) return 1;
+
+  try {
+    const entry = view.readIfd(view.firstIfdOffset()).entries.find(item => item.tag === TAG_ORIENTATION);
+    if (entry && entry.type === 3 && entry.count >= 1) {
+      const orientation = view.u16(entry.valueOffset);
+      return orientation >= 1 && orientation <= 8 ? orientation : 1;
+    }
+  } catch (err) {
+    // Treat malformed blocks as upright
+  }
+  return 1;
+}
+
+/**
+ * Overwrite the IFD0 Orientation tag, e.g. after pixels were already rotated upright.
+ * @param {Buffer} exif
+ * @param {number} orientation
+ * @returns {Buffer}
+ */
+function setExifOrientation(exif, orientation) {
+  const copy = Buffer.from(exif);
+  const view = TiffView.open(copy);
+  if (!view) return copy;
+
+  try {
+    const entry = view.readIfd(view.firstIfdOffset()).entries.find(item => item.tag === TAG_ORIENTATION);
+    if (entry && entry.type === 3 && entry.count >= 1) {
+      view.writeU16(entry.valueOffset, orientation);
+    }
+  } catch (err) {
+    // Leave malformed blocks untouched; the orientation tag is advisory
+  }
+  return copy;
+}
+
+function stripLocationFromXmp(xmp) {
+  let result = xmp;
+  XMP_LOCATION_PROPERTIES.forEach(property => {
+    result = result
+      .replace(new RegExp(`\\s+${property}="[^"]*"`, 'g'), '')
+      .replace(new RegExp(`<(${property})\\b[^>]*/>`, 'g'), '')
+      .replace(new RegExp(`<(${property})\\b[^>]*>[\\s\\S]*?</\\1>`, 'g'), '');
+  });
+  return result;
+}
+
+function setXmpOrientation(xmp, orientation) {
+  return xmp
+    .replace(/tiff:Orientation="\d+"/g, `tiff:Orientation="${orientation}"`)
+    .replace(/<tiff:Orientation>\d+<\/tiff:Orientation>/g, `<tiff:Orientation>${orientation}</tiff:Orientation>`);
+}
+
+/**
+ * Apply a metadata policy to the metadata read from a source image.
+ * @param {string} policy - One of METADATA_POLICIES
+ * @param {{exif?: Buffer, icc?: Buffer, xmp?: Buffer|string}|null} source
+ * @param {{orientation?: number}} options - Orientation value to write into the EXIF/XMP tags
+ * @returns {{exif: Buffer|null, icc: Buffer|null, xmp: string|null}}
+ */
+function prepareMetadata(policy, source, options = {}) {
+  const result = { exif: null, icc: null, xmp: null };
+  if (!source || policy === 'strip') return result;
+
+  if (source.icc) {
+    result.icc = source.icc;
+  }
+  if (policy === 'icc-only') return result;
+
+  if (source.exif) {
+    let exif = policy === 'no-gps' ? stripGpsFromExif(source.exif) : Buffer.from(source.exif);
+    if (exif && options.orientation) {
+      exif = setExifOrientation(exif, options.orientation);
+    }
+    result.exif = exif;
+  }
+
+  if (source.xmp) {
+    let xmp = Buffer.isBuffer(source.xmp) ? source.xmp.toString('utf8') : String(source.xmp);
+    if (policy === 'no-gps') {
+      xmp = stripLocationFromXmp(xmp);
+    }
+    if (options.orientation) {
+      xmp = setXmpOrientation(xmp, options.orientation);
+    }
+    result.xmp = xmp.trim() ? xmp : null;
+  }
+
+  return result;
+}
+
+/**
+ * Insert an APP1 EXIF segment directly after the SOI marker of a JPEG.
+ * @param {Buffer} jpeg
+ * @param {Buffer} exif - Raw EXIF with or without the "Exif\0\0" header
+ * @returns {Buffer}
+ */
+function insertJpegExifSegment(jpeg, exif) {
+  if (jpeg[0] !== 0xff || jpeg[1] !== 0xd8) {
+    throw new Error('Not a JPEG buffer');
+  }
+  const payload = exif.subarray(0, 6).equals(EXIF_HEADER) ? exif : Buffer.concat([EXIF_HEADER, exif]);
+  if (payload.length > MAX_JPEG_SEGMENT) {
+    throw new Error(`EXIF block too large (${payload.length} bytes)`);
+  }
+  const header = Buffer.alloc(4);
+  header[0] = 0xff;
+  header[1] = 0xe1;
+  header.writeUInt16BE(payload.length + 2, 2);
+  return Buffer.concat([jpeg.subarray(0, 2), header, payload, jpeg.subarray(2)]);
+}
+
+/**
+ * Check for the 'acsp' signature of an ICC profile.
+ * @param {Buffer} buffer
+ * @returns {boolean}
+ */
+function isIccProfile(buffer) {
+  return Buffer.isBuffer(buffer) &&
+    buffer.length >= ICC_HEADER_SIZE &&
+    buffer.toString('latin1', 36, 40) === 'acsp';
+}
+
+function readIccText(icc, offset, size) {
+  const type = icc.toString('latin1', offset, offset + 4);
+  if (type === 'desc') {
+    // ICC v2 textDescriptionType: ASCII count (including the terminator), then ASCII
+    const length = icc.readUInt32BE(offset + 8);
+    return icc.toString('latin1', offset + 12, Math.min(offset + 12 + length, offset + size));
+  }
+  if (type === 'mluc') {
+    // ICC v4 multiLocalizedUnicodeType: prefer an English record, strings are UTF-16BE
+    const count = icc.readUInt32BE(offset + 8);
+    const recordSize = icc.readUInt32BE(offset + 12);
+    let record = offset + 16;
+    for (let index = 0; index < count; index++) {
+      const candidate = offset + 16 + index * recordSize;
+      if (icc.toString('latin1', candidate, candidate + 2) === 'en') {
+        record = candidate;
+        break;
+      }
+    }
+    const length = icc.readUInt32BE(record + 4);
+    const start = offset + icc.readUInt32BE(record + 8);
+    return Buffer.from(icc.subarray(start, start + length)).swap16().toString('utf16le');
+  }
+  return null;
+}
+
+/**
+ * Read the profile name and color space from an ICC profile.
+ * @param {Buffer} icc
+ * @returns {{description: string|null, colorSpace: string, connectionSpace: string, deviceClass: string, version: string}|null}
+ */
+function describeIccProfile(icc) {
+  if (!isIccProfile(icc)) return null;
+
+  const signature = offset => icc.toString('latin1', offset, offset + 4);
+  let description = null;
+  try {
+    const tagCount = icc.readUInt32BE(ICC_HEADER_SIZE);
+    for (let index = 0; index < tagCount; index++) {
+      const entry = ICC_HEADER_SIZE + 4 + index * 12;
+      if (signature(entry) !== 'desc') continue;
+      const offset = icc.readUInt32BE(entry + 4);
+      const size = icc.readUInt32BE(entry + 8);
+      if (offset + size <= icc.length) {
+        description = readIccText(icc, offset, size);
+      }
+      break;
+    }
+  } catch (err) {
+    // A truncated tag table still leaves the header fields
+  }
+
+  return {
+    description: description ? description.replace(/\0+$/, '').trim() || null : null,
+    colorSpace: ICC_COLOR_SPACES[signature(16)] || signature(16).trim(),
+    connectionSpace: ICC_COLOR_SPACES[signature(20)] || signature(20).trim(),
+    deviceClass: ICC_DEVICE_CLASSES[signature(12)] || signature(12).trim(),
+    version: `${icc[8]}.${icc[9] >> 4}`
+  };
+}
+
+/**
+ * Insert APP2 ICC_PROFILE segments after the SOI marker of a JPEG,
+ * splitting profiles larger than one segment into numbered chunks.
+ * @param {Buffer} jpeg
+ * @param {Buffer} icc
+ * @returns {Buffer}
+ */
+function insertJpegIccProfile(jpeg, icc) {
+  if (jpeg[0] !== 0xff || jpeg[1] !== 0xd8) {
+    throw new Error('Not a JPEG buffer');
+  }
+  const count = Math.ceil(icc.length / MAX_ICC_CHUNK);
+  if (count > 255) {
+    throw new Error(`ICC profile too large (${icc.length} bytes)`);
+  }
+  const segments = [];
+  for (let index = 0; index < count; index++) {
+    const chunk = icc.subarray(index * MAX_ICC_CHUNK, (index + 1) * MAX_ICC_CHUNK);
+    const header = Buffer.alloc(4);
+    header[0] = 0xff;
+    header[1] = 0xe2;
+    header.writeUInt16BE(ICC_HEADER.length + 2 + chunk.length + 2, 2);
+    segments.push(header, ICC_HEADER, Buffer.from([index + 1, count]), chunk);
+  }
+  return Buffer.concat([jpeg.subarray(0, 2), ...segments, jpeg.subarray(2)]);
+}
+
+// A PNG chunk: length, type, data and a CRC-32 over the type and data
+function createPngChunk(type, data) {
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(data.length, 0);
+  header.write(type, 4, 'latin1');
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(zlib.crc32(data, zlib.crc32(header.subarray(4))), 0);
+  return Buffer.concat([header, data, crc]);
+}
+
+// Write a chunk directly after IHDR, dropping existing chunks of the replaced types
+function insertPngChunk(png, chunk, replacedTypes) {
+  if (png.length < 8 || !png.subarray(0, 8).equals(PNG_SIGNATURE)) {
+    throw new Error('Not a PNG buffer');
+  }
+  const output = [PNG_SIGNATURE];
+  let offset = 8;
+  while (offset + 12 <= png.length) {
+    const length = png.readUInt32BE(offset);
+    const type = png.toString('latin1', offset + 4, offset + 8);
+    const end = offset + 12 + length;
+    if (!replacedTypes.includes(type)) {
+      output.push(png.subarray(offset, end));
+    }
+    if (type === 'IHDR') {
+      output.push(chunk);
+    }
+    offset = end;
+    if (type === 'IEND') break;
+  }
+  return Buffer.concat(output);
+}
+
+/**
+ * Tag a PNG with an ICC profile by writing an iCCP chunk after IHDR.
+ * Existing iCCP/sRGB chunks are dropped since a PNG may only carry one of them.
+ * @param {Buffer} png
+ * @param {Buffer} icc
+ * @returns {Buffer}
+ */
+function insertPngIccProfile(png, icc) {
+  // Profile name, null separator, compression method 0 (zlib)
+  const data = Buffer.concat([Buffer.from('ICC Profile\0\0', 'latin1'), zlib.deflateSync(icc)]);
+  return insertPngChunk(png, createPngChunk('iCCP', data), ['iCCP', 'sRGB']);
+}
+
+/**
+ * Store raw EXIF in a PNG eXIf chunk after IHDR.
+ * @param {Buffer} png
+ * @param {Buffer} exif - Raw EXIF with or without the "Exif\0\0" header
+ * @returns {Buffer}
+ */
+function insertPngExifChunk(png, exif) {
+  const data = exif.subarray(0, 6).equals(EXIF_HEADER) ? exif.subarray(6) : exif;
+  return insertPngChunk(png, createPngChunk('eXIf', data), ['eXIf']);
+}
+
+function convertValueBytes(bytes, type, fromLittleEndian, toLittleEndian) {
+  const copy = Buffer.from(bytes);
+  const unit = TYPE_SWAP_UNITS[type];
+  if (fromLittleEndian === toLittleEndian || !unit) return copy;
+  for (let offset = 0; offset + unit <= copy.length; offset += unit) {
+    copy.subarray(offset, offset + unit).reverse();
+  }
+  return copy;
+}
+
+class TiffAppender {
+  constructor(buffer, littleEndian) {
+    this.chunks = [buffer];
+    this.length = buffer.length;
+    this.littleEndian = littleEndian;
+  }
+
+  long(value) {
+    const bytes = Buffer.alloc(4);
+    if (this.littleEndian) {
+      bytes.writeUInt32LE(value, 0);
+    } else {
+      bytes.writeUInt32BE(value, 0);
+    }
+    return bytes;
+  }
+
+  append(bytes) {
+    // TIFF offsets must be word aligned
+    if (this.length % 2 !== 0) {
+      this.chunks.push(Buffer.alloc(1));
+      this.length += 1;
+    }
+    const offset = this.length;
+    this.chunks.push(bytes);
+    this.length += bytes.length;
+    return offset;
+  }
+
+  copyEntry(sourceView, entry) {
+    const bytes = convertValueBytes(
+      sourceView.buffer.subarray(entry.valueOffset, entry.valueOffset + entry.size),
+      entry.type,
+      sourceView.littleEndian,
+      this.littleEndian
+    );
+    if (entry.size <= 4) {
+      const inline = Buffer.alloc(4);
+      bytes.copy(inline);
+      return { tag: entry.tag, type: entry.type, count: entry.count, value: inline };
+    }
+    return { tag: entry.tag, type: entry.type, count: entry.count, value: this.long(this.append(bytes)) };
+  }
+
+  appendIfd(entries, next) {
+    const bytes = Buffer.alloc(2 + entries.length * 12 + 4);
+    const write16 = (value, offset) => (this.littleEndian ? bytes.writeUInt16LE(value, offset) : bytes.writeUInt16BE(value, offset));
+    const write32 = (value, offset) => (this.littleEndian ? bytes.writeUInt32LE(value, offset) : bytes.writeUInt32BE(value, offset));
+
+    write16(entries.length, 0);
+    entries.forEach((entry, index) => {
+      const offset = 2 + index * 12;
+      write16(entry.tag, offset);
+      write16(entry.type, offset + 2);
+      write32(entry.count, offset + 4);
+      entry.value.copy(bytes, offset + 8);
+    });
+    write32(next, 2 + entries.length * 12);
+    return this.append(bytes);
+  }
+
+  toBuffer() {
+    return Buffer.concat(this.chunks, this.length);
+  }
+}
+
+/**
+ * Embed EXIF into an encoded TIFF, which libvips does not do on save.
+ * The first IFD is rewritten at the end of the file with EXIF/GPS sub-IFD pointers;
+ * the original pixel data and remaining pages are left untouched.
+ * @param {Buffer} tiff
+ * @param {Buffer} exif
+ * @returns {Buffer}
+ */
+function embedExifInTiff(tiff, exif) {
+  const source = TiffView.open(exif);
+  const target = TiffView.open(tiff);
+  if (!source || !target || target.base !== 0) return tiff;
+
+  try {
+    const sourceIfd0 = source.readIfd(source.firstIfdOffset());
+    const targetIfd0 = target.readIfd(target.firstIfdOffset());
+    const appender = new TiffAppender(tiff, target.littleEndian);
+    const existingTags = new Set(targetIfd0.entries.map(entry => entry.tag));
+
+    // Existing entries keep their absolute value offsets, so they are copied verbatim
+    const entries = targetIfd0.entries.map(entry => ({
+      tag: entry.tag,
+      type: entry.type,
+      count: entry.count,
+      value: Buffer.from(tiff.subarray(entry.entryOffset + 8, entry.entryOffset + 12))
+    }));
+
+    sourceIfd0.entries
+      .filter(entry => IFD0_DESCRIPTIVE_TAGS.includes(entry.tag) && !existingTags.has(entry.tag))
+      .forEach(entry => entries.push(appender.copyEntry(source, entry)));
+
+    [TAG_EXIF_IFD, TAG_GPS_IFD].forEach(pointerTag => {
+      if (existingTags.has(pointerTag)) return;
+      const subIfd = source.readSubIfd(sourceIfd0, pointerTag);
+      if (!subIfd) return;
+      // Interop pointers and maker notes hold offsets that would be wrong once relocated
+      const subEntries = subIfd.entries
+        .filter(entry => entry.tag !== TAG_INTEROP_IFD && entry.tag !== TAG_MAKER_NOTE && TYPE_SIZES[entry.type])
+        .map(entry => appender.copyEntry(source, entry));
+      if (subEntries.length === 0) return;
+      const offset = appender.appendIfd(subEntries, 0);
+      entries.push({ tag: pointerTag, type: 4, count: 1, value: appender.long(offset) });
+    });
+
+    entries.sort((a, b) => a.tag - b.tag);
+    const ifd0Offset = appender.appendIfd(entries, targetIfd0.next);
+    const output = appender.toBuffer();
+    output.set(appender.long(ifd0Offset), 4);
+    return output;
+  } catch (err) {
+    console.warn('Failed to embed EXIF in TIFF output:', err.message);
+    return tiff;
+  }
+}
+
+module.exports = {
+  METADATA_POLICIES,
+  normalizeMetadataPolicy,
+  prepareMetadata,
+  stripGpsFromExif,
+  stripLocationFromXmp,
+  readExifOrientation,
+  setExifOrientation,
+  insertJpegExifSegment,
+  embedExifInTiff,
+  isIccProfile,
+  describeIccProfile,
+  insertJpegIccProfile,
+  insertPngIccProfile,
+  insertPngExifChunk,
+  PNG_SIGNATURE,
+  createPngChunk
+};
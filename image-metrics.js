@@ -0,0 +1,228 @@
+// Objective image quality metrics on raw 8-bit pixel buffers of equal size, used to judge
+// encoded candidates against their source and to audit one image against another.
+
+// SSIM constants for 8-bit data: (0.01 * 255)^2 and (0.03 * 255)^2
+const SSIM_C1 = 6.5025;
+const SSIM_C2 = 58.5225;
+// Windows of 8x8 pixels, stepped by half a window
+const SSIM_WINDOW = 8;
+const SSIM_STEP = 4;
+
+/**
+ * Rec. 601 luma of interleaved pixels. One or two channels are read as grey (plus alpha).
+ * @param {Uint8Array} data
+ * @param {number} channels
+ * @returns {Float32Array}
+ */
+function toLuma(data, channels) {
+  const pixels = data.length / channels;
+  const luma = new Float32Array(pixels);
+  for (let i = 0, offset = 0; i < pixels; i++, offset += channels) {
+    luma[i] = channels < 3
+      ? data[offset]
+      : 0.299 * data[offset] + 0.587 * data[offset + 1] + 0.114 * data[offset + 2];
+  }
+  return luma;
+}
+
+/**
+ * Mean structural similarity of two images, computed on luma over overlapping 8x8 windows.
+ * 1 means identical; visually lossless results usually score above 0.98.
+ * @param {Uint8Array} reference
+ * @param {Uint8Array} candidate
+ * @param {{width: number, height: number, channels: number}} info - shared by both buffers
+ * @returns {number}
+ */
+function computeSsim(reference, candidate, { width, height, channels }) {
+  if (reference.length !== candidate.length || reference.length !== width * height * channels) {
+    throw new Error('SSIM needs two images of the same size');
+  }
+  const a = toLuma(reference, channels);
+  const b = toLuma(candidate, channels);
+  // Images smaller than a window are compared as one window
+  const windowWidth = Math.min(SSIM_WINDOW, width);
+  const windowHeight = Math.min(SSIM_WINDOW, height);
+  const count = windowWidth * windowHeight;
+
+  let total = 0;
+  let windows = 0;
+  for (let top = 0; top + windowHeight <= height; top += SSIM_STEP) {
+    for (let left = 0; left + windowWidth <= width; left += SSIM_STEP) {
+      let sumA = 0;
+      let sumB = 0;
+      let sumAA = 0;
+      let sumBB = 0;
+      let sumAB = 0;
+      for (let y = top; y < top + windowHeight; y++) {
+        let index = y * width + left;
+        for (let x = 0; x < windowWidth; x++, index++) {
+          const valueA = a[index];
+          const valueB = b[index];
+          sumA += valueA;
+          sumB += valueB;
+          sumAA += valueA * valueA;
+          sumBB += valueB * valueB;
+          sumAB += valueA * valueB;
+        }
+      }
+      const meanA = sumA / count;
+      const meanB = sumB / count;
+      const varianceA = sumAA / count - meanA * meanA;
+      const varianceB = sumBB / count - meanB * meanB;
+      const covariance = sumAB / count - meanA * meanB;
+      total += ((2 * meanA * meanB + SSIM_C1) * (2 * covariance + SSIM_C2)) /
+        ((meanA * meanA + meanB * meanB + SSIM_C1) * (varianceA + varianceB + SSIM_C2));
+      windows += 1;
+    }
+  }
+  return windows ? total / windows : 1;
+}
+
+/**
+ * Composite pixels with alpha (two or four channels) onto white, as viewers show them.
+ * Returns the colour channels only.
+ * @param {Uint8Array|Uint8ClampedArray} data
+ * @param {number} channels
+ * @returns {{data: Uint8Array, channels: number}}
+ */
+function flattenOnWhite(data, channels) {
+  if (channels === 1 || channels === 3) {
+    return { data, channels };
+  }
+  const colorChannels = channels - 1;
+  const pixels = data.length / channels;
+  const flat = new Uint8Array(pixels * colorChannels);
+  for (let i = 0, offset = 0, out = 0; i < pixels; i++, offset += channels) {
+    const alpha = data[offset + colorChannels] / 255;
+    for (let c = 0; c < colorChannels; c++, out++) {
+      flat[out] = Math.round(data[offset + c] * alpha + 255 * (1 - alpha));
+    }
+  }
+  return { data: flat, channels: colorChannels };
+}
+
+/**
+ * Peak signal-to-noise ratio in dB over all colour channels. Identical images give Infinity.
+ * @param {Uint8Array} reference
+ * @param {Uint8Array} candidate
+ * @returns {number}
+ */
+function computePsnr(reference, candidate) {
+  if (reference.length !== candidate.length) {
+    throw new Error('PSNR needs two images of the same size');
+  }
+  let sum = 0;
+  for (let i = 0; i < reference.length; i++) {
+    const difference = reference[i] - candidate[i];
+    sum += difference * difference;
+  }
+  const mse = sum / reference.length;
+  return mse === 0 ? Infinity : 10 * Math.log10((255 * 255) / mse);
+}
+
+/**
+ * Largest difference of each pixel: over the colour channels after compositing onto white,
+ * and over alpha on its own. The metrics and the heatmap both read it, so they agree.
+ * @param {Uint8Array|Uint8ClampedArray} reference
+ * @param {Uint8Array|Uint8ClampedArray} candidate
+ * @param {{width: number, height: number, channels: number}} info - shared by both buffers
+ * @returns {{a: Object, b: Object, errors: Uint8Array, errorSum: number, maxAlphaError: number}}
+ *   a and b are the flattened images; errorSum adds up every colour channel difference
+ */
+function measurePixelErrors(reference, candidate, { width, height, channels }) {
+  if (reference.length !== candidate.length || reference.length !== width * height * channels) {
+    throw new Error('Images must have the same dimensions to be compared');
+  }
+  const a = flattenOnWhite(reference, channels);
+  const b = flattenOnWhite(candidate, channels);
+  const hasAlpha = channels === 2 || channels === 4;
+  const errors = new Uint8Array(width * height);
+
+  let errorSum = 0;
+  let maxAlphaError = 0;
+  for (let i = 0; i < errors.length; i++) {
+    let pixelError = 0;
+    for (let c = 0, offset = i * a.channels; c < a.channels; c++) {
+      const error = Math.abs(a.data[offset + c] - b.data[offset + c]);
+      errorSum += error;
+      if (error > pixelError) pixelError = error;
+    }
+    if (hasAlpha) {
+      const alphaOffset = i * channels + channels - 1;
+      const alphaError = Math.abs(reference[alphaOffset] - candidate[alphaOffset]);
+      if (alphaError > maxAlphaError) maxAlphaError = alphaError;
+      if (alphaError > pixelError) pixelError = alphaError;
+    }
+    errors[i] = pixelError;
+  }
+  return { a, b, errors, errorSum, maxAlphaError };
+}
+
+/**
+ * Full-reference comparison of two images of the same size. Colour metrics are measured
+ * after compositing onto white so transparent areas compare as they display; alpha is
+ * measured on its own.
+ * @param {Uint8Array|Uint8ClampedArray} reference
+ * @param {Uint8Array|Uint8ClampedArray} candidate
+ * @param {{width: number, height: number, channels: number}} info - shared by both buffers
+ * @returns {{psnr: number, ssim: number, maxError: number, meanError: number,
+ *   maxAlphaError: number, changedPixels: number}}
+ */
+function compareImages(reference, candidate, info) {
+  const { a, b, errors, errorSum, maxAlphaError } = measurePixelErrors(reference, candidate, info);
+  let maxError = 0;
+  let changedPixels = 0;
+  for (let i = 0; i < errors.length; i++) {
+    if (errors[i] > maxError) maxError = errors[i];
+    if (errors[i] > 0) changedPixels += 1;
+  }
+
+  return {
+    psnr: computePsnr(a.data, b.data),
+    ssim: computeSsim(a.data, b.data, { width: info.width, height: info.height, channels: a.channels }),
+    maxError,
+    meanError: errorSum / a.data.length,
+    maxAlphaError,
+    changedPixels
+  };
+}
+
+/**
+ * RGBA overlay of the per-pixel differences compareImages counts: unchanged pixels stay
+ * transparent, small errors show blue through yellow and the largest red.
+ * @param {Uint8Array|Uint8ClampedArray} reference
+ * @param {Uint8Array|Uint8ClampedArray} candidate
+ * @param {{width: number, height: number, channels: number}} info - shared by both buffers
+ * @param {number} [gain=1] - multiplier applied to the error before mapping it to colour
+ * @returns {Uint8ClampedArray}
+ */
+function diffHeatmap(reference, candidate, info, gain = 1) {
+  const { errors } = measurePixelErrors(reference, candidate, info);
+  const heatmap = new Uint8ClampedArray(errors.length * 4);
+  for (let i = 0; i < errors.length; i++) {
+    const error = errors[i];
+    if (error === 0) continue;
+
+    const t = Math.min(1, (error * gain) / 255);
+    const out = i * 4;
+    if (t < 0.5) {
+      const step = t * 2;
+      heatmap[out] = 255 * step;
+      heatmap[out + 1] = 128 + 127 * step;
+      heatmap[out + 2] = 255 * (1 - step);
+    } else {
+      heatmap[out] = 255;
+      heatmap[out + 1] = 255 * (1 - (t - 0.5) * 2);
+      heatmap[out + 2] = 0;
+    }
+    heatmap[out + 3] = 96 + 159 * t;
+  }
+  return heatmap;
+}
+
+module.exports = {
+  computeSsim,
+  computePsnr,
+  compareImages,
+  diffHeatmap
+};
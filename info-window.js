@@ -193,6 +193,17 @@ function formatImageSection(image) {
   if (image.aspectRatio) {
     items.push({ label: 'Aspect Ratio', value: image.aspectRatio });
   }
+  if (image.colorProfile) {
+    const profile = image.colorProfile;
+    items.push({ label: 'Color Profile', value: profile.description || 'Unnamed profile' });
+    items.push({
+      label: 'Color Space',
+      value: `${profile.colorSpace} (${profile.deviceClass} profile, ICC v${profile.version})`
+    });
+  } else if (image.colorSpace) {
+    items.push({ label: 'Color Profile', value: 'None embedded' });
+    items.push({ label: 'Color Space', value: image.colorSpace });
+  }
   return items;
 }
 
@@ -0,0 +1,97 @@
+// JPEG XL helpers. Prebuilt sharp has no libjxl, and libvips cannot transcode JPEG
+// losslessly anyway, so libjxl's cjxl/djxl command-line tools are run when needed.
+// Pixel work (resizing, metadata) stays with sharp; these functions only move bytes.
+
+const fs = require('fs');
+const path = require('path');
+const { runTool, withTempDir } = require('./external-tool');
+
+const CODESTREAM_SIGNATURE = Buffer.from([0xff, 0x0a]);
+const CONTAINER_SIGNATURE = Buffer.from([0x00, 0x00, 0x00, 0x0c, 0x4a, 0x58, 0x4c, 0x20, 0x0d, 0x0a, 0x87, 0x0a]);
+const JPEG_SIGNATURE = Buffer.from([0xff, 0xd8, 0xff]);
+
+function isJxl(buffer) {
+  if (!buffer || buffer.length < CONTAINER_SIGNATURE.length) return false;
+  return buffer.subarray(0, 2).equals(CODESTREAM_SIGNATURE) ||
+    buffer.subarray(0, CONTAINER_SIGNATURE.length).equals(CONTAINER_SIGNATURE);
+}
+
+function isJpeg(buffer) {
+  return Boolean(buffer) && buffer.length > 3 && buffer.subarray(0, 3).equals(JPEG_SIGNATURE);
+}
+
+// JPEG reconstruction data lives in a 'jbrd' box, so only container files can hold it
+function hasJpegReconstruction(buffer) {
+  if (!isJxl(buffer) || !buffer.subarray(0, CONTAINER_SIGNATURE.length).equals(CONTAINER_SIGNATURE)) {
+    return false;
+  }
+  let offset = 0;
+  while (offset + 8 <= buffer.length) {
+    let size = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    if (type === 'jbrd') return true;
+    if (size === 1) {
+      if (offset + 16 > buffer.length) break;
+      size = Number(buffer.readBigUInt64BE(offset + 8));
+    } else if (size === 0) {
+      break;
+    }
+    if (size < 8) break;
+    offset += size;
+  }
+  return false;
+}
+
+// Run a tool on a temporary copy of the input and return the bytes it wrote
+function transcode(tool, input, inputExtension, outputExtension, args = []) {
+  return withTempDir('lirum-jxl-', async directory => {
+    const inputPath = path.join(directory, `input.${inputExtension}`);
+    const outputPath = path.join(directory, `output.${outputExtension}`);
+    fs.writeFileSync(inputPath, input);
+    await runTool(tool, [inputPath, outputPath, ...args],
+      `JPEG XL support needs libjxl's ${tool} tool on the PATH (or a sharp build with libjxl)`);
+    return fs.readFileSync(outputPath);
+  });
+}
+
+/**
+ * Encode a PNG (with any EXIF/XMP/ICC it carries) as JPEG XL.
+ * @param {{quality?: number, effort?: number, lossless?: boolean}} options
+ */
+function encodeJxl(png, options = {}) {
+  const args = ['--effort', String(options.effort || 7)];
+  if (options.lossless) {
+    args.push('--distance', '0');
+  } else {
+    args.push('--quality', String(options.quality || 90));
+  }
+  return transcode('cjxl', png, 'png', 'jxl', args);
+}
+
+// Decode to PNG, keeping bit depth and the color profile
+function decodeJxl(jxl) {
+  return transcode('djxl', jxl, 'jxl', 'png');
+}
+
+// Lossless JPEG transcode; the original file can be rebuilt with reconstructJpeg
+function recompressJpeg(jpeg, options = {}) {
+  return transcode('cjxl', jpeg, 'jpg', 'jxl', ['--lossless_jpeg=1', '--effort', String(options.effort || 7)]);
+}
+
+// Rebuild the byte-identical JPEG that was recompressed into this file
+function reconstructJpeg(jxl) {
+  if (!hasJpegReconstruction(jxl)) {
+    throw new Error('This JPEG XL file was not recompressed from a JPEG');
+  }
+  return transcode('djxl', jxl, 'jxl', 'jpg');
+}
+
+module.exports = {
+  isJxl,
+  isJpeg,
+  hasJpegReconstruction,
+  encodeJxl,
+  decodeJxl,
+  recompressJpeg,
+  reconstructJpeg
+};
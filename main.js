@@ -1,6 +1,40 @@
 const { app, BrowserWindow, ipcMain, dialog, Menu, shell } = require('electron');
 const path = require('path');
 const fs = require('fs');
+const {
+  normalizeMetadataPolicy,
+  prepareMetadata,
+  readExifOrientation,
+  insertJpegExifSegment,
+  embedExifInTiff,
+  isIccProfile,
+  describeIccProfile,
+  insertJpegIccProfile,
+  insertPngIccProfile,
+  insertPngExifChunk
+} = require('./image-metadata');
+const {
+  METADATA_FORMATS,
+  TARGET_SIZE_FORMATS,
+  ANIMATED_OUTPUT_FORMATS,
+  outputBitDepth
+} = require('./output-formats');
+const { isApng, splitApng, composeApngFrames, assembleApng } = require('./apng');
+const {
+  isJxl,
+  isJpeg,
+  hasJpegReconstruction,
+  encodeJxl,
+  decodeJxl,
+  recompressJpeg,
+  reconstructJpeg
+} = require('./jpeg-xl');
+const { RAW_EXTENSIONS, isCameraRaw, decodeCameraRaw } = require('./camera-raw');
+const { isPdf, readPdfPageSizes, renderPdfPage, renderPdfThumbnails } = require('./pdf-pages');
+const { buildPdf } = require('./pdf-writer');
+const { SNIFF_LENGTH, sniffFormat, identifyFormat } = require('./format-sniffer');
+const { computeSsim } = require('./image-metrics');
+const { isCliInvocation, runCli } = require('./cli');
 
 
 let sharp = null;
@@ -18,9 +52,105 @@ const OUTPUT_FORMATS = {
   heic: { label: 'HEIC Image', extensions: ['heic', 'heif'] },
   gif: { label: 'GIF Image', extensions: ['gif'] },
   bmp: { label: 'BMP Image', extensions: ['bmp'] },
-  tiff: { label: 'TIFF Image', extensions: ['tif', 'tiff'] }
+  tiff: { label: 'TIFF Image', extensions: ['tif', 'tiff'] },
+  jxl: { label: 'JPEG XL Image', extensions: ['jxl'] },
+  ico: { label: 'Windows Icon', extensions: ['ico'] },
+  icns: { label: 'macOS Icon', extensions: ['icns'] },
+  pdf: { label: 'PDF Document', extensions: ['pdf'] }
 };
 
+const INPUT_EXTENSIONS = [
+  'jpg', 'jpeg', 'png', 'webp', 'gif', 'bmp', 'tif', 'tiff', 'heic', 'heif', 'avif', 'jxl',
+  'svg', 'pdf', ...RAW_EXTENSIONS
+];
+
+const RESIZE_MODES = ['none', 'exact', 'fit', 'cover', 'percent', 'long-edge'];
+const RESIZE_KERNELS = ['nearest', 'linear', 'cubic', 'mitchell', 'lanczos2', 'lanczos3'];
+const MAX_DIMENSION = 65535;
+
+// EXIF orientation is either baked into the pixels or kept as a tag on the stored pixels
+const ORIENTATION_MODES = ['bake', 'tag'];
+
+// Sample formats above 8 bits per channel; HEIF sources report their coded depth instead
+const SAMPLE_BIT_DEPTHS = { ushort: 16, short: 16, uint: 32, int: 32, float: 32, double: 64 };
+const GREY_SPACES = ['b-w', 'grey16'];
+
+// Output color: keep the source profile or convert to a built-in one; any other value
+// is the path of a user-supplied .icc/.icm profile
+const COLOR_PROFILES = ['keep', 'srgb', 'p3'];
+
+// Quality floor and shrink steps when downscaling to fit a file size budget
+const TARGET_SIZE_MIN_QUALITY = 30;
+const TARGET_SIZE_MAX_DOWNSCALES = 8;
+
+const ANIMATION_MODES = ['animate', 'first-frame', 'frames'];
+const DEFAULT_FRAME_DELAY = 100;
+
+// Multi-page TIFF, multi-image HEIF/AVIF and PDF files; GIF/WebP pages are animation frames
+const PAGED_FORMATS = ['tiff', 'heif', 'pdf'];
+const PAGE_OUTPUT_MODES = ['separate', 'tiff'];
+const PAGE_THUMBNAIL_SIZE = 160;
+
+// SVG and PDF are rendered at a resolution or scaled to a pixel width
+const RASTERIZE_MODES = ['dpi', 'width'];
+const DEFAULT_RASTERIZE_DPI = 150;
+const MAX_RASTERIZE_DPI = 1200;
+
+// Square sizes each icon container can embed, and the ones written when none are chosen
+const ICON_SIZES = {
+  ico: [16, 24, 32, 48, 64, 128, 256],
+  icns: [16, 32, 64, 128, 256, 512, 1024]
+};
+const DEFAULT_ICON_SIZES = {
+  ico: [16, 32, 48, 256],
+  icns: [16, 32, 64, 128, 256, 512, 1024]
+};
+// ICNS element types holding PNG data; sizes that double a smaller one also fill its @2x slot
+const ICNS_TYPES = {
+  16: ['icp4'],
+  32: ['icp5', 'ic11'],
+  64: ['icp6', 'ic12'],
+  128: ['ic07'],
+  256: ['ic08', 'ic13'],
+  512: ['ic09', 'ic14'],
+  1024: ['ic10']
+};
+
+// PDF output: one image per page on a fixed paper size, or a page the size of each image
+const PDF_PAGE_SIZES = ['a4', 'letter', 'fit'];
+const PDF_ORIENTATIONS = ['auto', 'portrait', 'landscape'];
+const MAX_PDF_MARGIN = 100; // mm
+
+// Comparison previews: these outputs are shown as encoded, others are decoded to PNG first,
+// and icon containers and PDFs hold no single image to compare, so only their size is reported
+const BROWSER_PREVIEW_FORMATS = ['jpeg', 'png', 'webp', 'avif', 'gif'];
+const SIZE_ONLY_PREVIEW_FORMATS = ['ico', 'icns', 'pdf'];
+
+// Automatic format choice: the OUTPUT_FORMATS entries suited to a single photo or graphic.
+// Lossy ones are searched over a quality ladder for the lowest quality that still meets the
+// SSIM threshold; PNG is the lossless fallback that always qualifies.
+const AUTO_FORMATS = ['jpeg', 'webp', 'avif', 'heic', 'jxl', 'png'];
+const AUTO_LOSSLESS_FORMATS = ['png'];
+const AUTO_OPAQUE_FORMATS = ['jpeg'];
+const AUTO_QUALITIES = [30, 40, 50, 60, 70, 80, 90, 95];
+const DEFAULT_AUTO_THRESHOLD = 0.98;
+// Larger images are judged on a central crop of this size, which keeps compression
+// artifacts at their real scale; sizes are then scaled up by area
+const AUTO_SAMPLE_SIZE = 1024;
+
+// BMP bit depths that can be written, and the compression and color space codes used
+const BMP_BIT_DEPTHS = [24, 32, 8, 1];
+const BI_RGB = 0;
+const BI_RLE8 = 1;
+const BI_RLE4 = 2;
+const BI_BITFIELDS = 3;
+const BI_JPEG = 4;
+const BI_PNG = 5;
+const BI_ALPHABITFIELDS = 6;
+const LCS_SRGB = 0x73524742; // 'sRGB'
+const PROFILE_EMBEDDED = 0x4d424544; // 'MBED'
+const LCS_GM_IMAGES = 4;
+
 function normalizeFormat(format) {
   if (!format) return null;
   const value = String(format).toLowerCase();
@@ -36,6 +166,677 @@ function normalizeQuality(value) {
   return Math.min(100, Math.max(1, parsed));
 }
 
+function normalizeDimension(value) {
+  const parsed = parseInt(value, 10);
+  if (Number.isNaN(parsed) || parsed <= 0) return null;
+  return Math.min(MAX_DIMENSION, parsed);
+}
+
+function normalizeResize(resize) {
+  if (!resize || typeof resize !== 'object') return null;
+
+  const mode = String(resize.mode || 'none').toLowerCase();
+  if (!RESIZE_MODES.includes(mode)) {
+    throw new Error(`Unsupported resize mode: ${mode}`);
+  }
+  if (mode === 'none') return null;
+
+  const kernel = RESIZE_KERNELS.includes(resize.kernel) ? resize.kernel : 'lanczos3';
+
+  if (mode === 'percent') {
+    const percent = parseFloat(resize.percent);
+    if (!Number.isFinite(percent) || percent <= 0) {
+      throw new Error('Resize percentage must be greater than 0');
+    }
+    return { mode, percent: Math.min(1000, percent), kernel };
+  }
+
+  if (mode === 'long-edge') {
+    const longEdge = normalizeDimension(resize.longEdge);
+    if (!longEdge) {
+      throw new Error('Long edge resize requires a size in pixels');
+    }
+    return { mode, longEdge, kernel };
+  }
+
+  const width = normalizeDimension(resize.width);
+  const height = normalizeDimension(resize.height);
+
+  if (mode === 'fit') {
+    if (!width && !height) {
+      throw new Error('Fit resize requires a width or height');
+    }
+  } else if (!width || !height) {
+    throw new Error(`${mode === 'exact' ? 'Exact' : 'Cover'} resize requires both width and height`);
+  }
+
+  return { mode, width, height, kernel };
+}
+
+function clampInteger(value, min, max, fallback) {
+  const parsed = parseInt(value, 10);
+  if (Number.isNaN(parsed)) return fallback;
+  return Math.min(max, Math.max(min, parsed));
+}
+
+function normalizeRasterize(value) {
+  const settings = value && typeof value === 'object' ? value : {};
+  if (pickOption(settings.mode, RASTERIZE_MODES, 'dpi') === 'width') {
+    return { mode: 'width', width: clampInteger(settings.width, 1, MAX_DIMENSION, 2000) };
+  }
+  return { mode: 'dpi', dpi: clampInteger(settings.dpi, 1, MAX_RASTERIZE_DPI, DEFAULT_RASTERIZE_DPI) };
+}
+
+function pickOption(value, allowed, fallback) {
+  return allowed.includes(value) ? value : fallback;
+}
+
+// Translate advanced encoder settings from the UI into sharp options for one format.
+// Unknown or out-of-range values fall back to the encoder defaults.
+function normalizeEncoderOptions(format, encoder) {
+  const settings = encoder && typeof encoder === 'object' ? encoder : {};
+  const flag = (name) => settings[name] === true || settings[name] === 'true';
+
+  switch (format) {
+    case 'jpeg':
+      return {
+        progressive: flag('progressive'),
+        mozjpeg: flag('mozjpeg'),
+        chromaSubsampling: pickOption(settings.chromaSubsampling, ['4:2:0', '4:4:4'], '4:2:0')
+      };
+    case 'png': {
+      const options = {
+        compressionLevel: clampInteger(settings.compressionLevel, 0, 9, 6),
+        adaptiveFiltering: flag('adaptiveFiltering')
+      };
+      if (flag('palette')) {
+        options.palette = true;
+        options.colours = clampInteger(settings.colors, 2, 256, 256);
+      }
+      return options;
+    }
+    case 'webp':
+      return {
+        lossless: flag('lossless'),
+        nearLossless: flag('nearLossless'),
+        effort: clampInteger(settings.effort, 0, 6, 4),
+        alphaQuality: clampInteger(settings.alphaQuality, 0, 100, 100)
+      };
+    case 'avif':
+    case 'heic':
+      return {
+        effort: clampInteger(settings.effort, 0, 9, 4),
+        chromaSubsampling: pickOption(settings.chromaSubsampling, ['4:2:0', '4:4:4'], '4:4:4'),
+        lossless: flag('lossless'),
+        bitdepth: pickOption(parseInt(settings.bitdepth, 10), [8, 10, 12], 8)
+      };
+    case 'tiff': {
+      const options = {
+        compression: pickOption(settings.compression, ['none', 'lzw', 'deflate', 'jpeg'], 'none')
+      };
+      if (options.compression === 'lzw' || options.compression === 'deflate') {
+        options.predictor = 'horizontal';
+      }
+      if (flag('tile')) {
+        const tileSize = clampInteger(settings.tileSize, 16, 1024, 256);
+        // TIFF tiles must be a multiple of 16 pixels
+        options.tile = true;
+        options.tileWidth = Math.round(tileSize / 16) * 16;
+        options.tileHeight = options.tileWidth;
+      }
+      return options;
+    }
+    case 'jxl':
+      return {
+        effort: clampInteger(settings.effort, 1, 9, 7),
+        lossless: flag('lossless')
+      };
+    case 'bmp': {
+      const bitDepth = pickOption(parseInt(settings.bitDepth, 10), BMP_BIT_DEPTHS, 24);
+      return {
+        bitDepth,
+        header: pickOption(settings.header, ['v5', 'v4'], 'v5'),
+        rle: bitDepth === 8 && flag('rle')
+      };
+    }
+    case 'pdf':
+      return {
+        pageSize: pickOption(settings.pageSize, PDF_PAGE_SIZES, 'a4'),
+        orientation: pickOption(settings.orientation, PDF_ORIENTATIONS, 'auto'),
+        margin: clampInteger(settings.margin, 0, MAX_PDF_MARGIN, 10)
+      };
+    case 'ico':
+    case 'icns': {
+      const sizes = ICON_SIZES[format].filter(size => flag(`size${size}`));
+      return { sizes: sizes.length ? sizes : DEFAULT_ICON_SIZES[format] };
+    }
+    case 'gif':
+      return {
+        dither: clampInteger(settings.dither, 0, 100, 100) / 100,
+        colours: clampInteger(settings.colors, 2, 256, 256)
+      };
+    default:
+      return {};
+  }
+}
+
+// Translate a normalized resize setting into sharp resize() options.
+// Sizes refer to the upright, transformed image; swapAxes is set when the pixels stay stored sideways.
+async function resolveResizeOptions(inputBuffer, resize, options = {}) {
+  if (!resize) return null;
+  const resizeOptions = await resolveUprightResizeOptions(inputBuffer, resize, options);
+  if (!resizeOptions || !options.swapAxes) return resizeOptions;
+  return { ...resizeOptions, width: resizeOptions.height, height: resizeOptions.width };
+}
+
+async function resolveUprightResizeOptions(inputBuffer, resize, { page = 0, transform = null }) {
+  switch (resize.mode) {
+    case 'exact':
+      return { width: resize.width, height: resize.height, fit: 'fill', kernel: resize.kernel };
+    case 'fit':
+      return {
+        width: resize.width || undefined,
+        height: resize.height || undefined,
+        fit: 'inside',
+        kernel: resize.kernel
+      };
+    case 'cover':
+      return { width: resize.width, height: resize.height, fit: 'cover', position: 'centre', kernel: resize.kernel };
+    case 'long-edge':
+      return { width: resize.longEdge, height: resize.longEdge, fit: 'inside', kernel: resize.kernel };
+    case 'percent': {
+      // Scale the upright, cropped dimensions, since orientation and transforms are applied before resizing
+      const { width, height } = transformedSize(await readUprightSize(inputBuffer, page), transform);
+      if (!width || !height) {
+        throw new Error('Cannot scale an image with unknown dimensions');
+      }
+      const scale = resize.percent / 100;
+      return {
+        width: Math.min(MAX_DIMENSION, Math.max(1, Math.round(width * scale))),
+        height: Math.min(MAX_DIMENSION, Math.max(1, Math.round(height * scale))),
+        fit: 'fill',
+        kernel: resize.kernel
+      };
+    }
+    default:
+      return null;
+  }
+}
+
+// Size estimates, the comparison view and the Auto card encode the same file many times
+// per settings change, and developing RAW files or rendering PDF, JPEG XL and BMP sources
+// is the slow part, so the last source is kept while the file and render settings match
+let lastSource = null;
+
+// Load an original file for direct encoding. Returns null when sharp cannot decode it,
+// in which case the renderer falls back to sending canvas pixels.
+async function loadSourceImage(sourcePath, rasterize) {
+  if (!sourcePath || !sharp || !fs.existsSync(sourcePath)) return null;
+  const { mtimeMs, size } = fs.statSync(sourcePath);
+  const key = JSON.stringify([path.resolve(sourcePath), mtimeMs, size, normalizeRasterize(rasterize)]);
+  if (!lastSource || lastSource.key !== key) {
+    // The promise is kept, so requests that arrive while decoding share the result
+    lastSource = { key, source: decodeSourceImage(sourcePath, rasterize) };
+  }
+  return lastSource.source;
+}
+
+async function decodeSourceImage(sourcePath, rasterize) {
+  try {
+    const file = fs.readFileSync(sourcePath);
+    if (isPdf(file)) {
+      return await loadPdfSource(file, normalizeRasterize(rasterize));
+    }
+    const buffer = await decodeForSharp(file, sourcePath, rasterize);
+    const metadata = await sharp(buffer, { failOnError: false }).metadata();
+    const loader = sharp.format[metadata.format];
+    if (!loader || !loader.input || !loader.input.buffer) return null;
+    if (metadata.format === 'heif') {
+      // Prebuilt libheif may read HEIC headers but lack the HEVC decoder
+      await sharp(buffer, { failOnError: false }).resize(1, 1).raw().toBuffer();
+    }
+    return { buffer, metadata, file };
+  } catch (err) {
+    console.warn('Cannot decode source directly:', sourcePath, err.message);
+    return null;
+  }
+}
+
+// A PDF source is its first page; other pages are rendered with renderPage when selected
+async function loadPdfSource(file, rasterize) {
+  const pages = (await readPdfPages(file)).length;
+  // The selected page is encoded once per card estimate, so the last rendered one is kept
+  let lastPage = null;
+  const renderPage = page => {
+    if (!lastPage || lastPage.page !== page) {
+      const image = renderPdfPageImage(file, page, rasterize).catch(err => {
+        lastPage = null;
+        throw err;
+      });
+      lastPage = { page, image };
+    }
+    return lastPage.image;
+  };
+  const buffer = await renderPage(0);
+  const metadata = { ...(await sharp(buffer).metadata()), format: 'pdf', pages };
+  return { buffer, metadata, file, renderPage };
+}
+
+// Page sizes in points, from sharp when its libvips has a PDF loader, otherwise from pdfinfo
+async function readPdfPages(pdf) {
+  if (!sharpSupports('pdf', 'input')) {
+    return readPdfPageSizes(pdf);
+  }
+  const { pages = 1 } = await sharp(pdf).metadata();
+  const sizes = [];
+  for (let page = 0; page < pages; page++) {
+    const { width, height } = await sharp(pdf, { page }).metadata();
+    sizes.push({ width, height });
+  }
+  return sizes;
+}
+
+function rasterizedSize(size, rasterize) {
+  const scale = rasterize.mode === 'width' ? rasterize.width / size.width : rasterize.dpi / 72;
+  return {
+    width: Math.max(1, Math.round(size.width * scale)),
+    height: Math.max(1, Math.round(size.height * scale))
+  };
+}
+
+// PDF sizes are in points, so density 72 renders a page at its nominal size
+async function renderPdfPageImage(pdf, page, rasterize) {
+  if (!sharpSupports('pdf', 'input')) {
+    return renderPdfPage(pdf, page, rasterize);
+  }
+  if (rasterize.mode === 'dpi') {
+    return sharp(pdf, { density: rasterize.dpi, page }).png().toBuffer();
+  }
+  const { width } = await sharp(pdf, { page }).metadata();
+  return sharp(pdf, { density: 72 * rasterize.width / width, page })
+    .resize({ width: rasterize.width })
+    .png()
+    .toBuffer();
+}
+
+function isSvg(buffer, fileName) {
+  if (fileName && /\.svgz?$/i.test(fileName)) return true;
+  const head = buffer.subarray(0, 1024).toString('utf8').replace(/^\uFEFF/, '').trimStart();
+  return head.startsWith('<') && head.includes('<svg');
+}
+
+// sharp renders an SVG at its own pixel size at density 72, while SVG pixels are CSS pixels
+// at 96 DPI, so the DPI is scaled to make 96 the nominal size
+async function rasterizeSvg(svg, rasterize) {
+  if (rasterize.mode === 'dpi') {
+    return sharp(svg, { density: rasterize.dpi * 72 / 96 }).png().toBuffer();
+  }
+  const { width } = await sharp(svg).metadata();
+  return sharp(svg, { density: 72 * rasterize.width / width })
+    .resize({ width: rasterize.width })
+    .png()
+    .toBuffer();
+}
+
+function sharpSupports(format, direction) {
+  const loader = sharp && sharp.format[format];
+  return Boolean(loader && loader[direction] && loader[direction].buffer);
+}
+
+// A RAW file by its content, or a TIFF (or unknown content) with a RAW extension. Saving
+// and the get-* queries both decide by this, so a renamed JPEG or TIFF decodes the same way.
+function isRawSource(buffer, fileName) {
+  const detected = sniffFormat(buffer.subarray(0, SNIFF_LENGTH));
+  return (!detected || detected === 'tiff' || detected === 'raw') && isCameraRaw(buffer, fileName);
+}
+
+// Prebuilt sharp has no JPEG XL decoder, so .jxl files are handed over as a PNG from djxl.
+// libvips only reads BMP through ImageMagick, so BMPs are decoded here and passed on as PNG.
+// Camera RAW files are developed to TIFF or replaced by their embedded preview JPEG; the
+// file name is needed to tell TIFF-based RAW formats from plain TIFF.
+// SVG and PDF (first page only) are rendered to PNG with the rasterize settings.
+async function decodeForSharp(buffer, fileName, rasterize) {
+  // The content decides; the name only counts for TIFF-based RAW files and SVG without a
+  // recognizable root element, so a renamed JPEG is never sent to the RAW or SVG decoder
+  const detected = sniffFormat(buffer.subarray(0, SNIFF_LENGTH));
+  if (isRawSource(buffer, fileName)) {
+    return decodeCameraRaw(buffer, fileName);
+  }
+  if ((!detected || detected === 'svg') && isSvg(buffer, fileName)) {
+    return rasterizeSvg(buffer, normalizeRasterize(rasterize));
+  }
+  if (isPdf(buffer)) {
+    return renderPdfPageImage(buffer, 0, normalizeRasterize(rasterize));
+  }
+  if (isJxl(buffer) && !sharpSupports('jxl', 'input')) {
+    return decodeJxl(buffer);
+  }
+  if (isBmp(buffer)) {
+    const bmp = decodeBmp(buffer);
+    if (bmp.embedded) return bmp.embedded;
+    let pipeline = sharp(bmp.data, { raw: { width: bmp.width, height: bmp.height, channels: 4 } });
+    if (bmp.opaque) pipeline = pipeline.removeAlpha();
+    const png = await pipeline.png().toBuffer();
+    return bmp.icc ? insertPngIccProfile(png, bmp.icc) : png;
+  }
+  return buffer;
+}
+
+// Lossless JPEG <-> JPEG XL transcodes copy the original file's data, so they only apply
+// when no setting would change the pixels or the metadata
+function canTranscodeLosslessly(options) {
+  return Boolean(options.native && options.sourceFile) &&
+    !options.page &&
+    !normalizeResize(options.resize) &&
+    !normalizeTransform(options.transform) &&
+    normalizeMetadataPolicy(options.metadata) === 'keep' &&
+    (!options.color || options.color === 'keep');
+}
+
+function wantsJpegRecompression(encoder) {
+  return Boolean(encoder) && (encoder.recompressJpeg === true || encoder.recompressJpeg === 'true');
+}
+
+// Whether a JPEG XL encode repacks the source JPEG's data instead of encoding its pixels
+function repacksJpegLosslessly(format, options) {
+  return format === 'jxl' && wantsJpegRecompression(options.encoder) &&
+    canTranscodeLosslessly(options) && isJpeg(options.sourceFile);
+}
+
+function normalizeOrientationMode(value) {
+  return ORIENTATION_MODES.includes(value) ? value : 'bake';
+}
+
+// libvips resets the orientation of HEIF images it has already transformed, so the EXIF block is checked too
+async function readOrientation(input, page = 0) {
+  const metadata = await sharp(input, { failOnError: false, page }).metadata();
+  if (metadata.orientation > 1) return metadata.orientation;
+  return metadata.exif ? readExifOrientation(metadata.exif) : 1;
+}
+
+async function readUprightSize(input, page = 0) {
+  const metadata = await sharp(input, { failOnError: false, page }).metadata();
+  const { width, height } = metadata.autoOrient || metadata;
+  if (!width || !height) {
+    throw new Error('Cannot transform an image with unknown dimensions');
+  }
+  return { width, height };
+}
+
+/**
+ * Validate a preview transform: an optional horizontal mirror, then a clockwise
+ * rotation, then a crop given as fractions (0-1) of the rotated image.
+ * @returns {{mirror: boolean, rotate: number, crop: Object|null}|null} null when nothing changes
+ */
+function normalizeTransform(transform) {
+  if (!transform || typeof transform !== 'object') return null;
+
+  const angle = Math.round((Number(transform.rotate) || 0) / 90) * 90;
+  const rotate = ((angle % 360) + 360) % 360;
+  const mirror = Boolean(transform.mirror);
+
+  let crop = null;
+  if (transform.crop && typeof transform.crop === 'object') {
+    const clamp = value => Math.min(1, Math.max(0, Number(value) || 0));
+    const left = clamp(transform.crop.left);
+    const top = clamp(transform.crop.top);
+    const width = Math.min(clamp(transform.crop.width), 1 - left);
+    const height = Math.min(clamp(transform.crop.height), 1 - top);
+    if (width <= 0 || height <= 0) {
+      throw new Error('Crop area is empty');
+    }
+    if (width < 1 || height < 1) {
+      crop = { left, top, width, height };
+    }
+  }
+
+  if (!rotate && !mirror && !crop) return null;
+  return { mirror, rotate, crop };
+}
+
+function cropRegion(size, crop) {
+  const left = Math.min(size.width - 1, Math.round(crop.left * size.width));
+  const top = Math.min(size.height - 1, Math.round(crop.top * size.height));
+  return {
+    left,
+    top,
+    width: Math.max(1, Math.min(size.width - left, Math.round(crop.width * size.width))),
+    height: Math.max(1, Math.min(size.height - top, Math.round(crop.height * size.height)))
+  };
+}
+
+function transformedSize(size, transform) {
+  if (!transform) return size;
+  const rotated = transform.rotate % 180 === 0
+    ? size
+    : { width: size.height, height: size.width };
+  if (!transform.crop) return rotated;
+  const { width, height } = cropRegion(rotated, transform.crop);
+  return { width, height };
+}
+
+// sharp always mirrors before rotating and extracts afterwards, whatever the call order
+function applyTransform(pipeline, transform, size) {
+  let result = pipeline;
+  if (transform.mirror) {
+    result = result.flop();
+  }
+  if (transform.rotate) {
+    result = result.rotate(transform.rotate);
+  }
+  if (transform.crop) {
+    const rotated = transform.rotate % 180 === 0 ? size : { width: size.height, height: size.width };
+    result = result.extract(cropRegion(rotated, transform.crop));
+  }
+  return result;
+}
+
+function readBitDepth(metadata) {
+  if (!metadata) return 8;
+  return metadata.bitsPerSample || SAMPLE_BIT_DEPTHS[metadata.depth] || 8;
+}
+
+// 16-bit interpretation that keeps a high-bit-depth source, or null when output is 8-bit anyway
+async function resolveHighBitDepth(inputBuffer, format, encoderOptions, options = {}) {
+  if (!options.native || outputBitDepth(format, encoderOptions) <= 8) return null;
+  const metadata = await sharp(inputBuffer, { failOnError: false, page: options.page || 0 }).metadata();
+  if (readBitDepth(metadata) <= 8) return null;
+  // Converting to a color profile produces RGB even from grayscale
+  const converts = options.color && options.color !== 'keep';
+  return GREY_SPACES.includes(metadata.space) && !converts ? 'grey16' : 'rgb16';
+}
+
+function normalizeColorProfile(value) {
+  if (!value) return 'keep';
+  const name = String(value).toLowerCase();
+  if (COLOR_PROFILES.includes(name)) return name;
+
+  const profilePath = path.resolve(String(value));
+  let profile;
+  try {
+    profile = fs.readFileSync(profilePath);
+  } catch (err) {
+    throw new Error(`Color profile not found: ${value}`);
+  }
+  if (!isIccProfile(profile)) {
+    throw new Error(`Not an ICC color profile: ${value}`);
+  }
+  return profilePath;
+}
+
+const builtInProfiles = new Map();
+
+// Raw bytes of an output profile, for tagging the EXIF carrier
+async function readColorProfile(color) {
+  if (!COLOR_PROFILES.includes(color)) {
+    return fs.readFileSync(color);
+  }
+  if (!builtInProfiles.has(color)) {
+    const tagged = await sharp({ create: { width: 1, height: 1, channels: 3, background: '#000000' } })
+      .withIccProfile(color)
+      .png()
+      .toBuffer();
+    builtInProfiles.set(color, (await sharp(tagged).metadata()).icc);
+  }
+  return builtInProfiles.get(color);
+}
+
+// sharp reads untagged 16-bit RGB as Display P3, so before a conversion the pixels are
+// re-read from a 16-bit PNG tagged as sRGB, which is what untagged files mean
+async function assumeSrgbSource(pipeline) {
+  const { data, info } = await pipeline
+    .toColourspace('rgb16')
+    .raw({ depth: 'ushort' })
+    .toBuffer({ resolveWithObject: true });
+  const tagged = await sharp(new Uint16Array(data.buffer, data.byteOffset, data.length / 2), {
+    raw: { width: info.width, height: info.height, channels: info.channels }
+  })
+    .toColourspace('rgb16')
+    .png({ compressionLevel: 0 })
+    .toBuffer();
+  return sharp(insertPngIccProfile(tagged, await readColorProfile('srgb')));
+}
+
+async function readSourceMetadata(sourcePath) {
+  if (!sourcePath || !sharp) return null;
+  try {
+    const { exif, icc, xmp } = await sharp(sourcePath, { failOnError: false }).metadata();
+    return { exif: exif || null, icc: icc || null, xmp: xmp || null };
+  } catch (err) {
+    console.warn('Could not read source metadata:', sourcePath, err.message);
+    return null;
+  }
+}
+
+// sharp cannot attach a raw EXIF block or raw ICC profile, so the pixels are composited
+// over a JPEG base layer that carries both and the metadata is kept from that base.
+// The pipeline's color handling runs first, so the raw pixels are already in `icc`.
+async function attachExif(pipeline, exif, icc, highBitDepth) {
+  if (highBitDepth) {
+    // A JPEG base would cut the pixels to 8 bits, so 16-bit pixels become a PNG
+    // that carries the metadata in its own chunks
+    const { data, info } = await pipeline.raw({ depth: 'ushort' }).toBuffer({ resolveWithObject: true });
+    let carrier = await sharp(new Uint16Array(data.buffer, data.byteOffset, data.length / 2), {
+      raw: { width: info.width, height: info.height, channels: info.channels }
+    })
+      .toColourspace(highBitDepth)
+      .png({ compressionLevel: 0 })
+      .toBuffer();
+    if (icc) {
+      carrier = insertPngIccProfile(carrier, icc);
+    }
+    carrier = insertPngExifChunk(carrier, exif);
+    const result = sharp(carrier).keepExif().toColourspace(highBitDepth);
+    return icc ? result.keepIccProfile() : result;
+  }
+
+  const { data, info } = await pipeline
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  let carrier = await sharp({
+    create: { width: info.width, height: info.height, channels: 3, background: '#000000' }
+  })
+    .jpeg({ quality: 1 })
+    .toBuffer();
+  if (icc) {
+    carrier = insertJpegIccProfile(carrier, icc);
+  }
+  try {
+    carrier = insertJpegExifSegment(carrier, exif);
+  } catch (err) {
+    console.warn('Dropping EXIF metadata:', err.message);
+  }
+
+  const result = sharp(carrier)
+    .composite([{
+      input: data,
+      raw: { width: info.width, height: info.height, channels: info.channels },
+      blend: 'source'
+    }])
+    .keepExif();
+  return icc ? result.keepIccProfile() : result;
+}
+
+async function createSourcePipeline(inputBuffer, options = {}) {
+  // Multi-page TIFF and multi-image HEIF sources select one page at a time
+  const page = options.page || 0;
+  // Canvas pixels that were never color managed are tagged with the source profile,
+  // so sharp converts them like the original file
+  const input = !options.native && options.canvasProfile
+    ? insertPngIccProfile(inputBuffer, options.canvasProfile)
+    : inputBuffer;
+  let pipeline = sharp(input, { failOnError: false, page });
+  // Original files may carry an EXIF orientation; bake it into the pixels unless it is kept as a tag
+  const keptOrientation = options.native ? options.keepOrientation || 1 : 1;
+  if (options.native && keptOrientation === 1) {
+    pipeline = pipeline.autoOrient();
+  }
+  const transform = normalizeTransform(options.transform);
+  if (transform) {
+    pipeline = applyTransform(pipeline, transform, await readUprightSize(inputBuffer, page));
+  }
+  const resizeOptions = await resolveResizeOptions(inputBuffer, normalizeResize(options.resize), {
+    page,
+    transform,
+    swapAxes: keptOrientation >= 5
+  });
+  if (resizeOptions) {
+    pipeline = pipeline.resize(resizeOptions);
+  }
+  // sharp reduces output to 8 bits per channel unless a 16-bit space is requested
+  if (options.highBitDepth) {
+    pipeline = pipeline.toColourspace(options.highBitDepth);
+  }
+
+  const metadata = options.metadata;
+  if (!metadata) return pipeline;
+
+  // 'keep' leaves the pixels in the source profile when the policy keeps it (other canvas
+  // pixels are sRGB); conversions always tag the output so the new pixel values read correctly
+  const color = options.color || 'keep';
+  let profile = null;
+  if (color !== 'keep') {
+    profile = color;
+    if (options.native) {
+      const source = await sharp(input, { failOnError: false, page }).metadata();
+      if (source.space === 'rgb16' && !source.icc) {
+        pipeline = await assumeSrgbSource(pipeline);
+        if (options.highBitDepth) {
+          pipeline = pipeline.toColourspace(options.highBitDepth);
+        }
+      }
+    }
+  } else if (metadata.icc) {
+    profile = options.native || options.canvasProfile ? 'keep' : 'srgb';
+  }
+  if (profile === 'keep') {
+    pipeline = pipeline.keepIccProfile();
+  } else if (profile) {
+    pipeline = pipeline.withIccProfile(profile);
+  }
+
+  const carryExif = Boolean(metadata.exif && options.embedExif !== false);
+  if (carryExif) {
+    const icc = profile === 'keep' ? metadata.icc : profile && await readColorProfile(profile);
+    pipeline = await attachExif(pipeline, metadata.exif, icc, options.highBitDepth);
+  }
+  if (keptOrientation > 1) {
+    // Without source EXIF a minimal block carries just the orientation. withMetadata also
+    // converts to sRGB, so it is only used when the carried EXIF has no orientation tag.
+    if (!carryExif) {
+      pipeline = pipeline.withExif({ IFD0: { Orientation: String(keptOrientation) } });
+    } else if (readExifOrientation(metadata.exif) !== keptOrientation) {
+      pipeline = pipeline.withMetadata({ orientation: keptOrientation });
+    }
+  }
+  if (metadata.xmp) {
+    pipeline = pipeline.withXmp(metadata.xmp);
+  }
+  return pipeline;
+}
+
 function parseDataUrl(dataUrl) {
   const matches = dataUrl.match(/^data:([^;]+);base64,(.+)$/);
   if (!matches || matches.length !== 3) {
@@ -54,8 +855,88 @@ function ensureExtension(filePath, extension) {
   return filePath;
 }
 
+// The first bytes of a file, for format sniffing; empty when the file cannot be read
+function readFileHead(filePath) {
+  let fd = null;
+  try {
+    fd = fs.openSync(filePath, 'r');
+    const head = Buffer.alloc(SNIFF_LENGTH);
+    return head.subarray(0, fs.readSync(fd, head, 0, SNIFF_LENGTH, 0));
+  } catch (err) {
+    return Buffer.alloc(0);
+  } finally {
+    if (fd !== null) fs.closeSync(fd);
+  }
+}
+
+// Renamed and extensionless files are picked up when their content is a supported image
+function isSupportedInputPath(filePath) {
+  const ext = path.extname(filePath).toLowerCase().replace('.', '');
+  return INPUT_EXTENSIONS.includes(ext) || sniffFormat(readFileHead(filePath)) !== null;
+}
+
+/**
+ * Identify a file on disk by its content (see format-sniffer.js).
+ * @returns {{format: string|null, detected: string|null, expected: string|null, warning: string|null}}
+ */
+function identifyInputFile(filePath) {
+  return identifyFormat(readFileHead(filePath), filePath);
+}
+
+function collectImageFiles(inputPaths, recursive) {
+  const results = [];
+  const seen = new Set();
+
+  const visit = (target, depth) => {
+    let stats;
+    try {
+      stats = fs.statSync(target);
+    } catch (err) {
+      console.warn('Skipping unreadable path:', target, err.message);
+      return;
+    }
+
+    if (stats.isDirectory()) {
+      // Top-level folders are always listed; nested ones only when recursive
+      if (depth > 0 && !recursive) return;
+      let entries;
+      try {
+        entries = fs.readdirSync(target, { withFileTypes: true });
+      } catch (err) {
+        console.warn('Skipping unreadable folder:', target, err.message);
+        return;
+      }
+      entries
+        .filter(entry => !entry.name.startsWith('.'))
+        .sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }))
+        .forEach(entry => visit(path.join(target, entry.name), depth + 1));
+      return;
+    }
+
+    if (stats.isFile() && isSupportedInputPath(target) && !seen.has(target)) {
+      seen.add(target);
+      results.push(target);
+    }
+  };
+
+  inputPaths.forEach(inputPath => visit(inputPath, 0));
+  return results;
+}
+
+function uniqueOutputPath(directory, fileName) {
+  const ext = path.extname(fileName);
+  const base = path.basename(fileName, ext);
+  let candidate = path.join(directory, fileName);
+  let counter = 1;
+  while (fs.existsSync(candidate)) {
+    candidate = path.join(directory, `${base} (${counter})${ext}`);
+    counter += 1;
+  }
+  return candidate;
+}
+
 function buildSaveFilters(targetFormat) {
-  const ordered = ['jpeg', 'png', 'webp', 'avif', 'heic', 'gif', 'bmp', 'tiff'];
+  const ordered = ['jpeg', 'png', 'webp', 'avif', 'heic', 'jxl', 'gif', 'bmp', 'tiff', 'ico', 'icns', 'pdf'];
   const filters = [];
   const formatKey = normalizeFormat(targetFormat);
 
@@ -83,91 +964,1032 @@ function buildSaveFilters(targetFormat) {
   return filters;
 }
 
-function encodeBmp(pixelData, width, height) {
-  const bytesPerPixel = 3;
+// BMP rows are padded to 4 bytes and stored bottom-up
+function writeBmpRows(pixelData, width, height, bytesPerPixel) {
   const rowStride = Math.floor((width * bytesPerPixel + 3) / 4) * 4;
-  const imageSize = rowStride * height;
+  const rows = Buffer.alloc(rowStride * height);
+  for (let y = 0; y < height; y++) {
+    const sourceRow = height - 1 - y;
+    let rowOffset = y * rowStride;
+    for (let x = 0; x < width; x++) {
+      const srcIndex = (sourceRow * width + x) * 4;
+      rows[rowOffset++] = pixelData[srcIndex + 2];
+      rows[rowOffset++] = pixelData[srcIndex + 1];
+      rows[rowOffset++] = pixelData[srcIndex];
+      if (bytesPerPixel === 4) {
+        rows[rowOffset++] = pixelData[srcIndex + 3];
+      }
+    }
+  }
+  return rows;
+}
+
+// Build a palette from already quantized pixels; alpha is ignored since BMP palettes are opaque
+function indexBmpColors(pixelData, width, height, maxColors) {
+  const palette = [];
+  const lookup = new Map();
+  const indices = new Uint8Array(width * height);
+  for (let i = 0; i < indices.length; i++) {
+    const key = (pixelData[i * 4] << 16) | (pixelData[i * 4 + 1] << 8) | pixelData[i * 4 + 2];
+    let index = lookup.get(key);
+    if (index === undefined) {
+      if (palette.length >= maxColors) {
+        throw new Error(`Image has more than ${maxColors} colors`);
+      }
+      index = palette.length;
+      palette.push(key);
+      lookup.set(key, index);
+    }
+    indices[i] = index;
+  }
+  return { palette, indices };
+}
+
+function packBmpIndices(indices, width, height, bitDepth) {
+  const rowStride = Math.floor((width * bitDepth + 31) / 32) * 4;
+  const rows = Buffer.alloc(rowStride * height);
+  for (let y = 0; y < height; y++) {
+    const sourceRow = height - 1 - y;
+    for (let x = 0; x < width; x++) {
+      const index = indices[sourceRow * width + x];
+      if (bitDepth === 8) {
+        rows[y * rowStride + x] = index;
+      } else {
+        rows[y * rowStride + (x >> 3)] |= index << (7 - (x & 7));
+      }
+    }
+  }
+  return rows;
+}
+
+// RLE8 writes repeated indices as (count, index) and other stretches as absolute runs
+// (0, count, indices, padded to 2 bytes); rows end with (0, 0) and the last one with (0, 1)
+function encodeRle8(indices, width, height) {
+  const output = Buffer.alloc(height * (width * 2 + 2));
+  let offset = 0;
+  for (let y = 0; y < height; y++) {
+    const row = indices.subarray((height - 1 - y) * width, (height - y) * width);
+    let x = 0;
+    while (x < width) {
+      let run = 1;
+      while (x + run < width && run < 255 && row[x + run] === row[x]) run++;
+      if (run > 1) {
+        output[offset++] = run;
+        output[offset++] = row[x];
+        x += run;
+        continue;
+      }
+
+      let end = x + 1;
+      while (end < width && end - x < 255 && !(end + 1 < width && row[end] === row[end + 1])) end++;
+      const length = end - x;
+      if (length < 3) {
+        // Absolute runs must hold at least 3 indices
+        for (let i = x; i < end; i++) {
+          output[offset++] = 1;
+          output[offset++] = row[i];
+        }
+      } else {
+        output[offset++] = 0;
+        output[offset++] = length;
+        output.set(row.subarray(x, end), offset);
+        offset += length + (length % 2);
+      }
+      x = end;
+    }
+    output[offset++] = 0;
+    output[offset++] = y === height - 1 ? 1 : 0;
+  }
+  return output.subarray(0, offset);
+}
+
+/**
+ * Write a BMP from RGBA pixels. 24-bit uses a BITMAPINFOHEADER; 32-bit keeps alpha behind
+ * BITMAPV4/V5 channel masks; 8-bit and 1-bit index the (already quantized) colors, and
+ * 8-bit can be RLE8 compressed.
+ * @param {{bitDepth?: number, header?: string, rle?: boolean}} [options]
+ */
+function encodeBmp(pixelData, width, height, options = {}) {
+  const bitDepth = options.bitDepth || 24;
   const fileHeaderSize = 14;
-  const infoHeaderSize = 40;
-  const fileSize = fileHeaderSize + infoHeaderSize + imageSize;
+  let infoHeaderSize = 40;
+  let compression = BI_RGB;
+  let palette = [];
+  let pixels;
+
+  if (bitDepth === 32) {
+    infoHeaderSize = options.header === 'v4' ? 108 : 124;
+    compression = BI_BITFIELDS;
+    pixels = writeBmpRows(pixelData, width, height, 4);
+  } else if (bitDepth <= 8) {
+    const indexed = indexBmpColors(pixelData, width, height, 1 << bitDepth);
+    palette = indexed.palette;
+    if (options.rle && bitDepth === 8) {
+      compression = BI_RLE8;
+      pixels = encodeRle8(indexed.indices, width, height);
+    } else {
+      pixels = packBmpIndices(indexed.indices, width, height, bitDepth);
+    }
+  } else {
+    pixels = writeBmpRows(pixelData, width, height, 3);
+  }
 
+  const pixelOffset = fileHeaderSize + infoHeaderSize + palette.length * 4;
+  const fileSize = pixelOffset + pixels.length;
   const buffer = Buffer.alloc(fileSize);
 
   buffer.write('BM', 0, 2, 'ascii');
   buffer.writeUInt32LE(fileSize, 2);
   buffer.writeUInt32LE(0, 6);
-  buffer.writeUInt32LE(fileHeaderSize + infoHeaderSize, 10);
+  buffer.writeUInt32LE(pixelOffset, 10);
 
   buffer.writeUInt32LE(infoHeaderSize, 14);
   buffer.writeInt32LE(width, 18);
   buffer.writeInt32LE(height, 22);
   buffer.writeUInt16LE(1, 26);
-  buffer.writeUInt16LE(bytesPerPixel * 8, 28);
-  buffer.writeUInt32LE(0, 30);
-  buffer.writeUInt32LE(imageSize, 34);
+  buffer.writeUInt16LE(bitDepth, 28);
+  buffer.writeUInt32LE(compression, 30);
+  buffer.writeUInt32LE(pixels.length, 34);
   buffer.writeInt32LE(2835, 38);
   buffer.writeInt32LE(2835, 42);
-  buffer.writeUInt32LE(0, 46);
+  buffer.writeUInt32LE(palette.length, 46);
   buffer.writeUInt32LE(0, 50);
 
-  let offset = fileHeaderSize + infoHeaderSize;
-  for (let y = 0; y < height; y++) {
-    const sourceRow = height - 1 - y;
-    let rowOffset = offset + y * rowStride;
-    for (let x = 0; x < width; x++) {
-      const srcIndex = (sourceRow * width + x) * 4;
-      buffer[rowOffset++] = pixelData[srcIndex + 2];
-      buffer[rowOffset++] = pixelData[srcIndex + 1];
-      buffer[rowOffset++] = pixelData[srcIndex];
+  if (infoHeaderSize > 40) {
+    buffer.writeUInt32LE(0x00ff0000, 54);
+    buffer.writeUInt32LE(0x0000ff00, 58);
+    buffer.writeUInt32LE(0x000000ff, 62);
+    buffer.writeUInt32LE(0xff000000, 66);
+    buffer.writeUInt32LE(LCS_SRGB, 70);
+    // Endpoints and gamma are unused for sRGB and stay zero
+    if (infoHeaderSize === 124) {
+      buffer.writeUInt32LE(LCS_GM_IMAGES, 122);
     }
   }
 
+  palette.forEach((color, index) => {
+    const entry = fileHeaderSize + infoHeaderSize + index * 4;
+    buffer[entry] = color & 0xff;
+    buffer[entry + 1] = (color >> 8) & 0xff;
+    buffer[entry + 2] = (color >> 16) & 0xff;
+  });
+
+  pixels.copy(buffer, pixelOffset);
   return buffer;
 }
 
-async function encodeOutputBuffer(inputBuffer, targetFormat, qualityValue) {
+function isBmp(buffer) {
+  return Boolean(buffer) && buffer.length >= 26 && buffer.toString('ascii', 0, 2) === 'BM';
+}
+
+// Scale a bitfield channel to 8 bits
+function readMaskedChannel(value, mask) {
+  if (!mask) return 255;
+  let shift = 0;
+  while (!((mask >>> shift) & 1)) shift++;
+  let bits = 0;
+  while ((mask >>> (shift + bits)) & 1) bits++;
+  const channel = ((value & mask) >>> 0) >>> shift;
+  if (bits >= 8) return channel >>> (bits - 8);
+  return Math.round(channel * 255 / ((1 << bits) - 1));
+}
+
+/**
+ * Decode a BMP into RGBA pixels. Handles OS/2 and Windows headers up to V5, 1/2/4/8-bit
+ * palettes, RLE4/RLE8, 16/24/32-bit with or without bitfield masks, and top-down rows.
+ * Embedded JPEG/PNG data is returned as is for sharp to decode.
+ * @returns {{width: number, height: number, data: Buffer, opaque: boolean, icc: Buffer|null}|{embedded: Buffer}}
+ */
+function decodeBmp(buffer) {
+  if (!isBmp(buffer)) {
+    throw new Error('Not a BMP file');
+  }
+  const pixelOffset = buffer.readUInt32LE(10);
+  const headerSize = buffer.readUInt32LE(14);
+  const core = headerSize === 12;
+  const width = core ? buffer.readUInt16LE(18) : buffer.readInt32LE(18);
+  const rawHeight = core ? buffer.readInt16LE(20) : buffer.readInt32LE(22);
+  const bitCount = buffer.readUInt16LE(core ? 24 : 28);
+  const compression = core ? BI_RGB : buffer.readUInt32LE(30);
+  const topDown = rawHeight < 0;
+  const height = Math.abs(rawHeight);
+
+  if (headerSize === 64 && (compression === 3 || compression === 4)) {
+    throw new Error('OS/2 Huffman and RLE24 bitmaps are not supported');
+  }
+  if (compression === BI_JPEG || compression === BI_PNG) {
+    const size = buffer.readUInt32LE(34) || buffer.length - pixelOffset;
+    return { embedded: buffer.subarray(pixelOffset, pixelOffset + size) };
+  }
+  if (width <= 0 || height === 0 || width > MAX_DIMENSION || height > MAX_DIMENSION) {
+    throw new Error(`Invalid BMP dimensions ${width}x${height}`);
+  }
+  if (![1, 2, 4, 8, 16, 24, 32].includes(bitCount)) {
+    throw new Error(`Unsupported BMP bit depth: ${bitCount}`);
+  }
+
+  // Bitfield masks sit right after a 40-byte header, or inside V2 and later headers
+  let masks = null;
+  const hasMasks = compression === BI_BITFIELDS || compression === BI_ALPHABITFIELDS;
+  if (hasMasks) {
+    const hasAlphaMask = headerSize >= 56 || compression === BI_ALPHABITFIELDS;
+    masks = [
+      buffer.readUInt32LE(54),
+      buffer.readUInt32LE(58),
+      buffer.readUInt32LE(62),
+      hasAlphaMask ? buffer.readUInt32LE(66) : 0
+    ];
+  } else if (bitCount === 16) {
+    masks = [0x7c00, 0x03e0, 0x001f, 0];
+  } else if (bitCount === 32) {
+    masks = [0x00ff0000, 0x0000ff00, 0x000000ff, 0xff000000];
+  }
+
+  let palette = [];
+  if (bitCount <= 8) {
+    const entrySize = core ? 3 : 4;
+    let paletteOffset = 14 + headerSize;
+    if (headerSize === 40 && hasMasks) {
+      paletteOffset += compression === BI_ALPHABITFIELDS ? 16 : 12;
+    }
+    const colorsUsed = core ? 0 : buffer.readUInt32LE(46);
+    const count = Math.min(colorsUsed || 1 << bitCount, 256, Math.floor((pixelOffset - paletteOffset) / entrySize));
+    palette = Array.from({ length: Math.max(0, count) }, (_, index) => {
+      const entry = paletteOffset + index * entrySize;
+      return [buffer[entry + 2], buffer[entry + 1], buffer[entry]];
+    });
+  }
+
+  let icc = null;
+  if (headerSize >= 124 && buffer.readUInt32LE(70) === PROFILE_EMBEDDED) {
+    const profileOffset = 14 + buffer.readUInt32LE(126);
+    const profileSize = buffer.readUInt32LE(130);
+    if (profileSize > 0 && profileOffset + profileSize <= buffer.length) {
+      icc = buffer.subarray(profileOffset, profileOffset + profileSize);
+    }
+  }
+
+  const data = Buffer.alloc(width * height * 4);
+  const setIndex = (x, row, index) => {
+    if (x >= width || row >= height) return;
+    const y = topDown ? row : height - 1 - row;
+    const color = palette[index] || [0, 0, 0];
+    const target = (y * width + x) * 4;
+    data[target] = color[0];
+    data[target + 1] = color[1];
+    data[target + 2] = color[2];
+    data[target + 3] = 255;
+  };
+
+  if (compression === BI_RLE8 || compression === BI_RLE4) {
+    // Pixels skipped by delta or end-of-line codes stay transparent
+    decodeBmpRle(buffer, pixelOffset, compression === BI_RLE4, setIndex);
+  } else {
+    const rowStride = Math.floor((width * bitCount + 31) / 32) * 4;
+    if (pixelOffset + rowStride * height > buffer.length) {
+      throw new Error('BMP pixel data is truncated');
+    }
+    let alphaSeen = false;
+    for (let row = 0; row < height; row++) {
+      const rowOffset = pixelOffset + row * rowStride;
+      const y = topDown ? row : height - 1 - row;
+      for (let x = 0; x < width; x++) {
+        if (bitCount <= 8) {
+          const bitOffset = x * bitCount;
+          const byte = buffer[rowOffset + (bitOffset >> 3)];
+          setIndex(x, row, (byte >> (8 - bitCount - (bitOffset & 7))) & ((1 << bitCount) - 1));
+          continue;
+        }
+        const target = (y * width + x) * 4;
+        if (bitCount === 24) {
+          const source = rowOffset + x * 3;
+          data[target] = buffer[source + 2];
+          data[target + 1] = buffer[source + 1];
+          data[target + 2] = buffer[source];
+          data[target + 3] = 255;
+          continue;
+        }
+        const value = bitCount === 16
+          ? buffer.readUInt16LE(rowOffset + x * 2)
+          : buffer.readUInt32LE(rowOffset + x * 4);
+        data[target] = readMaskedChannel(value, masks[0]);
+        data[target + 1] = readMaskedChannel(value, masks[1]);
+        data[target + 2] = readMaskedChannel(value, masks[2]);
+        data[target + 3] = readMaskedChannel(value, masks[3]);
+        if (masks[3] && data[target + 3] !== 0) alphaSeen = true;
+      }
+    }
+    // Plain 32-bit BMPs often leave the fourth byte at zero; treat that as opaque like browsers do
+    if (masks && masks[3] && !alphaSeen && !hasMasks) {
+      for (let i = 3; i < data.length; i += 4) data[i] = 255;
+    }
+  }
+
+  let opaque = true;
+  for (let i = 3; i < data.length; i += 4) {
+    if (data[i] !== 255) {
+      opaque = false;
+      break;
+    }
+  }
+  return { width, height, data, opaque, icc };
+}
+
+// Walk RLE8/RLE4 codes, handing each decoded palette index to setIndex(x, row, index)
+function decodeBmpRle(buffer, offset, nibbles, setIndex) {
+  let x = 0;
+  let row = 0;
+  let position = offset;
+  while (position + 1 < buffer.length) {
+    const count = buffer[position];
+    const value = buffer[position + 1];
+    position += 2;
+    if (count > 0) {
+      for (let i = 0; i < count; i++) {
+        setIndex(x++, row, nibbles ? (i % 2 ? value & 0x0f : value >> 4) : value);
+      }
+    } else if (value === 0) {
+      x = 0;
+      row++;
+    } else if (value === 1) {
+      return;
+    } else if (value === 2) {
+      x += buffer[position] || 0;
+      row += buffer[position + 1] || 0;
+      position += 2;
+    } else {
+      const byteLength = nibbles ? Math.ceil(value / 2) : value;
+      for (let i = 0; i < value; i++) {
+        const byte = buffer[position + (nibbles ? i >> 1 : i)];
+        setIndex(x++, row, nibbles ? (i % 2 ? byte & 0x0f : byte >> 4) : byte);
+      }
+      // Absolute runs are padded to 16 bits
+      position += byteLength + (byteLength % 2);
+    }
+  }
+}
+
+/**
+ * Write a Windows .ico holding one image per size. 256px entries are stored as PNG,
+ * smaller ones as 32-bit BMP data, which every Windows version can read.
+ * @param {{size: number, data: Buffer, png: Buffer}[]} images - RGBA pixels and PNG per size
+ */
+function encodeIco(images) {
+  const headerSize = 6;
+  const entrySize = 16;
+  const payloads = images.map(({ size, data, png }) => {
+    if (size >= 256) return png;
+
+    // Icon BMPs have no file header, double the height for the AND mask, and store rows bottom-up
+    const infoHeaderSize = 40;
+    const colorSize = size * size * 4;
+    const maskStride = Math.ceil(size / 32) * 4;
+    const payload = Buffer.alloc(infoHeaderSize + colorSize + maskStride * size);
+    payload.writeUInt32LE(infoHeaderSize, 0);
+    payload.writeInt32LE(size, 4);
+    payload.writeInt32LE(size * 2, 8);
+    payload.writeUInt16LE(1, 12);
+    payload.writeUInt16LE(32, 14);
+    payload.writeUInt32LE(colorSize + maskStride * size, 20);
+
+    for (let y = 0; y < size; y++) {
+      const sourceRow = size - 1 - y;
+      const rowOffset = infoHeaderSize + y * size * 4;
+      const maskOffset = infoHeaderSize + colorSize + y * maskStride;
+      for (let x = 0; x < size; x++) {
+        const srcIndex = (sourceRow * size + x) * 4;
+        const dstIndex = rowOffset + x * 4;
+        payload[dstIndex] = data[srcIndex + 2];
+        payload[dstIndex + 1] = data[srcIndex + 1];
+        payload[dstIndex + 2] = data[srcIndex];
+        payload[dstIndex + 3] = data[srcIndex + 3];
+        // Fully transparent pixels are also masked for viewers that ignore alpha
+        if (data[srcIndex + 3] === 0) {
+          payload[maskOffset + (x >> 3)] |= 0x80 >> (x & 7);
+        }
+      }
+    }
+    return payload;
+  });
+
+  const header = Buffer.alloc(headerSize + entrySize * images.length);
+  header.writeUInt16LE(0, 0);
+  header.writeUInt16LE(1, 2);
+  header.writeUInt16LE(images.length, 4);
+  let offset = header.length;
+  images.forEach(({ size }, index) => {
+    const entry = headerSize + index * entrySize;
+    // A width/height byte of 0 means 256
+    header.writeUInt8(size >= 256 ? 0 : size, entry);
+    header.writeUInt8(size >= 256 ? 0 : size, entry + 1);
+    header.writeUInt16LE(1, entry + 4);
+    header.writeUInt16LE(32, entry + 6);
+    header.writeUInt32LE(payloads[index].length, entry + 8);
+    header.writeUInt32LE(offset, entry + 12);
+    offset += payloads[index].length;
+  });
+
+  return Buffer.concat([header, ...payloads]);
+}
+
+/**
+ * Write a macOS .icns container with a PNG element for every size slot.
+ * @param {{size: number, png: Buffer}[]} images
+ */
+function encodeIcns(images) {
+  const elements = [];
+  images.forEach(({ size, png }) => {
+    ICNS_TYPES[size].forEach(type => {
+      const header = Buffer.alloc(8);
+      header.write(type, 0, 4, 'ascii');
+      header.writeUInt32BE(png.length + 8, 4);
+      elements.push(header, png);
+    });
+  });
+
+  const header = Buffer.alloc(8);
+  header.write('icns', 0, 4, 'ascii');
+  header.writeUInt32BE(8 + elements.reduce((total, element) => total + element.length, 0), 4);
+  return Buffer.concat([header, ...elements]);
+}
+
+// Every icon size is resized from the source itself and padded to a square with transparency
+async function renderIconImages(inputBuffer, sizes, options = {}) {
+  const images = [];
+  for (const size of sizes) {
+    const pipeline = await createSourcePipeline(inputBuffer, {
+      native: options.native,
+      canvasProfile: options.canvasProfile,
+      page: options.page,
+      transform: options.transform
+    });
+    const data = await pipeline
+      .resize(size, size, { fit: 'contain', background: { r: 0, g: 0, b: 0, alpha: 0 } })
+      .toColourspace('srgb')
+      .ensureAlpha()
+      .raw()
+      .toBuffer();
+    const png = await sharp(data, { raw: { width: size, height: size, channels: 4 } })
+      .png()
+      .toBuffer();
+    images.push({ size, data, png });
+  }
+  return images;
+}
+
+async function encodeOutputBuffer(inputBuffer, targetFormat, qualityValue, options = {}) {
   const format = normalizeFormat(targetFormat);
   if (!format) {
     throw new Error('Missing output format');
   }
 
   const quality = normalizeQuality(qualityValue);
+  const resize = normalizeResize(options.resize);
+  // Canvas pixels are already upright, and GIF/BMP have no orientation tag; transforms
+  // work on upright pixels, so they always bake the orientation in
+  const keepOrientation = options.native && METADATA_FORMATS.includes(format) &&
+    !normalizeTransform(options.transform) && normalizeOrientationMode(options.orientation) === 'tag'
+    ? await readOrientation(inputBuffer, options.page)
+    : 1;
+  const metadata = METADATA_FORMATS.includes(format)
+    ? prepareMetadata(normalizeMetadataPolicy(options.metadata), options.sourceMetadata, { orientation: keepOrientation })
+    : null;
+
+  if (repacksJpegLosslessly(format, options)) {
+    return recompressJpeg(options.sourceFile, normalizeEncoderOptions('jxl', options.encoder));
+  }
+  if (format === 'jpeg' && canTranscodeLosslessly(options) && hasJpegReconstruction(options.sourceFile)) {
+    return reconstructJpeg(options.sourceFile);
+  }
+
+  if (format === 'ico' || format === 'icns') {
+    if (!sharp) {
+      throw new Error('Icon output requires sharp. Please install dependencies and rebuild native modules.');
+    }
+    const { sizes } = normalizeEncoderOptions(format, options.encoder);
+    const images = await renderIconImages(inputBuffer, sizes, options);
+    return format === 'ico' ? encodeIco(images) : encodeIcns(images);
+  }
+
+  if (format === 'pdf') {
+    if (!sharp) {
+      throw new Error('PDF output requires sharp. Please install dependencies and rebuild native modules.');
+    }
+    return encodePdfDocument([{ buffer: inputBuffer, page: options.page }], qualityValue, options);
+  }
 
   if (format === 'bmp') {
     if (!sharp) {
       throw new Error('BMP output requires sharp. Please install dependencies and rebuild native modules.');
     }
-    const raw = await sharp(inputBuffer, { failOnError: false })
+    const encoderOptions = normalizeEncoderOptions('bmp', options.encoder);
+    let source = await createSourcePipeline(inputBuffer, {
+      resize,
+      native: options.native,
+      canvasProfile: options.canvasProfile,
+      page: options.page,
+      transform: options.transform
+    });
+    // Only 32-bit BMP carries alpha
+    if (encoderOptions.bitDepth !== 32) {
+      source = source.flatten({ background: '#ffffff' });
+    }
+    if (encoderOptions.bitDepth <= 8) {
+      // libimagequant picks the palette; encodeBmp then indexes the quantized colors
+      const quantized = await source
+        .png({ palette: true, colours: 1 << encoderOptions.bitDepth, dither: 1 })
+        .toBuffer();
+      source = sharp(quantized);
+    }
+    const raw = await source
+      .toColourspace('srgb')
+      .ensureAlpha()
       .raw()
       .toBuffer({ resolveWithObject: true });
-    return encodeBmp(raw.data, raw.info.width, raw.info.height);
+    return encodeBmp(raw.data, raw.info.width, raw.info.height, encoderOptions);
   }
 
   if (!sharp) {
     throw new Error('Additional formats require sharp. Please install dependencies and rebuild native modules.');
   }
 
-  let pipeline = sharp(inputBuffer, { failOnError: false });
-
+  const encoderOptions = normalizeEncoderOptions(format, options.encoder);
+  // libvips does not write EXIF into TIFF, so it is embedded after encoding instead
+  let pipeline = await createSourcePipeline(inputBuffer, {
+    resize,
+    metadata,
+    color: options.color,
+    native: options.native,
+    canvasProfile: options.canvasProfile,
+    page: options.page,
+    transform: options.transform,
+    keepOrientation,
+    highBitDepth: await resolveHighBitDepth(inputBuffer, format, encoderOptions, options),
+    embedExif: format !== 'tiff'
+  });
   if (format === 'jpeg') {
-    pipeline = pipeline.flatten({ background: '#ffffff' }).jpeg({ quality: quality || 90 });
+    pipeline = pipeline.flatten({ background: '#ffffff' }).jpeg({ quality: quality || 90, ...encoderOptions });
   } else if (format === 'png') {
-    pipeline = pipeline.png();
+    pipeline = pipeline.png(encoderOptions);
   } else if (format === 'webp') {
-    pipeline = pipeline.webp({ quality: quality || 90 });
+    pipeline = pipeline.webp({ quality: quality || 90, ...encoderOptions });
   } else if (format === 'avif') {
-    pipeline = pipeline.avif({ quality: quality || 90 });
+    pipeline = pipeline.avif({ quality: quality || 90, ...encoderOptions });
   } else if (format === 'heic') {
-    pipeline = pipeline.heif({ quality: quality || 90, compression: 'hevc' });
+    pipeline = pipeline.heif({ quality: quality || 90, compression: 'hevc', ...encoderOptions });
   } else if (format === 'gif') {
-    pipeline = pipeline.gif();
+    pipeline = pipeline.gif(encoderOptions);
   } else if (format === 'tiff') {
-    pipeline = pipeline.tiff();
+    pipeline = pipeline.tiff({ quality: quality || 90, ...encoderOptions });
+  } else if (format === 'jxl') {
+    if (!sharpSupports('jxl', 'output')) {
+      // cjxl encodes the processed pixels from a PNG, which also carries the metadata
+      const png = await pipeline.png({ compressionLevel: 1 }).toBuffer();
+      return encodeJxl(png, { quality: quality || 90, ...encoderOptions });
+    }
+    pipeline = pipeline.jxl({ quality: quality || 90, ...encoderOptions });
   } else {
     throw new Error(`Unsupported output format: ${format}`);
   }
 
-  return pipeline.toBuffer();
+  const output = await pipeline.toBuffer();
+  if (format === 'tiff' && metadata?.exif) {
+    return embedExifInTiff(output, metadata.exif);
+  }
+  return output;
+}
+
+/**
+ * Describe the animation in a GIF, WebP or APNG source.
+ * @returns {{frames: number, loop: number, delay: number[], duration: number}|null} null for still images
+ */
+function readAnimationInfo(buffer, metadata) {
+  let frames = 0;
+  let loop = 0;
+  let delay = [];
+
+  if (isApng(buffer)) {
+    const apng = splitApng(buffer);
+    frames = apng.frames.length;
+    loop = apng.loop;
+    delay = apng.frames.map(frame => frame.delay);
+  } else if (metadata && ['gif', 'webp'].includes(metadata.format)) {
+    frames = metadata.pages || 1;
+    loop = metadata.loop || 0;
+    delay = metadata.delay || [];
+  }
+  if (frames < 2) return null;
+
+  // Pad missing delays so every frame has one
+  const delays = Array.from({ length: frames }, (_, index) => {
+    const value = delay[index] ?? delay[delay.length - 1];
+    return Number.isFinite(value) ? Math.min(65535, Math.max(0, value)) : DEFAULT_FRAME_DELAY;
+  });
+  return {
+    frames,
+    loop: Math.min(65535, loop),
+    delay: delays,
+    duration: delays.reduce((total, value) => total + value, 0)
+  };
+}
+
+// Open every frame of an animated source as one sharp pipeline (frames stacked vertically)
+async function openAnimation(buffer, metadata) {
+  const info = readAnimationInfo(buffer, metadata);
+  if (!info) return null;
+
+  if (!isApng(buffer)) {
+    const pageHeight = metadata.pageHeight || Math.round(metadata.height / info.frames);
+    return {
+      ...info,
+      width: metadata.width,
+      pageHeight,
+      createPipeline: () => sharp(buffer, { animated: true, failOnError: false })
+    };
+  }
+
+  // libvips only decodes the default image of an APNG, so frames are composited here
+  const apng = splitApng(buffer);
+  const framePixels = [];
+  for (const frame of apng.frames) {
+    framePixels.push(await sharp(frame.png).ensureAlpha().raw().toBuffer());
+  }
+  const strip = Buffer.concat(composeApngFrames(apng, framePixels));
+  const raw = { width: apng.width, height: apng.height * info.frames, channels: 4, pageHeight: apng.height };
+  return {
+    ...info,
+    width: apng.width,
+    pageHeight: apng.height,
+    rawStrip: true,
+    createPipeline: () => sharp(strip, { raw })
+  };
+}
+
+// Run a sharp operation on every frame and restack the results as a raw strip
+async function mapAnimationFrames(animation, apply) {
+  const frames = await extractAnimationFrames(animation.createPipeline(), animation.frames);
+  const processed = [];
+  for (const frame of frames) {
+    const pipeline = sharp(frame.data, { raw: { width: frame.width, height: frame.height, channels: 4 } });
+    processed.push(await apply(pipeline).raw().toBuffer({ resolveWithObject: true }));
+  }
+  const { width, height } = processed[0].info;
+  const strip = Buffer.concat(processed.map(frame => frame.data));
+  const raw = { width, height: height * frames.length, channels: 4, pageHeight: height };
+  return { ...animation, width, pageHeight: height, rawStrip: true, createPipeline: () => sharp(strip, { raw }) };
+}
+
+async function resizeAnimation(animation, inputBuffer, options = {}) {
+  const transform = normalizeTransform(options.transform);
+  const resizeOptions = await resolveResizeOptions(inputBuffer, normalizeResize(options.resize), { transform });
+  // sharp resizes decoded GIF/WebP animations page by page, but treats a raw strip as one tall
+  // image, and rotating stacked frames would scramble them
+  if (!transform && !animation.rawStrip) {
+    const pipeline = animation.createPipeline();
+    return resizeOptions ? pipeline.resize(resizeOptions) : pipeline;
+  }
+  if (!transform && !resizeOptions) {
+    return animation.createPipeline();
+  }
+
+  const size = { width: animation.width, height: animation.pageHeight };
+  const processed = await mapAnimationFrames(animation, pipeline => {
+    const transformed = transform ? applyTransform(pipeline, transform, size) : pipeline;
+    return resizeOptions ? transformed.resize(resizeOptions) : transformed;
+  });
+  return processed.createPipeline();
+}
+
+// Split a stacked animation pipeline into raw RGBA frames
+async function extractAnimationFrames(pipeline, frameCount) {
+  const { data, info } = await pipeline.ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+  const height = Math.round(info.height / frameCount);
+  const frameBytes = info.width * height * 4;
+  return Array.from({ length: frameCount }, (_, index) => ({
+    data: data.subarray(index * frameBytes, (index + 1) * frameBytes),
+    width: info.width,
+    height
+  }));
+}
+
+/**
+ * Encode an animated source into an animated GIF, WebP or APNG, keeping loop count
+ * and frame delays. EXIF/XMP/ICC are not carried into animated output.
+ */
+async function encodeAnimation(animation, inputBuffer, targetFormat, qualityValue, options = {}) {
+  const format = normalizeFormat(targetFormat);
+  if (!ANIMATED_OUTPUT_FORMATS.includes(format)) {
+    throw new Error(`${String(format).toUpperCase()} output cannot be animated`);
+  }
+
+  const quality = normalizeQuality(qualityValue);
+  const encoderOptions = normalizeEncoderOptions(format, options.encoder);
+  const timing = { loop: animation.loop, delay: animation.delay };
+  const pipeline = await resizeAnimation(animation, inputBuffer, options);
+
+  if (format === 'gif') {
+    return pipeline.gif({ ...encoderOptions, ...timing }).toBuffer();
+  }
+  if (format === 'webp') {
+    return pipeline.webp({ quality: quality || 90, ...encoderOptions, ...timing }).toBuffer();
+  }
+
+  // APNG frames must share one color type, so palette quantization is not applied
+  const { palette, colours, ...pngOptions } = encoderOptions;
+  const frames = await extractAnimationFrames(pipeline, animation.frames);
+  const pngFrames = [];
+  for (const frame of frames) {
+    pngFrames.push(await sharp(frame.data, {
+      raw: { width: frame.width, height: frame.height, channels: 4 }
+    }).png(pngOptions).toBuffer());
+  }
+  return assembleApng(pngFrames, timing);
+}
+
+// Encode every frame of an animation as a separate still image
+async function encodeAnimationFrames(animation, inputBuffer, targetFormat, qualityValue, options = {}) {
+  const pipeline = await resizeAnimation(animation, inputBuffer, options);
+  const frames = await extractAnimationFrames(pipeline, animation.frames);
+  const outputs = [];
+  for (const frame of frames) {
+    const still = await sharp(frame.data, {
+      raw: { width: frame.width, height: frame.height, channels: 4 }
+    }).png({ compressionLevel: 1 }).toBuffer();
+    outputs.push(await encodeOutputBuffer(still, targetFormat, qualityValue, {
+      ...options,
+      resize: null,
+      transform: null,
+      native: false,
+      canvasProfile: null
+    }));
+  }
+  return outputs;
+}
+
+function getPageCount(metadata) {
+  return metadata && PAGED_FORMATS.includes(metadata.format) ? Math.max(1, metadata.pages || 1) : 1;
+}
+
+// Keep valid, unique page indices in ascending order
+function normalizePages(pages, pageCount) {
+  if (!Array.isArray(pages)) return null;
+  const valid = [...new Set(pages.map(page => parseInt(page, 10)))]
+    .filter(page => Number.isInteger(page) && page >= 0 && page < pageCount)
+    .sort((a, b) => a - b);
+  return valid.length > 0 ? valid : null;
+}
+
+async function createPageThumbnails(buffer, pageCount) {
+  const pages = [];
+  for (let page = 0; page < pageCount; page++) {
+    try {
+      const pipeline = sharp(buffer, { failOnError: false, page });
+      const { width, height } = await pipeline.metadata();
+      const thumbnail = await pipeline
+        .autoOrient()
+        .resize(PAGE_THUMBNAIL_SIZE, PAGE_THUMBNAIL_SIZE, { fit: 'inside' })
+        .png()
+        .toBuffer();
+      pages.push({ index: page, width, height, thumbnail: `data:image/png;base64,${thumbnail.toString('base64')}` });
+    } catch (err) {
+      pages.push({ index: page, width: null, height: null, thumbnail: null, error: err.message });
+    }
+  }
+  return pages;
+}
+
+// Page sizes are reported as they will be rendered with the current settings
+async function createPdfThumbnails(pdf, rasterize) {
+  const sizes = await readPdfPages(pdf);
+  if (sizes.length < 2) return [];
+  let thumbnails;
+  if (sharpSupports('pdf', 'input')) {
+    thumbnails = [];
+    for (let page = 0; page < sizes.length; page++) {
+      thumbnails.push(await sharp(pdf, { page })
+        .resize(PAGE_THUMBNAIL_SIZE, PAGE_THUMBNAIL_SIZE, { fit: 'inside' })
+        .png()
+        .toBuffer());
+    }
+  } else {
+    thumbnails = await renderPdfThumbnails(pdf, PAGE_THUMBNAIL_SIZE);
+  }
+  return sizes.map((size, index) => ({
+    index,
+    ...rasterizedSize(size, rasterize),
+    thumbnail: thumbnails[index] ? `data:image/png;base64,${thumbnails[index].toString('base64')}` : null
+  }));
+}
+
+/**
+ * Combine pages into one multi-page TIFF. libvips writes every page at the same size,
+ * so smaller pages are centered on a white canvas the size of the largest one.
+ * @param {Array<{buffer: Buffer, page?: number}>} sources
+ */
+async function encodeMultipageTiff(sources, qualityValue, options = {}) {
+  const encoderOptions = normalizeEncoderOptions('tiff', options.encoder);
+  // Pages share one strip, so a single high-bit page keeps every page at 16 bits. sharp
+  // reads an untagged 16-bit strip as Display P3, so converted strips stay 8-bit.
+  const converts = Boolean(options.color && options.color !== 'keep');
+  let highBitDepth = null;
+  for (const source of converts ? [] : sources) {
+    if (await resolveHighBitDepth(source.buffer, 'tiff', encoderOptions, { ...options, page: source.page })) {
+      highBitDepth = 'rgb16';
+      break;
+    }
+  }
+  const rawOptions = highBitDepth ? { depth: 'ushort' } : {};
+  const rawInput = (data, width, height) => sharp(
+    highBitDepth ? new Uint16Array(data.buffer, data.byteOffset, data.length / 2) : data,
+    { raw: { width, height, channels: 4 } }
+  );
+
+  const rendered = [];
+  for (const source of sources) {
+    const pipeline = await createSourcePipeline(source.buffer, {
+      resize: options.resize,
+      native: options.native,
+      canvasProfile: options.canvasProfile,
+      page: source.page,
+      transform: options.transform,
+      highBitDepth
+    });
+    rendered.push(await pipeline.ensureAlpha().raw(rawOptions).toBuffer({ resolveWithObject: true }));
+  }
+
+  const width = Math.max(...rendered.map(({ info }) => info.width));
+  const height = Math.max(...rendered.map(({ info }) => info.height));
+  const pages = [];
+  for (const { data, info } of rendered) {
+    if (info.width === width && info.height === height) {
+      pages.push(data);
+      continue;
+    }
+    const left = Math.floor((width - info.width) / 2);
+    const top = Math.floor((height - info.height) / 2);
+    let page = rawInput(data, info.width, info.height)
+      .extend({
+        left,
+        top,
+        right: width - info.width - left,
+        bottom: height - info.height - top,
+        background: { r: 255, g: 255, b: 255, alpha: 1 }
+      });
+    if (highBitDepth) {
+      page = page.toColourspace(highBitDepth);
+    }
+    pages.push(await page.raw(rawOptions).toBuffer());
+  }
+
+  const strip = Buffer.concat(pages);
+  const maxAlpha = highBitDepth ? 65535 : 255;
+  const sample = highBitDepth ? new Uint16Array(strip.buffer, strip.byteOffset, strip.length / 2) : strip;
+  let opaque = true;
+  for (let i = 3; i < sample.length; i += 4) {
+    if (sample[i] !== maxAlpha) {
+      opaque = false;
+      break;
+    }
+  }
+
+  let pipeline = sharp(sample, {
+    raw: { width, height: height * pages.length, channels: 4, pageHeight: height }
+  });
+  if (opaque) {
+    pipeline = pipeline.removeAlpha();
+  }
+  // Pages were rendered to sRGB above
+  if (options.color && options.color !== 'keep') {
+    pipeline = pipeline.withIccProfile(options.color);
+  }
+  if (highBitDepth) {
+    pipeline = pipeline.toColourspace(highBitDepth);
+  }
+  const quality = normalizeQuality(qualityValue);
+  return pipeline
+    .tiff({ quality: quality || 90, ...encoderOptions })
+    .toBuffer();
+}
+
+/**
+ * Render one image as a PDF page: a baseline JPEG at the chosen quality, flattened onto
+ * white since the page images carry no alpha.
+ * @returns {Promise<{jpeg: Buffer, width: number, height: number, channels: number}>}
+ */
+async function encodePdfPage(inputBuffer, qualityValue, options = {}) {
+  const pipeline = await createSourcePipeline(inputBuffer, {
+    resize: options.resize,
+    native: options.native,
+    canvasProfile: options.canvasProfile,
+    page: options.page,
+    transform: options.transform
+  });
+  const { data, info } = await pipeline
+    .flatten({ background: '#ffffff' })
+    .toColourspace('srgb')
+    .jpeg({ quality: normalizeQuality(qualityValue) || 90 })
+    .toBuffer({ resolveWithObject: true });
+  return { jpeg: data, width: info.width, height: info.height, channels: info.channels };
+}
+
+// Combine pages of one source, or several sources, into a single PDF
+async function encodePdfDocument(sources, qualityValue, options = {}) {
+  const pages = [];
+  for (const source of sources) {
+    pages.push(await encodePdfPage(source.buffer, qualityValue, { ...options, page: source.page }));
+  }
+  return buildPdf(pages, normalizeEncoderOptions('pdf', options.encoder));
+}
+
+function normalizeTargetSize(value) {
+  const parsed = parseInt(value, 10);
+  if (Number.isNaN(parsed) || parsed <= 0) return null;
+  return Math.max(1024, parsed);
+}
+
+// Highest quality in [minQuality, 100] whose output fits the budget, or null
+async function searchQualityForSize(inputBuffer, format, targetSize, minQuality, options) {
+  let low = minQuality;
+  let high = 100;
+  let best = null;
+  let attempts = 0;
+
+  while (low <= high) {
+    const quality = Math.floor((low + high) / 2);
+    const buffer = await encodeOutputBuffer(inputBuffer, format, quality, options);
+    attempts += 1;
+    if (buffer.length <= targetSize) {
+      best = { buffer, quality };
+      low = quality + 1;
+    } else {
+      high = quality - 1;
+    }
+  }
+
+  return { best, attempts };
+}
+
+/**
+ * Encode as close to (but not above) a byte budget as possible by searching the
+ * quality setting. With allowDownscale, quality stops at TARGET_SIZE_MIN_QUALITY
+ * and the image is shrunk instead until it fits.
+ * @returns {Promise<{buffer: Buffer, quality: number, width: number|null, height: number|null, downscaled: boolean, attempts: number}>}
+ */
+async function encodeToTargetSize(inputBuffer, targetFormat, targetSize, options = {}) {
+  const format = normalizeFormat(targetFormat);
+  if (!TARGET_SIZE_FORMATS.includes(format)) {
+    throw new Error(`Target file size is not available for ${format ? format.toUpperCase() : 'this format'}`);
+  }
+  const budget = normalizeTargetSize(targetSize);
+  if (!budget) {
+    throw new Error('Target file size must be a positive number of bytes');
+  }
+
+  // Quality has no effect on lossless output, so a size budget always encodes lossy
+  const lossyOptions = { ...options, encoder: { ...options.encoder, lossless: false } };
+  const minQuality = options.allowDownscale ? TARGET_SIZE_MIN_QUALITY : 1;
+  let encodeOptions = lossyOptions;
+  let totalAttempts = 0;
+  let downscaled = false;
+
+  for (let step = 0; step <= TARGET_SIZE_MAX_DOWNSCALES; step++) {
+    const { best, attempts } = await searchQualityForSize(inputBuffer, format, budget, minQuality, encodeOptions);
+    totalAttempts += attempts;
+    if (best) {
+      const outputMetadata = await sharp(best.buffer).metadata().catch(() => ({}));
+      const { width, height } = outputMetadata.autoOrient || outputMetadata;
+      return {
+        buffer: best.buffer,
+        quality: best.quality,
+        width: width || null,
+        height: height || null,
+        downscaled,
+        attempts: totalAttempts
+      };
+    }
+
+    if (!options.allowDownscale) break;
+
+    // Shrink the area in proportion to the overshoot at the lowest allowed quality
+    const smallest = await encodeOutputBuffer(inputBuffer, format, minQuality, encodeOptions);
+    const smallestMetadata = await sharp(smallest).metadata();
+    const { width, height } = smallestMetadata.autoOrient || smallestMetadata;
+    const scale = Math.min(0.9, Math.sqrt(budget / smallest.length) * 0.95);
+    const nextWidth = Math.max(1, Math.round(width * scale));
+    const nextHeight = Math.max(1, Math.round(height * scale));
+    if (nextWidth === width && nextHeight === height) break;
+
+    encodeOptions = {
+      ...lossyOptions,
+      resize: { mode: 'fit', width: nextWidth, height: nextHeight, kernel: options.resize?.kernel }
+    };
+    downscaled = true;
+  }
+
+  const limit = `${(budget / 1024).toFixed(0)} KB`;
+  throw new Error(options.allowDownscale
+    ? `Could not get the image under ${limit}`
+    : `Could not get the image under ${limit} even at quality 1. Allow downscaling or raise the limit.`);
 }
 
 let mainWindow;
@@ -183,6 +2005,105 @@ let sharedLogs = [];
 // Store last saved file path for "show in folder" feature
 let lastSavedFilePath = null;
 
+// Output file of a batch PDF export, as picked in the choose-pdf-output dialog
+let pdfOutputPath = null;
+
+const PRESET_FILE_VERSION = 1;
+
+function getPresetsPath() {
+  return path.join(app.getPath('userData'), 'presets.json');
+}
+
+// Validate a preset from the UI or an imported file; throws on anything unusable
+function normalizePreset(preset) {
+  if (!preset || typeof preset !== 'object') {
+    throw new Error('Preset must be an object');
+  }
+  const name = typeof preset.name === 'string' ? preset.name.trim().slice(0, 60) : '';
+  if (!name) {
+    throw new Error('Preset needs a name');
+  }
+  const format = normalizeFormat(preset.format);
+  if (!OUTPUT_FORMATS[format]) {
+    throw new Error(`Preset "${name}" has an unsupported format: ${preset.format}`);
+  }
+
+  const encoder = {};
+  if (preset.encoder && typeof preset.encoder === 'object') {
+    Object.entries(preset.encoder).forEach(([key, value]) => {
+      if (['string', 'number', 'boolean'].includes(typeof value)) {
+        encoder[key] = value;
+      }
+    });
+  }
+
+  // Custom profile paths are only checked when converting, so presets stay portable
+  const color = typeof preset.color === 'string' && preset.color ? preset.color : 'keep';
+
+  return {
+    name,
+    format,
+    quality: normalizeQuality(preset.quality),
+    resize: normalizeResize(preset.resize),
+    metadata: normalizeMetadataPolicy(preset.metadata),
+    orientation: normalizeOrientationMode(preset.orientation),
+    color: COLOR_PROFILES.includes(color.toLowerCase()) ? color.toLowerCase() : color,
+    encoder,
+    targetSize: TARGET_SIZE_FORMATS.includes(format) ? normalizeTargetSize(preset.targetSize) : null,
+    allowDownscale: Boolean(preset.allowDownscale)
+  };
+}
+
+function readPresets() {
+  const presetsPath = getPresetsPath();
+  if (!fs.existsSync(presetsPath)) return [];
+  try {
+    const parsed = JSON.parse(fs.readFileSync(presetsPath, 'utf8'));
+    return parsePresetList(parsed).presets;
+  } catch (err) {
+    console.warn('Could not read presets:', err.message);
+    return [];
+  }
+}
+
+function writePresets(presets) {
+  const presetsPath = getPresetsPath();
+  fs.mkdirSync(path.dirname(presetsPath), { recursive: true });
+  fs.writeFileSync(presetsPath, JSON.stringify({ version: PRESET_FILE_VERSION, presets }, null, 2));
+}
+
+// Accept both the exported file shape and a bare array of presets
+function parsePresetList(data) {
+  const list = Array.isArray(data) ? data : data && data.presets;
+  if (!Array.isArray(list)) {
+    throw new Error('No presets found in file');
+  }
+  const presets = [];
+  const skipped = [];
+  list.forEach(entry => {
+    try {
+      presets.push(normalizePreset(entry));
+    } catch (err) {
+      skipped.push(err.message);
+    }
+  });
+  return { presets, skipped };
+}
+
+// Presets are keyed by name (case-insensitive); incoming ones replace existing ones
+function mergePresets(existing, incoming) {
+  const merged = existing.slice();
+  incoming.forEach(preset => {
+    const index = merged.findIndex(item => item.name.toLowerCase() === preset.name.toLowerCase());
+    if (index === -1) {
+      merged.push(preset);
+    } else {
+      merged[index] = preset;
+    }
+  });
+  return merged;
+}
+
 function createWindow() {
   mainWindow = new BrowserWindow({
     width: 900,
@@ -452,6 +2373,15 @@ function createApplicationMenu() {
             }
           }
         },
+        {
+          label: 'Compare Two Images',
+          accelerator: 'CmdOrCtrl+Shift+M',
+          click: () => {
+            if (mainWindow) {
+              mainWindow.webContents.send('menu-compare-images');
+            }
+          }
+        },
         { type: 'separator' },
         {
           label: 'Reload',
@@ -543,36 +2473,105 @@ function createApplicationMenu() {
     }
   ];
 
-  const menu = Menu.buildFromTemplate(template);
-  Menu.setApplicationMenu(menu);
+  const menu = Menu.buildFromTemplate(template);
+  Menu.setApplicationMenu(menu);
+}
+
+// `electron . convert ...` in development, `lirum convert ...` when packaged
+const cliArgs = process.argv.slice(app.isPackaged ? 1 : 2);
+
+if (isCliInvocation(cliArgs)) {
+  // Headless mode: run the conversion engine without opening a window
+  app.whenReady()
+    .then(() => runCli(cliArgs.slice(1), {
+      OUTPUT_FORMATS,
+      normalizeFormat,
+      normalizeQuality,
+      normalizeResize,
+      normalizeMetadataPolicy,
+      collectImageFiles,
+      identifyInputFile,
+      loadSourceImage,
+      encodeOutputBuffer,
+      repacksJpegLosslessly,
+      encodeToTargetSize,
+      TARGET_SIZE_FORMATS,
+      openAnimation,
+      encodeAnimation,
+      encodeAnimationFrames,
+      ANIMATED_OUTPUT_FORMATS,
+      ANIMATION_MODES,
+      ORIENTATION_MODES,
+      normalizeColorProfile,
+      normalizeRasterize,
+      ICON_SIZES,
+      PDF_PAGE_SIZES,
+      MAX_PDF_MARGIN,
+      uniqueOutputPath
+    }))
+    .then(code => app.exit(code))
+    .catch(err => {
+      console.error('Command-line conversion failed:', err);
+      app.exit(1);
+    });
+} else {
+  app.whenReady().then(createWindow);
+
+  app.on('window-all-closed', () => {
+    if (process.platform !== 'darwin') {
+      app.quit();
+    }
+  });
+
+  app.on('activate', () => {
+    if (BrowserWindow.getAllWindows().length === 0) {
+      createWindow();
+    }
+  });
 }
 
-app.whenReady().then(createWindow);
-
-app.on('window-all-closed', () => {
-  if (process.platform !== 'darwin') {
-    app.quit();
-  }
+// IPC handlers for menu actions
+ipcMain.handle('get-app-version', () => {
+  return app.getVersion();
 });
 
-app.on('activate', () => {
-  if (BrowserWindow.getAllWindows().length === 0) {
-    createWindow();
+// Prebuilt sharp only encodes 8-bit AVIF and HEIC, while a build with a custom libvips may
+// also write 10 and 12 bits. A tiny test encode per depth answers it once per run.
+let encoderSupport = null;
+
+async function detectEncoderSupport() {
+  const bitDepths = { avif: [8], heic: [8] };
+  if (!sharp) return { bitDepths };
+  const sample = sharp({ create: { width: 8, height: 8, channels: 3, background: '#808080' } });
+  for (const format of Object.keys(bitDepths)) {
+    for (const bitdepth of [10, 12]) {
+      try {
+        await (format === 'avif'
+          ? sample.clone().avif({ bitdepth })
+          : sample.clone().heif({ compression: 'hevc', bitdepth })).toBuffer();
+        bitDepths[format].push(bitdepth);
+      } catch (err) {
+        // Unsupported depth
+      }
+    }
   }
-});
+  return { bitDepths };
+}
 
-// IPC handlers for menu actions
-ipcMain.handle('get-app-version', () => {
-  return app.getVersion();
+ipcMain.handle('get-encoder-support', () => {
+  if (!encoderSupport) {
+    encoderSupport = detectEncoderSupport();
+  }
+  return encoderSupport;
 });
 
 ipcMain.handle('show-open-dialog', async () => {
   const result = await dialog.showOpenDialog(mainWindow, {
-    properties: ['openFile'],
+    properties: ['openFile', 'multiSelections'],
     filters: [
       {
         name: 'Images',
-        extensions: ['jpg', 'jpeg', 'png', 'webp', 'gif', 'bmp', 'tif', 'tiff', 'heic', 'heif', 'avif']
+        extensions: INPUT_EXTENSIONS
       },
       { name: 'All Files', extensions: ['*'] }
     ]
@@ -580,7 +2579,148 @@ ipcMain.handle('show-open-dialog', async () => {
   return result;
 });
 
-ipcMain.handle('decode-image', async (event, { filePath, arrayBuffer, dataUrl }) => {
+ipcMain.handle('choose-output-directory', async () => {
+  const result = await dialog.showOpenDialog(mainWindow, {
+    title: 'Choose Output Folder',
+    properties: ['openDirectory', 'createDirectory']
+  });
+  if (result.canceled || !result.filePaths || result.filePaths.length === 0) {
+    return { canceled: true };
+  }
+  return { canceled: false, directory: result.filePaths[0] };
+});
+
+ipcMain.handle('choose-pdf-output', async (event, { defaultName } = {}) => {
+  pdfOutputPath = null;
+  const result = await dialog.showSaveDialog(mainWindow, {
+    defaultPath: typeof defaultName === 'string' && defaultName ? defaultName : 'images.pdf',
+    filters: buildSaveFilters('pdf'),
+    title: 'Save PDF Document'
+  });
+  if (result.canceled || !result.filePath) {
+    return { canceled: true };
+  }
+  pdfOutputPath = ensureExtension(result.filePath, 'pdf');
+  return { canceled: false, filePath: pdfOutputPath };
+});
+
+ipcMain.handle('choose-color-profile', async () => {
+  const result = await dialog.showOpenDialog(mainWindow, {
+    title: 'Choose Color Profile',
+    properties: ['openFile'],
+    filters: [{ name: 'ICC Profiles', extensions: ['icc', 'icm'] }]
+  });
+  if (result.canceled || !result.filePaths || result.filePaths.length === 0) {
+    return { canceled: true };
+  }
+  try {
+    const profilePath = normalizeColorProfile(result.filePaths[0]);
+    return { canceled: false, path: profilePath, profile: describeIccProfile(fs.readFileSync(profilePath)) };
+  } catch (err) {
+    return { canceled: false, error: err.message };
+  }
+});
+
+ipcMain.handle('collect-image-files', async (event, { paths, recursive }) => {
+  if (!Array.isArray(paths) || paths.length === 0) {
+    return { files: [] };
+  }
+  return { files: collectImageFiles(paths, Boolean(recursive)) };
+});
+
+ipcMain.handle('get-presets', () => {
+  return { presets: readPresets() };
+});
+
+ipcMain.handle('save-preset', (event, preset) => {
+  try {
+    const presets = mergePresets(readPresets(), [normalizePreset(preset)]);
+    writePresets(presets);
+    return { success: true, presets };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+});
+
+ipcMain.handle('delete-preset', (event, name) => {
+  try {
+    const key = String(name || '').toLowerCase();
+    const presets = readPresets().filter(preset => preset.name.toLowerCase() !== key);
+    writePresets(presets);
+    return { success: true, presets };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+});
+
+ipcMain.handle('import-presets', async () => {
+  const result = await dialog.showOpenDialog(mainWindow, {
+    title: 'Import Presets',
+    properties: ['openFile'],
+    filters: [{ name: 'Preset Files', extensions: ['json'] }]
+  });
+  if (result.canceled || !result.filePaths || result.filePaths.length === 0) {
+    return { success: false, cancelled: true };
+  }
+
+  try {
+    const data = JSON.parse(fs.readFileSync(result.filePaths[0], 'utf8'));
+    const { presets: imported, skipped } = parsePresetList(data);
+    if (imported.length === 0) {
+      throw new Error(skipped[0] || 'No valid presets found in file');
+    }
+    const presets = mergePresets(readPresets(), imported);
+    writePresets(presets);
+    return { success: true, presets, imported: imported.length, skipped };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+});
+
+ipcMain.handle('export-presets', async () => {
+  const presets = readPresets();
+  if (presets.length === 0) {
+    return { success: false, error: 'There are no presets to export' };
+  }
+
+  const result = await dialog.showSaveDialog(mainWindow, {
+    title: 'Export Presets',
+    defaultPath: 'lirum-presets.json',
+    filters: [{ name: 'Preset Files', extensions: ['json'] }]
+  });
+  if (result.canceled || !result.filePath) {
+    return { success: false, cancelled: true };
+  }
+
+  try {
+    const exportPath = ensureExtension(result.filePath, 'json');
+    fs.writeFileSync(exportPath, JSON.stringify({ version: PRESET_FILE_VERSION, presets }, null, 2));
+    return { success: true, path: exportPath, count: presets.length };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+});
+
+ipcMain.handle('export-metrics-report', async (event, { report, defaultName }) => {
+  const result = await dialog.showSaveDialog(mainWindow, {
+    title: 'Export Quality Report',
+    defaultPath: defaultName || 'quality-report.json',
+    filters: [{ name: 'JSON Files', extensions: ['json'] }]
+  });
+  if (result.canceled || !result.filePath) {
+    return { success: false, cancelled: true };
+  }
+
+  try {
+    const exportPath = ensureExtension(result.filePath, 'json');
+    fs.writeFileSync(exportPath, JSON.stringify(report, null, 2));
+    return { success: true, path: exportPath };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+});
+
+ipcMain.handle('decode-image', async (event, { filePath, fileName, arrayBuffer, dataUrl, rasterize }) => {
   if (!sharp) {
     throw new Error('Decoder requires sharp. Please install dependencies and rebuild native modules.');
   }
@@ -599,8 +2739,10 @@ ipcMain.handle('decode-image', async (event, { filePath, arrayBuffer, dataUrl })
   } else {
     throw new Error('No image data provided for decoding');
   }
+  inputBuffer = await decodeForSharp(inputBuffer, filePath || fileName, rasterize);
 
   const decoded = await sharp(inputBuffer, { failOnError: false })
+    .autoOrient()
     .png()
     .toBuffer({ resolveWithObject: true });
 
@@ -618,11 +2760,218 @@ ipcMain.handle('decode-image', async (event, { filePath, arrayBuffer, dataUrl })
 });
 
 // Handle save dialog
-ipcMain.handle('save-image', async (event, { dataUrl, defaultName, targetFormat, quality }) => {
+function writeOutputFile(outputPath, buffer) {
+  try {
+    fs.writeFileSync(outputPath, buffer);
+  } catch (err) {
+    if (err.code === 'EACCES') {
+      throw new Error('Permission denied. Cannot write to selected location.');
+    } else if (err.code === 'ENOSPC') {
+      throw new Error('Not enough disk space to save file.');
+    } else if (err.code === 'EBUSY') {
+      throw new Error('File is locked by another program.');
+    }
+    throw new Error(`Failed to write file: ${err.message}`);
+  }
+
+  try {
+    const stats = fs.statSync(outputPath);
+    if (stats.size === 0) {
+      throw new Error('File was created but is empty');
+    }
+  } catch (err) {
+    throw new Error('Failed to verify saved file: ' + err.message);
+  }
+}
+
+// TIFF-based RAW files would otherwise report their thumbnail IFDs, so queries about them
+// look at the developed image (cached by camera-raw.js)
+async function readSourceForQuery(filePath) {
+  const file = fs.readFileSync(filePath);
+  return isRawSource(file, filePath) ? decodeCameraRaw(file, filePath) : file;
+}
+
+ipcMain.handle('get-animation-info', async (event, { filePath }) => {
+  if (!filePath || !sharp) return { animated: false };
+  try {
+    const buffer = await readSourceForQuery(filePath);
+    const metadata = await sharp(buffer, { failOnError: false }).metadata();
+    const info = readAnimationInfo(buffer, metadata);
+    return info ? { animated: true, ...info } : { animated: false };
+  } catch (err) {
+    console.warn('Could not read animation info:', filePath, err.message);
+    return { animated: false };
+  }
+});
+
+ipcMain.handle('get-color-profile', async (event, { filePath }) => {
+  if (!filePath || !sharp) return { profile: null, space: null };
+  try {
+    const { icc, space } = await sharp(await readSourceForQuery(filePath), { failOnError: false }).metadata();
+    return { profile: icc ? describeIccProfile(icc) : null, space: space || null };
+  } catch (err) {
+    console.warn('Could not read color profile:', filePath, err.message);
+    return { profile: null, space: null };
+  }
+});
+
+ipcMain.handle('get-bit-depth', async (event, { filePath }) => {
+  if (!filePath || !sharp) return { bitDepth: 8 };
+  try {
+    const buffer = await readSourceForQuery(filePath);
+    return { bitDepth: readBitDepth(await sharp(buffer, { failOnError: false }).metadata()) };
+  } catch (err) {
+    console.warn('Could not read bit depth:', filePath, err.message);
+    return { bitDepth: 8 };
+  }
+});
+
+ipcMain.handle('get-orientation', async (event, { filePath }) => {
+  if (!filePath || !sharp) return { orientation: 1 };
+  try {
+    return { orientation: await readOrientation(await readSourceForQuery(filePath)) };
+  } catch (err) {
+    console.warn('Could not read orientation:', filePath, err.message);
+    return { orientation: 1 };
+  }
+});
+
+ipcMain.handle('get-image-pages', async (event, { filePath, rasterize }) => {
+  if (!filePath || !sharp) return { pages: [] };
   try {
-    if (!dataUrl || typeof dataUrl !== 'string') {
+    const file = fs.readFileSync(filePath);
+    if (isPdf(file)) {
+      return { pages: await createPdfThumbnails(file, normalizeRasterize(rasterize)) };
+    }
+    const buffer = await readSourceForQuery(filePath);
+    const metadata = await sharp(buffer, { failOnError: false }).metadata();
+    const pageCount = getPageCount(metadata);
+    if (pageCount < 2) return { pages: [] };
+    return { pages: await createPageThumbnails(buffer, pageCount) };
+  } catch (err) {
+    console.warn('Could not read image pages:', filePath, err.message);
+    return { pages: [] };
+  }
+});
+
+// Write one file per buffer as name_001.ext, name_002.ext, ...
+function writeNumberedOutputs(outputPath, buffers) {
+  const ext = path.extname(outputPath);
+  const base = path.basename(outputPath, ext);
+  const digits = Math.max(3, String(buffers.length).length);
+  return buffers.map((buffer, index) => {
+    const numberedPath = uniqueOutputPath(
+      path.dirname(outputPath),
+      `${base}_${String(index + 1).padStart(digits, '0')}${ext}`
+    );
+    writeOutputFile(numberedPath, buffer);
+    return numberedPath;
+  });
+}
+
+const SOURCE_UNREADABLE_RESULT = {
+  success: false,
+  code: 'SOURCE_UNREADABLE',
+  error: 'The source file cannot be decoded directly'
+};
+
+/**
+ * Read the image to encode. The original file is preferred; canvas pixels are only sent
+ * as a fallback when the main process cannot decode it.
+ * @returns {Promise<{inputBuffer: Buffer, nativeSource: Object|null}|null>} null when the
+ *   source file cannot be decoded here, so the renderer should retry with canvas pixels
+ */
+async function readEncodeSource({ dataUrl, sourcePath, rasterize }) {
+  if (dataUrl) {
+    if (typeof dataUrl !== 'string') {
       throw new Error('Invalid image data provided');
     }
+    return { inputBuffer: parseDataUrl(dataUrl), nativeSource: null };
+  }
+  if (sourcePath) {
+    const nativeSource = await loadSourceImage(sourcePath, rasterize);
+    return nativeSource ? { inputBuffer: nativeSource.buffer, nativeSource } : null;
+  }
+  throw new Error('Invalid image data provided');
+}
+
+/**
+ * Gather the encodeOutputBuffer options shared by saving and previewing a conversion.
+ * Conversion settings are expected to be normalized already.
+ */
+async function buildEncodeOptions(nativeSource, {
+  resize,
+  metadata,
+  encoder,
+  orientation,
+  color,
+  transform,
+  sourceColors,
+  sourcePath
+}) {
+  // libheif canvases hold the file's own pixel values, so their source profile is
+  // needed even when the metadata policy strips it from the output
+  const canvasColors = !nativeSource && Boolean(sourceColors);
+  let sourceMetadata = null;
+  if (metadata !== 'strip' || canvasColors) {
+    sourceMetadata = nativeSource
+      ? {
+        exif: nativeSource.metadata.exif || null,
+        icc: nativeSource.metadata.icc || null,
+        xmp: nativeSource.metadata.xmp || null
+      }
+      : await readSourceMetadata(sourcePath);
+  }
+
+  return {
+    resize,
+    metadata,
+    sourceMetadata,
+    encoder,
+    orientation: normalizeOrientationMode(orientation),
+    color,
+    transform,
+    native: Boolean(nativeSource),
+    sourceFile: nativeSource ? nativeSource.file : null,
+    canvasProfile: canvasColors ? sourceMetadata?.icc || null : null
+  };
+}
+
+ipcMain.handle('save-image', async (event, {
+  dataUrl,
+  defaultName,
+  targetFormat,
+  quality,
+  resize,
+  metadata,
+  encoder,
+  targetSize,
+  allowDownscale,
+  animation,
+  orientation,
+  color,
+  transform,
+  pages,
+  pageOutput,
+  pageDataUrls,
+  sourceColors,
+  sourcePath,
+  rasterize,
+  outputDirectory
+}) => {
+  try {
+    const encodeSource = await readEncodeSource({ dataUrl, sourcePath, rasterize });
+    if (!encodeSource) {
+      return SOURCE_UNREADABLE_RESULT;
+    }
+    let { inputBuffer } = encodeSource;
+    const { nativeSource } = encodeSource;
+
+    // Check for reasonable image size (max 100MB)
+    const MAX_SIZE = 100 * 1024 * 1024;
+    if (inputBuffer.length > MAX_SIZE) {
+      throw new Error(`Image too large (${(inputBuffer.length / 1024 / 1024).toFixed(1)}MB). Max: 100MB`);
+    }
 
     let format = normalizeFormat(targetFormat);
     if (!format && defaultName) {
@@ -632,6 +2981,13 @@ ipcMain.handle('save-image', async (event, { dataUrl, defaultName, targetFormat,
 
     const formatInfo = format ? OUTPUT_FORMATS[format] : null;
 
+    // Validate conversion options before asking where to save
+    const resizeSetting = normalizeResize(resize);
+    const transformSetting = normalizeTransform(transform);
+    const metadataPolicy = normalizeMetadataPolicy(metadata);
+    const colorProfile = normalizeColorProfile(color);
+    const sizeBudget = TARGET_SIZE_FORMATS.includes(format) ? normalizeTargetSize(targetSize) : null;
+
     if (!defaultName || typeof defaultName !== 'string') {
       defaultName = formatInfo ? `converted_image.${formatInfo.extensions[0]}` : 'converted_image.jpg';
     }
@@ -643,58 +2999,158 @@ ipcMain.handle('save-image', async (event, { dataUrl, defaultName, targetFormat,
       }
     }
 
-    const result = await dialog.showSaveDialog(mainWindow, {
-      defaultPath: defaultName,
-      filters: buildSaveFilters(format),
-      title: 'Save Converted Image'
-    });
+    let outputPath;
+    if (outputDirectory) {
+      // Batch conversions write straight into the chosen folder without a dialog
+      if (!fs.existsSync(outputDirectory)) {
+        throw new Error(`Output folder not found: ${outputDirectory}`);
+      }
+      outputPath = uniqueOutputPath(outputDirectory, path.basename(defaultName));
+    } else {
+      const result = await dialog.showSaveDialog(mainWindow, {
+        defaultPath: defaultName,
+        filters: buildSaveFilters(format),
+        title: 'Save Converted Image'
+      });
+
+      if (result.canceled || !result.filePath) {
+        return { success: false, cancelled: true };
+      }
 
-    if (result.canceled || !result.filePath) {
-      return { success: false, cancelled: true };
+      outputPath = result.filePath;
+      if (formatInfo) {
+        outputPath = ensureExtension(outputPath, formatInfo.extensions[0]);
+      }
     }
 
-    let outputPath = result.filePath;
-    if (formatInfo) {
-      outputPath = ensureExtension(outputPath, formatInfo.extensions[0]);
+    const encodeOptions = await buildEncodeOptions(nativeSource, {
+      resize: resizeSetting,
+      metadata: metadataPolicy,
+      encoder,
+      orientation,
+      color: colorProfile,
+      transform: transformSetting,
+      sourceColors,
+      sourcePath
+    });
+    // Animated sources stay animated unless only the first frame was asked for
+    const animationMode = ANIMATION_MODES.includes(animation) ? animation : 'animate';
+    const animationSource = nativeSource && format && animationMode !== 'first-frame'
+      ? await openAnimation(inputBuffer, nativeSource.metadata)
+      : null;
+
+    if (animationSource && animationMode === 'frames') {
+      const frameBuffers = await encodeAnimationFrames(animationSource, inputBuffer, format, quality, encodeOptions);
+      const paths = writeNumberedOutputs(outputPath, frameBuffers);
+
+      lastSavedFilePath = paths[0];
+      return {
+        success: true,
+        path: paths[0],
+        paths,
+        size: frameBuffers.reduce((total, buffer) => total + buffer.length, 0),
+        format,
+        frames: frameBuffers.length
+      };
     }
 
-    const inputBuffer = parseDataUrl(dataUrl);
-
-    // Check for reasonable image size (max 100MB)
-    const MAX_SIZE = 100 * 1024 * 1024;
-    if (inputBuffer.length > MAX_SIZE) {
-      throw new Error(`Image too large (${(inputBuffer.length / 1024 / 1024).toFixed(1)}MB). Max: 100MB`);
+    // Multi-page sources: pages are read natively, or arrive as canvases decoded in the renderer
+    let pageSources = null;
+    if (format && nativeSource && !animationSource) {
+      const selectedPages = normalizePages(pages, getPageCount(nativeSource.metadata));
+      if (selectedPages && nativeSource.renderPage) {
+        // PDF pages are rendered one by one, so each rendered page is a source of its own
+        pageSources = [];
+        for (const page of selectedPages) {
+          const buffer = page === 0 ? nativeSource.buffer : await nativeSource.renderPage(page);
+          pageSources.push({ buffer, page: 0 });
+        }
+        if (pageSources.length === 1) {
+          inputBuffer = pageSources[0].buffer;
+          pageSources = null;
+        }
+      } else if (selectedPages && selectedPages.length === 1) {
+        encodeOptions.page = selectedPages[0];
+      } else if (selectedPages) {
+        pageSources = selectedPages.map(page => ({ buffer: inputBuffer, page }));
+      }
+    } else if (format && !nativeSource && Array.isArray(pageDataUrls) && pageDataUrls.length > 1) {
+      pageSources = pageDataUrls.map(pageDataUrl => ({ buffer: parseDataUrl(pageDataUrl), page: 0 }));
     }
 
-    const outputBuffer = format
-      ? await encodeOutputBuffer(inputBuffer, format, quality)
-      : inputBuffer;
+    if (pageSources) {
+      if (format === 'pdf') {
+        // A PDF holds every selected page, so the page output mode does not apply
+        const pdfBuffer = await encodePdfDocument(pageSources, quality, encodeOptions);
+        writeOutputFile(outputPath, pdfBuffer);
+        lastSavedFilePath = outputPath;
+        return { success: true, path: outputPath, size: pdfBuffer.length, format, pages: pageSources.length };
+      }
 
-    try {
-      fs.writeFileSync(outputPath, outputBuffer);
-    } catch (err) {
-      if (err.code === 'EACCES') {
-        throw new Error('Permission denied. Cannot write to selected location.');
-      } else if (err.code === 'ENOSPC') {
-        throw new Error('Not enough disk space to save file.');
-      } else if (err.code === 'EBUSY') {
-        throw new Error('File is locked by another program.');
+      const pageMode = PAGE_OUTPUT_MODES.includes(pageOutput) ? pageOutput : 'separate';
+      if (pageMode === 'tiff' && format === 'tiff') {
+        const tiffBuffer = await encodeMultipageTiff(pageSources, quality, encodeOptions);
+        writeOutputFile(outputPath, tiffBuffer);
+        lastSavedFilePath = outputPath;
+        return { success: true, path: outputPath, size: tiffBuffer.length, format, pages: pageSources.length };
       }
-      throw new Error(`Failed to write file: ${err.message}`);
-    }
 
-    try {
-      const stats = fs.statSync(outputPath);
-      if (stats.size === 0) {
-        throw new Error('File was created but is empty');
+      const pageBuffers = [];
+      for (const source of pageSources) {
+        pageBuffers.push(await encodeOutputBuffer(source.buffer, format, quality, { ...encodeOptions, page: source.page }));
       }
-    } catch (err) {
-      throw new Error('Failed to verify saved file: ' + err.message);
+      const paths = writeNumberedOutputs(outputPath, pageBuffers);
+      lastSavedFilePath = paths[0];
+      return {
+        success: true,
+        path: paths[0],
+        paths,
+        size: pageBuffers.reduce((total, buffer) => total + buffer.length, 0),
+        format,
+        pages: pageBuffers.length
+      };
     }
 
+    let outputBuffer = inputBuffer;
+    let sizeResult = null;
+    let animated = false;
+    if (animationSource && ANIMATED_OUTPUT_FORMATS.includes(format)) {
+      outputBuffer = await encodeAnimation(animationSource, inputBuffer, format, quality, encodeOptions);
+      animated = true;
+    } else if (format && sizeBudget) {
+      sizeResult = await encodeToTargetSize(inputBuffer, format, sizeBudget, {
+        ...encodeOptions,
+        allowDownscale: Boolean(allowDownscale)
+      });
+      outputBuffer = sizeResult.buffer;
+    } else if (format) {
+      outputBuffer = await encodeOutputBuffer(inputBuffer, format, quality, encodeOptions);
+    }
+
+    writeOutputFile(outputPath, outputBuffer);
+
     lastSavedFilePath = outputPath;
 
-    return { success: true, path: outputPath, size: outputBuffer.length, format };
+    const upright = nativeSource ? (nativeSource.metadata.autoOrient || nativeSource.metadata) : null;
+    return {
+      success: true,
+      path: outputPath,
+      size: outputBuffer.length,
+      format,
+      frames: animated ? animationSource.frames : null,
+      dimensions: upright ? `${upright.width}x${upright.height}` : null,
+      losslessJpeg: format === 'jxl' && wantsJpegRecompression(encoder) && !animated && !sizeResult
+        ? repacksJpegLosslessly(format, encodeOptions)
+        : undefined,
+      targetSize: sizeResult ? {
+        limit: sizeBudget,
+        quality: sizeResult.quality,
+        width: sizeResult.width,
+        height: sizeResult.height,
+        downscaled: sizeResult.downscaled,
+        attempts: sizeResult.attempts
+      } : null
+    };
   } catch (err) {
     console.error('Save image error:', err);
     return {
@@ -705,6 +3161,378 @@ ipcMain.handle('save-image', async (event, { dataUrl, defaultName, targetFormat,
   }
 });
 
+// One page of a native multi-page source: PDF pages are rendered on their own, other
+// formats select it with Sharp's page option. Canvas pixels are always a single page.
+async function selectSourcePage({ inputBuffer, nativeSource }, page) {
+  const pageIndex = nativeSource ? Math.max(0, Math.floor(Number(page) || 0)) : 0;
+  if (pageIndex > 0 && nativeSource.renderPage) {
+    return { inputBuffer: await nativeSource.renderPage(pageIndex), page: 0 };
+  }
+  if (pageIndex > 0 && pageIndex < getPageCount(nativeSource.metadata)) {
+    return { inputBuffer, page: pageIndex };
+  }
+  return { inputBuffer, page: 0 };
+}
+
+function normalizeAutoThreshold(value) {
+  const threshold = Number(value);
+  if (!Number.isFinite(threshold)) return DEFAULT_AUTO_THRESHOLD;
+  return Math.min(0.999, Math.max(0.5, threshold));
+}
+
+// 8-bit sRGB pixels flattened onto white, so every candidate is measured the same way
+function readComparablePixels(input, size = null) {
+  let pipeline = sharp(input, { failOnError: false })
+    .flatten({ background: '#ffffff' })
+    .toColourspace('srgb');
+  if (size) {
+    pipeline = pipeline.resize(size.width, size.height, { fit: 'fill' });
+  }
+  return pipeline.raw().toBuffer({ resolveWithObject: true });
+}
+
+async function scoreAutoCandidate(sample, format, quality, reference, encoder) {
+  const buffer = await encodeOutputBuffer(sample, format, quality, { metadata: 'strip', encoder });
+  const decodable = await decodeForSharp(buffer, `candidate.${OUTPUT_FORMATS[format].extensions[0]}`);
+  const pixels = await readComparablePixels(decodable, reference.info);
+  return { quality, size: buffer.length, ssim: computeSsim(reference.data, pixels.data, reference.info) };
+}
+
+// Lowest quality on the ladder that meets the threshold (size grows with quality), or the
+// best one tried when none does
+async function searchAutoQuality(sample, format, reference, threshold, encoder) {
+  if (AUTO_LOSSLESS_FORMATS.includes(format)) {
+    const result = await scoreAutoCandidate(sample, format, undefined, reference, encoder);
+    return { ...result, quality: null, meets: result.ssim >= threshold, attempts: 1 };
+  }
+
+  let low = 0;
+  let high = AUTO_QUALITIES.length - 1;
+  let passing = null;
+  let highest = null;
+  let attempts = 0;
+  while (low <= high) {
+    const middle = Math.floor((low + high) / 2);
+    const result = await scoreAutoCandidate(sample, format, AUTO_QUALITIES[middle], reference, encoder);
+    attempts += 1;
+    if (!highest || result.quality > highest.quality) {
+      highest = result;
+    }
+    if (result.ssim >= threshold) {
+      passing = result;
+      high = middle - 1;
+    } else {
+      low = middle + 1;
+    }
+  }
+  return passing
+    ? { ...passing, meets: true, attempts }
+    : { ...highest, meets: false, attempts };
+}
+
+/**
+ * Encode the processed image to each AUTO_FORMATS candidate and pick the smallest file
+ * whose SSIM against the source meets the threshold.
+ * @param {Buffer} inputBuffer
+ * @param {Object} options - createSourcePipeline options, plus threshold and per-format encoders
+ * @returns {Promise<{choice: Object|null, candidates: Object[], sampled: boolean, sampleSize: string, outputSize: string}>}
+ *   candidate sizes are estimates for the full image when a sample was used
+ */
+async function chooseBestFormat(inputBuffer, options) {
+  const pipeline = await createSourcePipeline(inputBuffer, {
+    resize: options.resize,
+    transform: options.transform,
+    native: options.native,
+    canvasProfile: options.canvasProfile,
+    page: options.page
+  });
+  const processed = await pipeline.png({ compressionLevel: 1 }).toBuffer({ resolveWithObject: true });
+  const { width, height } = processed.info;
+  const sampleWidth = Math.min(width, AUTO_SAMPLE_SIZE);
+  const sampleHeight = Math.min(height, AUTO_SAMPLE_SIZE);
+  const sampled = sampleWidth < width || sampleHeight < height;
+  const sample = sampled
+    ? await sharp(processed.data).extract({
+      left: Math.floor((width - sampleWidth) / 2),
+      top: Math.floor((height - sampleHeight) / 2),
+      width: sampleWidth,
+      height: sampleHeight
+    }).png({ compressionLevel: 1 }).toBuffer()
+    : processed.data;
+  const areaScale = (width * height) / (sampleWidth * sampleHeight);
+  const reference = await readComparablePixels(sample);
+  const { isOpaque } = await sharp(sample).stats();
+  const encoders = options.encoders && typeof options.encoders === 'object' ? options.encoders : {};
+
+  const candidates = [];
+  for (const format of AUTO_FORMATS) {
+    if (!isOpaque && AUTO_OPAQUE_FORMATS.includes(format)) {
+      candidates.push({ format, error: 'No transparency' });
+      continue;
+    }
+    try {
+      const result = await searchAutoQuality(sample, format, reference, options.threshold, encoders[format]);
+      candidates.push({ format, ...result, size: Math.round(result.size * areaScale) });
+    } catch (err) {
+      candidates.push({ format, error: 'Not available', detail: err.message });
+    }
+  }
+
+  const choice = candidates
+    .filter(candidate => candidate.meets)
+    .reduce((best, candidate) => (!best || candidate.size < best.size ? candidate : best), null);
+  return {
+    choice,
+    candidates,
+    sampled,
+    sampleSize: `${sampleWidth}x${sampleHeight}`,
+    outputSize: `${width}x${height}`
+  };
+}
+
+ipcMain.handle('choose-best-format', async (event, {
+  dataUrl,
+  resize,
+  transform,
+  page,
+  encoders,
+  threshold,
+  sourceColors,
+  sourcePath,
+  rasterize
+}) => {
+  try {
+    const encodeSource = await readEncodeSource({ dataUrl, sourcePath, rasterize });
+    if (!encodeSource) {
+      return SOURCE_UNREADABLE_RESULT;
+    }
+    const { nativeSource } = encodeSource;
+    const selected = await selectSourcePage(encodeSource, page);
+    const canvasProfile = !nativeSource && sourceColors
+      ? (await readSourceMetadata(sourcePath))?.icc || null
+      : null;
+    const minimum = normalizeAutoThreshold(threshold);
+
+    const started = Date.now();
+    const result = await chooseBestFormat(selected.inputBuffer, {
+      resize: normalizeResize(resize),
+      transform: normalizeTransform(transform),
+      native: Boolean(nativeSource),
+      canvasProfile,
+      page: selected.page,
+      encoders,
+      threshold: minimum
+    });
+    return { success: true, threshold: minimum, duration: Date.now() - started, ...result };
+  } catch (err) {
+    console.error('Choose best format error:', err);
+    return { success: false, error: err.message || 'Unknown error while comparing formats' };
+  }
+});
+
+function toDataUrl(buffer, mimeType) {
+  return `data:${mimeType};base64,${buffer.toString('base64')}`;
+}
+
+// The encoded result as the renderer can display it, or null when it cannot be decoded here
+async function decodePreviewImage(outputBuffer, format) {
+  if (BROWSER_PREVIEW_FORMATS.includes(format)) {
+    return toDataUrl(outputBuffer, `image/${format}`);
+  }
+  try {
+    const decodable = await decodeForSharp(outputBuffer, `preview.${OUTPUT_FORMATS[format].extensions[0]}`);
+    const png = await sharp(decodable, { failOnError: false }).autoOrient().png({ compressionLevel: 1 }).toBuffer();
+    return toDataUrl(png, 'image/png');
+  } catch (err) {
+    return null;
+  }
+}
+
+// Encode the current settings without saving, for the before/after comparison and the size
+// estimates on the format cards (sizeOnly skips the images). Animated sources are previewed
+// from their first frame and multi-page sources from one page.
+ipcMain.handle('encode-preview', async (event, {
+  dataUrl,
+  targetFormat,
+  quality,
+  resize,
+  metadata,
+  encoder,
+  targetSize,
+  allowDownscale,
+  orientation,
+  color,
+  transform,
+  page,
+  sourceColors,
+  sourcePath,
+  rasterize,
+  includeOriginal,
+  sizeOnly
+}) => {
+  try {
+    const format = normalizeFormat(targetFormat);
+    if (!format) {
+      throw new Error(`Unsupported output format: ${targetFormat}`);
+    }
+    const encodeSource = await readEncodeSource({ dataUrl, sourcePath, rasterize });
+    if (!encodeSource) {
+      return SOURCE_UNREADABLE_RESULT;
+    }
+    let { inputBuffer } = encodeSource;
+    const { nativeSource } = encodeSource;
+
+    const resizeSetting = normalizeResize(resize);
+    const transformSetting = normalizeTransform(transform);
+    const encodeOptions = await buildEncodeOptions(nativeSource, {
+      resize: resizeSetting,
+      metadata: normalizeMetadataPolicy(metadata),
+      encoder,
+      orientation,
+      color: normalizeColorProfile(color),
+      transform: transformSetting,
+      sourceColors,
+      sourcePath
+    });
+    const selected = await selectSourcePage(encodeSource, page);
+    inputBuffer = selected.inputBuffer;
+    if (selected.page) {
+      encodeOptions.page = selected.page;
+    }
+
+    const sizeBudget = TARGET_SIZE_FORMATS.includes(format) ? normalizeTargetSize(targetSize) : null;
+    const started = Date.now();
+    let outputBuffer;
+    let sizeResult = null;
+    if (sizeBudget) {
+      sizeResult = await encodeToTargetSize(inputBuffer, format, sizeBudget, {
+        ...encodeOptions,
+        allowDownscale: Boolean(allowDownscale)
+      });
+      outputBuffer = sizeResult.buffer;
+    } else {
+      outputBuffer = await encodeOutputBuffer(inputBuffer, format, quality, encodeOptions);
+    }
+    const encodeTime = Date.now() - started;
+
+    let encoded = null;
+    let encodedData = null;
+    const displayable = !sizeOnly && !SIZE_ONLY_PREVIEW_FORMATS.includes(format);
+    if (displayable) {
+      encoded = await decodePreviewImage(outputBuffer, format);
+      // HEIC needs a decoder sharp may lack; the renderer decodes it with libheif instead
+      if (!encoded && format === 'heic') {
+        encodedData = outputBuffer;
+      }
+    }
+
+    let original = null;
+    if (includeOriginal && !sizeOnly) {
+      const pipeline = await createSourcePipeline(inputBuffer, {
+        resize: resizeSetting,
+        transform: transformSetting,
+        native: encodeOptions.native,
+        canvasProfile: encodeOptions.canvasProfile,
+        page: encodeOptions.page
+      });
+      original = toDataUrl(await pipeline.png({ compressionLevel: 1 }).toBuffer(), 'image/png');
+    }
+
+    let sourceSize = inputBuffer.length;
+    if (sourcePath) {
+      try {
+        sourceSize = fs.statSync(sourcePath).size;
+      } catch (err) {
+        // The decoded buffer size stands in when the file has gone
+      }
+    }
+
+    return {
+      success: true,
+      format,
+      size: outputBuffer.length,
+      sourceSize,
+      encodeTime,
+      quality: sizeResult ? sizeResult.quality : null,
+      encoded,
+      encodedData,
+      original,
+      previewError: displayable && !encoded && !encodedData ? 'The result cannot be displayed' : null
+    };
+  } catch (err) {
+    console.error('Encode preview error:', err);
+    return { success: false, error: err.message || 'Unknown error while encoding the preview', code: err.code };
+  }
+});
+
+// PDF documents from several images: the renderer renders each queued image to a page in
+// turn (reporting progress and falling back to canvas pixels like save-image), then writes
+// all pages into the file picked with choose-pdf-output
+ipcMain.handle('render-pdf-page', async (event, {
+  dataUrl,
+  quality,
+  resize,
+  transform,
+  sourceColors,
+  sourcePath,
+  rasterize
+}) => {
+  try {
+    const encodeSource = await readEncodeSource({ dataUrl, sourcePath, rasterize });
+    if (!encodeSource) {
+      return SOURCE_UNREADABLE_RESULT;
+    }
+    const { inputBuffer, nativeSource } = encodeSource;
+
+    const canvasProfile = !nativeSource && sourceColors
+      ? (await readSourceMetadata(sourcePath))?.icc || null
+      : null;
+    const page = await encodePdfPage(inputBuffer, quality, {
+      resize: normalizeResize(resize),
+      transform: normalizeTransform(transform),
+      native: Boolean(nativeSource),
+      canvasProfile
+    });
+    return { success: true, page, size: page.jpeg.length, dimensions: `${page.width}x${page.height}` };
+  } catch (err) {
+    console.error('Render PDF page error:', err);
+    return { success: false, error: err.message || 'Unknown error while rendering the page' };
+  }
+});
+
+// The pages come back from the renderer, so each must still look like what render-pdf-page
+// returned: baseline JPEG data with a positive pixel size and 1 (gray) or 3 (RGB) channels
+function readPdfPageRequest(page) {
+  const jpeg = page && page.jpeg instanceof Uint8Array ? Buffer.from(page.jpeg) : null;
+  if (!isJpeg(jpeg) ||
+      !Number.isInteger(page.width) || page.width <= 0 ||
+      !Number.isInteger(page.height) || page.height <= 0 ||
+      (page.channels !== 1 && page.channels !== 3)) {
+    throw new Error('Invalid PDF page');
+  }
+  return { jpeg, width: page.width, height: page.height, channels: page.channels };
+}
+
+ipcMain.handle('write-pdf-document', async (event, { outputPath, pages, encoder }) => {
+  try {
+    if (!Array.isArray(pages) || pages.length === 0) {
+      throw new Error('Invalid PDF document request');
+    }
+    // Only the file picked in the last choose-pdf-output dialog is written, and only once
+    if (!pdfOutputPath || outputPath !== pdfOutputPath) {
+      throw new Error('The PDF can only be written to the file chosen for it');
+    }
+    const pdfBuffer = buildPdf(pages.map(readPdfPageRequest), normalizeEncoderOptions('pdf', encoder));
+    pdfOutputPath = null;
+    writeOutputFile(outputPath, pdfBuffer);
+    lastSavedFilePath = outputPath;
+    return { success: true, path: outputPath, size: pdfBuffer.length, format: 'pdf', pages: pages.length };
+  } catch (err) {
+    console.error('Write PDF document error:', err);
+    return { success: false, error: err.message || 'Unknown error while writing the PDF' };
+  }
+});
+
 // Handle open folder request
 ipcMain.handle('open-containing-folder', async (event, filePath) => {
   try {
@@ -0,0 +1,42 @@
+// What each output format can hold. The main process encodes by these rules and the
+// renderer enables its controls by them, so both read them from here.
+
+// Output formats that can carry EXIF/XMP/ICC metadata
+const METADATA_FORMATS = ['jpeg', 'png', 'webp', 'avif', 'heic', 'tiff', 'jxl'];
+
+// Lossy formats whose quality setting can be searched to hit a file size budget
+const TARGET_SIZE_FORMATS = ['jpeg', 'webp', 'avif', 'heic'];
+
+// PNG output is written as APNG when the source is animated
+const ANIMATED_OUTPUT_FORMATS = ['gif', 'webp', 'png'];
+
+/**
+ * Bits per channel an output format keeps with the given encoder options, either as the
+ * settings panel collects them or as normalized for sharp.
+ * @param {string} format
+ * @param {Object} [encoder]
+ * @returns {number}
+ */
+function outputBitDepth(format, encoder) {
+  const options = encoder || {};
+  switch (format) {
+    case 'png':
+      return options.palette ? 8 : 16;
+    case 'tiff':
+      return options.compression === 'jpeg' ? 8 : 16;
+    case 'jxl':
+      return 16;
+    case 'avif':
+    case 'heic':
+      return parseInt(options.bitdepth, 10) || 8;
+    default:
+      return 8;
+  }
+}
+
+module.exports = {
+  METADATA_FORMATS,
+  TARGET_SIZE_FORMATS,
+  ANIMATED_OUTPUT_FORMATS,
+  outputBitDepth
+};
@@ -0,0 +1,94 @@
+// PDF input. Prebuilt sharp has no PDF loader (libvips needs PDFium or Poppler for that),
+// so pages are rendered to PNG with Poppler's pdfinfo and pdftoppm tools on the PATH.
+// Pages are rendered one at a time on demand, so long documents are never held in memory.
+
+const fs = require('fs');
+const path = require('path');
+const { runTool, withTempDir } = require('./external-tool');
+
+const PDF_SIGNATURE = Buffer.from('%PDF-', 'latin1');
+
+function isPdf(buffer) {
+  // The header may follow a few bytes of junk, which readers tolerate within the first 1 KB
+  return Boolean(buffer) && buffer.subarray(0, 1024).indexOf(PDF_SIGNATURE) !== -1;
+}
+
+function runPoppler(tool, args) {
+  return runTool(tool, args, `PDF input needs Poppler's ${tool} tool on the PATH (or a sharp build with PDF support)`);
+}
+
+// Run a Poppler tool on a temporary copy of the PDF
+function withPdfFile(pdf, task) {
+  return withTempDir('lirum-pdf-', directory => {
+    const inputPath = path.join(directory, 'input.pdf');
+    fs.writeFileSync(inputPath, pdf);
+    return task(inputPath, directory);
+  });
+}
+
+// Render with pdftoppm and collect the PNG files it wrote, in page order
+function renderWithTool(pdf, args) {
+  return withPdfFile(pdf, async (inputPath, directory) => {
+    await runPoppler('pdftoppm', [...args, '-png', inputPath, path.join(directory, 'page')]);
+    // pdftoppm pads page numbers to the width of the page count (page-1.png or page-01.png)
+    return fs.readdirSync(directory)
+      .filter(name => name.startsWith('page') && name.endsWith('.png'))
+      .sort((a, b) => parseInt(a.replace(/\D/g, ''), 10) - parseInt(b.replace(/\D/g, ''), 10))
+      .map(name => fs.readFileSync(path.join(directory, name)));
+  });
+}
+
+/**
+ * Read every page's size in points, as displayed (the page rotation is applied).
+ * @returns {Promise<Array<{width: number, height: number}>>}
+ */
+function readPdfPageSizes(pdf) {
+  return withPdfFile(pdf, async inputPath => {
+    const pageCount = parseInt((await runPoppler('pdfinfo', [inputPath])).match(/^Pages:\s+(\d+)/m)?.[1], 10);
+    if (!pageCount) {
+      throw new Error('pdfinfo did not report a page count');
+    }
+    const info = await runPoppler('pdfinfo', ['-f', '1', '-l', String(pageCount), inputPath]);
+    // US Letter stands in for a page pdfinfo could not size
+    const sizes = Array.from({ length: pageCount }, () => ({ width: 612, height: 792 }));
+    for (const [, page, width, height] of info.matchAll(/^Page\s+(\d+) size:\s+([\d.]+) x ([\d.]+)/gm)) {
+      sizes[page - 1] = { width: parseFloat(width), height: parseFloat(height) };
+    }
+    for (const [, page, rotation] of info.matchAll(/^Page\s+(\d+) rot:\s+(\d+)/gm)) {
+      if (parseInt(rotation, 10) % 180 === 90) {
+        sizes[page - 1] = { width: sizes[page - 1].height, height: sizes[page - 1].width };
+      }
+    }
+    return sizes;
+  });
+}
+
+/**
+ * Render one page (0-based) to PNG, either at a resolution or scaled to a pixel width.
+ * @param {{mode: string, dpi?: number, width?: number}} rasterize
+ */
+async function renderPdfPage(pdf, page, rasterize) {
+  const args = ['-f', String(page + 1), '-l', String(page + 1)];
+  if (rasterize.mode === 'width') {
+    args.push('-scale-to-x', String(rasterize.width), '-scale-to-y', '-1');
+  } else {
+    args.push('-r', String(rasterize.dpi));
+  }
+  const [png] = await renderWithTool(pdf, args);
+  if (!png) {
+    throw new Error(`pdftoppm did not render page ${page + 1}`);
+  }
+  return png;
+}
+
+// Render every page in one pass with its long edge at `size` pixels
+function renderPdfThumbnails(pdf, size) {
+  return renderWithTool(pdf, ['-scale-to', String(size)]);
+}
+
+module.exports = {
+  isPdf,
+  readPdfPageSizes,
+  renderPdfPage,
+  renderPdfThumbnails
+};
@@ -0,0 +1,134 @@
+// PDF output. Each image becomes one page holding a single JPEG XObject (DCTDecode), so the
+// document is written directly with no PDF library: a header, one object per dictionary
+// and stream, a cross-reference table and a trailer.
+
+const POINTS_PER_MM = 72 / 25.4;
+
+// Portrait sizes in points
+const PAGE_SIZES = {
+  a4: { width: 595.28, height: 841.89 },
+  letter: { width: 612, height: 792 }
+};
+
+function formatNumber(value) {
+  return String(Math.round(value * 100) / 100);
+}
+
+/**
+ * Lay out one image on its page: scaled to fit inside the margins and centered. A fit page
+ * is sized to the image instead, one point per pixel.
+ * @returns {{pageWidth: number, pageHeight: number, x: number, y: number, width: number, height: number}}
+ */
+function layoutPage(imageWidth, imageHeight, options) {
+  const margin = options.margin * POINTS_PER_MM;
+  let pageWidth;
+  let pageHeight;
+  if (options.pageSize === 'fit') {
+    pageWidth = imageWidth + margin * 2;
+    pageHeight = imageHeight + margin * 2;
+  } else {
+    const size = PAGE_SIZES[options.pageSize];
+    const landscape = options.orientation === 'landscape' ||
+      (options.orientation === 'auto' && imageWidth > imageHeight);
+    pageWidth = landscape ? size.height : size.width;
+    pageHeight = landscape ? size.width : size.height;
+  }
+
+  const availableWidth = Math.max(1, pageWidth - margin * 2);
+  const availableHeight = Math.max(1, pageHeight - margin * 2);
+  const scale = options.pageSize === 'fit'
+    ? 1
+    : Math.min(availableWidth / imageWidth, availableHeight / imageHeight);
+  const width = imageWidth * scale;
+  const height = imageHeight * scale;
+  return {
+    pageWidth,
+    pageHeight,
+    x: (pageWidth - width) / 2,
+    y: (pageHeight - height) / 2,
+    width,
+    height
+  };
+}
+
+/**
+ * Build a PDF with one page per image.
+ * @param {Array<{jpeg: Buffer, width: number, height: number, channels?: number}>} pages
+ *   baseline JPEG data; channels is 1 for grayscale, otherwise RGB
+ * @param {{pageSize: string, orientation: string, margin: number}} options
+ *   margin in millimetres
+ * @returns {Buffer}
+ */
+function buildPdf(pages, options) {
+  if (!pages.length) {
+    throw new Error('A PDF needs at least one page');
+  }
+
+  const chunks = [];
+  const offsets = [];
+  let length = 0;
+  const write = (data) => {
+    const chunk = Buffer.isBuffer(data) ? data : Buffer.from(data, 'latin1');
+    chunks.push(chunk);
+    length += chunk.length;
+  };
+  const beginObject = (id) => {
+    offsets[id] = length;
+    write(`${id} 0 obj\n`);
+  };
+
+  // Objects 1 (catalog), 2 (page tree) and 3 (info), then image, content and page per page
+  const pageIds = pages.map((_, index) => 6 + index * 3);
+
+  // The binary comment marks the file as binary for transfer tools
+  write('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n');
+
+  beginObject(1);
+  write('<< /Type /Catalog /Pages 2 0 R >>\nendobj\n');
+
+  beginObject(2);
+  write(`<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>\nendobj\n`);
+
+  beginObject(3);
+  write('<< /Producer (Lirum All Image Converter) >>\nendobj\n');
+
+  pages.forEach((page, index) => {
+    const imageId = 4 + index * 3;
+    const contentId = imageId + 1;
+    const pageId = imageId + 2;
+    const layout = layoutPage(page.width, page.height, options);
+
+    beginObject(imageId);
+    write(`<< /Type /XObject /Subtype /Image /Width ${page.width} /Height ${page.height} ` +
+      `/ColorSpace /${page.channels === 1 ? 'DeviceGray' : 'DeviceRGB'} /BitsPerComponent 8 ` +
+      `/Filter /DCTDecode /Length ${page.jpeg.length} >>\nstream\n`);
+    write(page.jpeg);
+    write('\nendstream\nendobj\n');
+
+    const content = `q ${formatNumber(layout.width)} 0 0 ${formatNumber(layout.height)} ` +
+      `${formatNumber(layout.x)} ${formatNumber(layout.y)} cm /Im0 Do Q\n`;
+    beginObject(contentId);
+    write(`<< /Length ${content.length} >>\nstream\n${content}endstream\nendobj\n`);
+
+    beginObject(pageId);
+    write(`<< /Type /Page /Parent 2 0 R ` +
+      `/MediaBox [0 0 ${formatNumber(layout.pageWidth)} ${formatNumber(layout.pageHeight)}] ` +
+      `/Resources << /XObject << /Im0 ${imageId} 0 R >> >> /Contents ${contentId} 0 R >>\nendobj\n`);
+  });
+
+  const xrefOffset = length;
+  const objectCount = offsets.length;
+  write(`xref\n0 ${objectCount}\n0000000000 65535 f \n`);
+  for (let id = 1; id < objectCount; id++) {
+    write(`${String(offsets[id]).padStart(10, '0')} 00000 n \n`);
+  }
+  write(`trailer\n<< /Size ${objectCount} /Root 1 0 R /Info 3 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+  return Buffer.concat(chunks);
+}
+
+module.exports = {
+  PAGE_SIZES,
+  layoutPage,
+  buildPdf
+};
@@ -1,5 +1,13 @@
-const { ipcRenderer, shell } = require('electron');
+const { ipcRenderer, shell, webUtils } = require('electron');
 const HeicDecoder = require('./heic-decoder');
+const { SNIFF_LENGTH, FORMAT_NAMES, formatFromExtension, identifyFormat } = require('./format-sniffer');
+const { compareImages, diffHeatmap } = require('./image-metrics');
+const {
+  METADATA_FORMATS,
+  TARGET_SIZE_FORMATS,
+  ANIMATED_OUTPUT_FORMATS,
+  outputBitDepth
+} = require('./output-formats');
 const logger = require('./logger');
 let ExifReader = null;
 
@@ -14,6 +22,34 @@ const dropZone = document.getElementById('dropZone');
 const fileInput = document.getElementById('fileInput');
 const previewContainer = document.getElementById('previewContainer');
 const previewImage = document.getElementById('previewImage');
+const previewStage = document.getElementById('previewStage');
+const cropBox = document.getElementById('cropBox');
+const transformTools = document.getElementById('transformTools');
+const rotateLeftBtn = document.getElementById('rotateLeftBtn');
+const rotateRightBtn = document.getElementById('rotateRightBtn');
+const flipHorizontalBtn = document.getElementById('flipHorizontalBtn');
+const flipVerticalBtn = document.getElementById('flipVerticalBtn');
+const cropBtn = document.getElementById('cropBtn');
+const cropAspect = document.getElementById('cropAspect');
+const resetTransformBtn = document.getElementById('resetTransformBtn');
+const transformSize = document.getElementById('transformSize');
+const compareBtn = document.getElementById('compareBtn');
+const compareZoom = document.getElementById('compareZoom');
+const compareView = document.getElementById('compareView');
+const compareCanvas = document.getElementById('compareCanvas');
+const compareOriginal = document.getElementById('compareOriginal');
+const compareEncoded = document.getElementById('compareEncoded');
+const compareDivider = document.getElementById('compareDivider');
+const compareLabels = [
+  document.getElementById('compareLabelOriginal'),
+  document.getElementById('compareLabelResult')
+];
+const compareStats = document.getElementById('compareStats');
+const autoControl = document.getElementById('autoControl');
+const autoThreshold = document.getElementById('autoThreshold');
+const autoSummary = document.getElementById('autoSummary');
+const autoTable = document.getElementById('autoTable');
+const autoTableBody = document.getElementById('autoTableBody');
 const imageInfo = document.getElementById('imageInfo');
 const formatCards = document.querySelectorAll('.format-card');
 const statusText = document.getElementById('statusText');
@@ -26,7 +62,72 @@ const qualityControl = document.getElementById('qualityControl');
 const qualitySlider = document.getElementById('quality');
 const qualityLabelText = document.getElementById('qualityLabelText');
 const qualityValue = document.getElementById('qualityValue');
+const targetSizeEnabled = document.getElementById('targetSizeEnabled');
+const targetSizeRow = document.getElementById('targetSizeRow');
+const targetSizeValue = document.getElementById('targetSizeValue');
+const targetSizeHint = document.getElementById('targetSizeHint');
+const allowDownscaleRow = document.getElementById('allowDownscaleRow');
+const allowDownscale = document.getElementById('allowDownscale');
 const processingOverlay = document.getElementById('processingOverlay');
+const resizeMode = document.getElementById('resizeMode');
+const resizeDimensionsRow = document.getElementById('resizeDimensionsRow');
+const resizeWidth = document.getElementById('resizeWidth');
+const resizeHeight = document.getElementById('resizeHeight');
+const resizePercentRow = document.getElementById('resizePercentRow');
+const resizePercent = document.getElementById('resizePercent');
+const resizeLongEdgeRow = document.getElementById('resizeLongEdgeRow');
+const resizeLongEdge = document.getElementById('resizeLongEdge');
+const resizeKernelRow = document.getElementById('resizeKernelRow');
+const resizeKernel = document.getElementById('resizeKernel');
+const metadataPolicy = document.getElementById('metadataPolicy');
+const metadataHint = document.getElementById('metadataHint');
+const orientationMode = document.getElementById('orientationMode');
+const orientationHint = document.getElementById('orientationHint');
+const colorProfile = document.getElementById('colorProfile');
+const customProfileRow = document.getElementById('customProfileRow');
+const customProfileName = document.getElementById('customProfileName');
+const chooseProfileBtn = document.getElementById('chooseProfileBtn');
+const colorHint = document.getElementById('colorHint');
+const precisionHint = document.getElementById('precisionHint');
+const repackHint = document.getElementById('repackHint');
+const advancedControl = document.getElementById('advancedControl');
+const bitDepthHint = document.getElementById('bitDepthHint');
+const rasterizeControl = document.getElementById('rasterizeControl');
+const rasterizeMode = document.getElementById('rasterizeMode');
+const rasterizeDpiRow = document.getElementById('rasterizeDpiRow');
+const rasterizeDpi = document.getElementById('rasterizeDpi');
+const rasterizeWidthRow = document.getElementById('rasterizeWidthRow');
+const rasterizeWidth = document.getElementById('rasterizeWidth');
+const animationControl = document.getElementById('animationControl');
+const animationMode = document.getElementById('animationMode');
+const animationHint = document.getElementById('animationHint');
+const pageStrip = document.getElementById('pageStrip');
+const pageStripCount = document.getElementById('pageStripCount');
+const pageList = document.getElementById('pageList');
+const selectAllPagesBtn = document.getElementById('selectAllPagesBtn');
+const selectNoPagesBtn = document.getElementById('selectNoPagesBtn');
+const pageControl = document.getElementById('pageControl');
+const pageOutput = document.getElementById('pageOutput');
+const pageHint = document.getElementById('pageHint');
+const encoderOptionPanels = document.querySelectorAll('.encoder-options');
+const recursiveToggle = document.getElementById('recursiveToggle');
+const presetList = document.getElementById('presetList');
+const presetEmpty = document.getElementById('presetEmpty');
+const importPresetsBtn = document.getElementById('importPresetsBtn');
+const exportPresetsBtn = document.getElementById('exportPresetsBtn');
+const presetName = document.getElementById('presetName');
+const savePresetBtn = document.getElementById('savePresetBtn');
+const recursiveFolders = document.getElementById('recursiveFolders');
+
+// Batch Elements
+const batchContainer = document.getElementById('batchContainer');
+const batchSubtitle = document.getElementById('batchSubtitle');
+const batchClearBtn = document.getElementById('batchClearBtn');
+const batchProgressBar = document.getElementById('batchProgressBar');
+const batchProgressText = document.getElementById('batchProgressText');
+const batchList = document.getElementById('batchList');
+const batchSummary = document.getElementById('batchSummary');
+const batchOpenFolderBtn = document.getElementById('batchOpenFolderBtn');
 
 // Modal Elements
 
@@ -35,6 +136,7 @@ const closeMenu = document.getElementById('closeMenu');
 const viewLogsBtn = document.getElementById('viewLogsBtn');
 const viewInfoMenuBtn = document.getElementById('viewInfoMenuBtn');
 const aboutBtn = document.getElementById('aboutBtn');
+const compareImagesMenuBtn = document.getElementById('compareImagesMenuBtn');
 const viewInfoBtn = document.getElementById('viewInfoBtn');
 
 const conversionCompleteModal = document.getElementById('conversionCompleteModal');
@@ -47,6 +149,19 @@ const savedFileInfo = document.getElementById('savedFileInfo');
 const aboutModal = document.getElementById('aboutModal');
 const closeAbout = document.getElementById('closeAbout');
 
+const metricsModal = document.getElementById('metricsModal');
+const closeMetrics = document.getElementById('closeMetrics');
+const metricsSlots = metricsModal.querySelectorAll('.metrics-slot');
+const metricsStatus = document.getElementById('metricsStatus');
+const metricsResults = document.getElementById('metricsResults');
+const metricsFlags = document.getElementById('metricsFlags');
+const metricsTableBody = document.getElementById('metricsTableBody');
+const metricsImage = document.getElementById('metricsImage');
+const metricsHeatmap = document.getElementById('metricsHeatmap');
+const metricsHeatmapToggle = document.getElementById('metricsHeatmapToggle');
+const metricsGain = document.getElementById('metricsGain');
+const metricsExportBtn = document.getElementById('metricsExportBtn');
+
 // Store last saved file path for conversion complete actions
 let lastSavedFilePath = null;
 
@@ -59,9 +174,91 @@ let currentCanvas = null;
 let heicDecoder = null;
 let activeModal = null;
 let currentFilePath = null;
+let currentAnimation = null;
+let currentPages = [];
+let currentOrientation = 1;
+// Set when a file's extension disagrees with its content
+let currentFormatWarning = null;
+// Bits per channel of the loaded file, as read by Sharp
+let currentBitDepth = 8;
+// Path of the .icc/.icm file used by the custom color profile option
+let customProfilePath = null;
+// Mirror horizontally, then rotate clockwise, then crop (fractions of the rotated image)
+let currentTransform = { rotate: 0, mirror: false, crop: null };
+let cropDrag = null;
 let currentInfoPayload = null;
 let currentInfoKey = null;
 let selectedFormat = null;
+// AVIF/HEIC bit depths the local Sharp build can encode; 8-bit until the main process answers
+let encoderBitDepths = { avif: [8], heic: [8] };
+// Before/after comparison: results from an older request or a closed view are dropped
+let compareActive = false;
+let compareTimer = null;
+let compareGeneration = 0;
+let compareInFlight = false;
+let compareQueued = false;
+let compareOriginalKey = null;
+let compareSplit = 0.5;
+let compareDragging = false;
+// Size estimates on the format cards; the key holds the settings they were computed for
+let estimateTimer = null;
+let estimateGeneration = 0;
+let estimateKey = null;
+// The Auto card's pick ({format, quality}) once the candidates have been compared
+let autoChoice = null;
+let autoTimer = null;
+let autoGeneration = 0;
+let autoKey = null;
+
+// Batch state
+let batchQueue = [];
+let batchRunning = false;
+let presets = [];
+
+const MIME_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp',
+  '.gif': 'image/gif',
+  '.bmp': 'image/bmp',
+  '.tif': 'image/tiff',
+  '.tiff': 'image/tiff',
+  '.heic': 'image/heic',
+  '.heif': 'image/heif',
+  '.avif': 'image/avif',
+  '.jxl': 'image/jxl',
+  '.svg': 'image/svg+xml',
+  '.pdf': 'application/pdf',
+  '.dng': 'image/x-adobe-dng',
+  '.cr2': 'image/x-canon-cr2',
+  '.cr3': 'image/x-canon-cr3',
+  '.nef': 'image/x-nikon-nef',
+  '.arw': 'image/x-sony-arw'
+};
+// Format of each MIME type above, plus aliases other sources report
+const MIME_FORMATS = {
+  ...Object.fromEntries(Object.entries(MIME_TYPES).map(([ext, type]) => [type, formatFromExtension(ext)])),
+  'image/jpg': 'jpeg',
+  'image/x-ms-bmp': 'bmp'
+};
+
+const ICON_FORMATS = ['ico', 'icns'];
+const PAGE_THUMBNAIL_SIZE = 160;
+const TRANSFORM_PREVIEW_MAX_EDGE = 2048;
+const MIN_CROP_FRACTION = 0.02;
+const CROP_ASPECTS = { free: null, '1:1': 1, '4:3': 4 / 3, '16:9': 16 / 9 };
+const COMPARE_DELAY = 300;
+// Every card is re-encoded, so estimates wait for a longer pause than the comparison
+const ESTIMATE_DELAY = 800;
+const AUTO_DELAY = 800;
+
+const BATCH_STATUS_LABELS = {
+  pending: 'Queued',
+  converting: 'Converting',
+  done: 'Done',
+  failed: 'Failed'
+};
 
 // Initialize decoder (supports both HEIC and AVIF)
 async function initDecoder() {
@@ -111,11 +308,22 @@ function toggleModal(modal) {
 dropZone.addEventListener('click', () => fileInput.click());
 
 fileInput.addEventListener('change', (e) => {
-  if (e.target.files.length > 0) {
-    handleFile(e.target.files[0]);
+  const files = Array.from(e.target.files);
+  if (files.length > 1 || (files.length === 1 && isBatchMode())) {
+    addFilesToBatch(files.map(getFilePath).filter(Boolean));
+  } else if (files.length === 1) {
+    handleFile(files[0]);
   }
 });
 
+recursiveToggle.addEventListener('click', (e) => {
+  e.stopPropagation();
+});
+
+batchContainer.addEventListener('click', (e) => {
+  e.stopPropagation();
+});
+
 // Drag & Drop
 dropZone.addEventListener('dragover', (e) => {
   e.preventDefault();
@@ -130,15 +338,27 @@ dropZone.addEventListener('drop', (e) => {
   e.preventDefault();
   dropZone.classList.remove('drag-over');
   
-  const files = e.dataTransfer.files;
-  if (files.length > 0) {
+  const files = Array.from(e.dataTransfer.files);
+  if (files.length === 0) return;
+
+  // Entries must be inspected synchronously while the drop event is active
+  const hasFolder = Array.from(e.dataTransfer.items || []).some(item => {
+    const entry = typeof item.webkitGetAsEntry === 'function' ? item.webkitGetAsEntry() : null;
+    return Boolean(entry && entry.isDirectory);
+  });
+
+  if (files.length === 1 && !hasFolder && !isBatchMode()) {
     logger.info('File dropped', { 
       fileName: files[0].name, 
       fileType: files[0].type,
       fileSize: files[0].size 
     });
     handleFile(files[0]);
+    return;
   }
+
+  logger.info('Multiple items dropped', { count: files.length, hasFolder });
+  addFilesToBatch(files.map(getFilePath).filter(Boolean));
 });
 
 // Quality slider
@@ -146,17 +366,141 @@ qualitySlider.addEventListener('input', (e) => {
   qualityValue.textContent = `${e.target.value}%`;
 });
 
+// Target file size replaces the quality slider with a quality search in main
+targetSizeEnabled.addEventListener('change', () => {
+  updateTargetSizeFields();
+  logger.debug('Target file size toggled', { enabled: targetSizeEnabled.checked });
+});
+formatSettings.addEventListener('change', updateTargetSizeHint);
+formatSettings.addEventListener('change', updateRepackHint);
+
+// Resize settings
+resizeMode.addEventListener('change', () => {
+  updateResizeFields();
+  logger.debug('Resize mode changed', { mode: resizeMode.value });
+});
+
+// Presets
+savePresetBtn.addEventListener('click', saveCurrentPreset);
+presetName.addEventListener('keydown', (e) => {
+  if (e.key === 'Enter') {
+    saveCurrentPreset();
+  }
+});
+importPresetsBtn.addEventListener('click', importPresets);
+exportPresetsBtn.addEventListener('click', exportPresets);
+
+colorProfile.addEventListener('change', () => {
+  customProfileRow.hidden = colorProfile.value !== 'custom';
+  if (colorProfile.value === 'custom' && !customProfilePath) {
+    chooseColorProfile();
+  }
+  logger.debug('Color profile changed', { profile: colorProfile.value });
+});
+chooseProfileBtn.addEventListener('click', chooseColorProfile);
+encoderOptionPanels.forEach(panel => {
+  panel.addEventListener('change', updatePrecisionHint);
+});
+
+rasterizeMode.addEventListener('change', () => {
+  updateRasterizeControl();
+  logger.debug('Rasterize mode changed', { mode: rasterizeMode.value });
+  reloadDocumentPreview();
+});
+[rasterizeDpi, rasterizeWidth].forEach(input => {
+  input.addEventListener('change', reloadDocumentPreview);
+});
+
+animationMode.addEventListener('change', () => {
+  updateAnimationControl();
+  logger.debug('Animation mode changed', { mode: animationMode.value });
+});
+
+// Preview tools sit inside the drop zone, so their clicks must not open the file dialog
+[pageStrip, transformTools, cropBox, compareView].forEach(element => {
+  element.addEventListener('click', (e) => e.stopPropagation());
+});
+
+rotateLeftBtn.addEventListener('click', () => rotatePreview(-90));
+rotateRightBtn.addEventListener('click', () => rotatePreview(90));
+flipHorizontalBtn.addEventListener('click', () => flipPreview('horizontal'));
+flipVerticalBtn.addEventListener('click', () => flipPreview('vertical'));
+cropBtn.addEventListener('click', toggleCrop);
+cropAspect.addEventListener('change', () => {
+  currentTransform.crop = createDefaultCrop(cropAspect.value);
+  layoutCropBox();
+  updateTransformControls();
+  logger.debug('Crop aspect changed', { aspect: cropAspect.value });
+});
+resetTransformBtn.addEventListener('click', () => {
+  resetTransform();
+  logger.info('Transforms reset');
+});
+cropBox.addEventListener('pointerdown', startCropDrag);
+cropBox.addEventListener('pointermove', moveCropDrag);
+cropBox.addEventListener('pointerup', endCropDrag);
+cropBox.addEventListener('pointercancel', endCropDrag);
+previewImage.addEventListener('load', layoutCropBox);
+window.addEventListener('resize', layoutCropBox);
+
+compareBtn.addEventListener('click', toggleCompare);
+compareZoom.addEventListener('change', () => {
+  layoutCompareView(true);
+  logger.debug('Comparison zoom changed', { zoom: compareZoom.value });
+});
+compareCanvas.addEventListener('pointerdown', startCompareDrag);
+compareCanvas.addEventListener('pointermove', moveCompareDrag);
+compareCanvas.addEventListener('pointerup', endCompareDrag);
+compareCanvas.addEventListener('pointercancel', endCompareDrag);
+compareOriginal.addEventListener('load', () => layoutCompareView());
+window.addEventListener('resize', () => layoutCompareView());
+// Any setting in the panel can change the encoded result
+formatSettings.addEventListener('input', scheduleComparePreview);
+formatSettings.addEventListener('change', scheduleComparePreview);
+formatSettings.addEventListener('input', scheduleSizeEstimates);
+formatSettings.addEventListener('change', scheduleSizeEstimates);
+formatSettings.addEventListener('change', scheduleAutoChoice);
+
+selectAllPagesBtn.addEventListener('click', () => setAllPagesSelected(true));
+selectNoPagesBtn.addEventListener('click', () => setAllPagesSelected(false));
+pageOutput.addEventListener('change', () => {
+  updatePageControl();
+  logger.debug('Page output changed', { mode: pageOutput.value });
+});
+
 // Format cards
 formatCards.forEach(card => {
   card.addEventListener('click', () => {
-    if (!currentImage || card.disabled) return;
+    if ((!currentImage && !isBatchMode()) || card.disabled) return;
     selectFormat(card);
   });
 });
 
 convertBtn.addEventListener('click', () => {
-  if (!currentImage || !selectedFormat) return;
-  convertImage(selectedFormat.format, selectedFormat.mime);
+  if (!selectedFormat) return;
+  if (isBatchMode()) {
+    runBatchConversion();
+    return;
+  }
+  if (!currentImage) return;
+  const format = getOutputFormat();
+  if (!format) return;
+  convertImage(format, getFormatCard(format)?.dataset.mime);
+});
+
+batchClearBtn.addEventListener('click', () => {
+  if (batchRunning) return;
+  resetApp();
+});
+
+batchOpenFolderBtn.addEventListener('click', async () => {
+  const converted = batchQueue.find(item => item.outputPath);
+  if (!converted) return;
+  const result = await ipcRenderer.invoke('open-containing-folder', converted.outputPath);
+  if (!result.success) {
+    logger.error('Failed to open folder', { error: result.error });
+    showStatus('Failed to open folder', 'error');
+  }
 });
 
 // Format Settings Close Button
@@ -178,7 +522,43 @@ aboutBtn.addEventListener('click', () => {
   closeActiveModal();
   openModal(aboutModal);
 });
+compareImagesMenuBtn.addEventListener('click', () => {
+  closeActiveModal();
+  openModal(metricsModal);
+});
 closeAbout.addEventListener('click', closeActiveModal);
+closeMetrics.addEventListener('click', closeActiveModal);
+
+// Files dropped beside the slots must not open in the window
+['dragover', 'drop'].forEach(type => {
+  metricsModal.addEventListener(type, (e) => e.preventDefault());
+});
+
+metricsSlots.forEach(slot => {
+  const role = slot.dataset.role;
+  slot.querySelector('.metrics-choose').addEventListener('click', () => chooseMetricsSource(role));
+  slot.addEventListener('dragover', (e) => {
+    e.preventDefault();
+    slot.classList.add('drag-over');
+  });
+  slot.addEventListener('dragleave', () => {
+    slot.classList.remove('drag-over');
+  });
+  slot.addEventListener('drop', (e) => {
+    e.preventDefault();
+    slot.classList.remove('drag-over');
+    const file = e.dataTransfer.files[0];
+    const filePath = file ? getFilePath(file) : null;
+    if (filePath) {
+      loadMetricsSource(role, filePath);
+    }
+  });
+});
+metricsHeatmapToggle.addEventListener('change', () => {
+  metricsHeatmap.hidden = !metricsHeatmapToggle.checked;
+});
+metricsGain.addEventListener('change', drawMetricsHeatmap);
+metricsExportBtn.addEventListener('click', exportMetricsReport);
 closeConversionComplete.addEventListener('click', closeActiveModal);
 
 if (viewInfoBtn) {
@@ -232,7 +612,7 @@ document.addEventListener('click', (e) => {
 });
 
 // Function to show conversion complete dialog
-function showConversionComplete(filePath) {
+function showConversionComplete(filePath, result = {}) {
   lastSavedFilePath = filePath;
   
   // Extract filename and directory from path
@@ -245,9 +625,40 @@ function showConversionComplete(filePath) {
     <div class="file-name">${fileName}</div>
     <div class="file-path">${dirName}</div>
   `;
+
+  if (typeof result.size === 'number') {
+    const details = [`Size: ${formatBytes(result.size)}`];
+    if (result.paths && result.pages) {
+      details.push(`${result.pages} pages saved as numbered files`);
+    } else if (result.paths) {
+      details.push(`${result.frames} frames saved as numbered files`);
+    } else if (result.pages) {
+      details.push(`${result.format === 'pdf' ? 'PDF' : 'Multi-page TIFF'}: ${result.pages} pages`);
+    } else if (result.frames) {
+      details.push(`Animated: ${result.frames} frames`);
+    }
+    if (result.losslessJpeg === true) {
+      details.push('JPEG data repacked losslessly; converting back to JPEG restores the original');
+    } else if (result.losslessJpeg === false) {
+      details.push('Encoded from pixels: the lossless JPEG repack did not apply');
+    }
+    const sizeTarget = result.targetSize;
+    if (sizeTarget) {
+      details.push(`Quality: ${sizeTarget.quality} (searched to stay under ${formatBytes(sizeTarget.limit)})`);
+      if (sizeTarget.downscaled) {
+        details.push(`Downscaled to ${sizeTarget.width}x${sizeTarget.height} to fit`);
+      }
+    }
+    details.forEach(line => {
+      const detail = document.createElement('div');
+      detail.className = 'file-detail';
+      detail.textContent = line;
+      savedFileInfo.appendChild(detail);
+    });
+  }
   
   openModal(conversionCompleteModal);
-  logger.info('Conversion complete dialog shown', { filePath });
+  logger.info('Conversion complete dialog shown', { filePath, targetSize: result.targetSize || undefined });
 }
 
 function formatBytes(bytes) {
@@ -476,9 +887,21 @@ async function buildInfoPayload() {
     width,
     height,
     megapixels,
-    aspectRatio: ratio
+    aspectRatio: ratio,
+    colorProfile: null,
+    colorSpace: null
   };
 
+  if (filePath) {
+    try {
+      const color = await ipcRenderer.invoke('get-color-profile', { filePath });
+      imageInfo.colorProfile = color.profile;
+      imageInfo.colorSpace = color.space;
+    } catch (err) {
+      logger.warn('Failed to read color profile', { filePath, error: err.message });
+    }
+  }
+
   let metadata = { entries: [], total: 0 };
   let metadataError = null;
   let gps = null;
@@ -531,15 +954,115 @@ async function openInfoWindow() {
   }
 }
 
-function isTiffFile(file) {
-  if (!file || !file.name) return false;
-  const name = file.name.toLowerCase();
+function getFilePath(file) {
+  if (!file) return null;
+  try {
+    if (webUtils && typeof webUtils.getPathForFile === 'function') {
+      const filePath = webUtils.getPathForFile(file);
+      if (filePath) return filePath;
+    }
+  } catch (err) {
+    logger.debug('webUtils path lookup failed', { error: err.message });
+  }
+  return file.path || null;
+}
+
+// MIME type for a format; the extension's own type is kept when it names the same format
+function getFormatMimeType(format, fileName) {
+  if (!format) return null;
+  const path = require('path');
+  const extensionType = MIME_TYPES[path.extname(fileName || '').toLowerCase()];
+  if (extensionType && MIME_FORMATS[extensionType] === format) return extensionType;
+  return Object.values(MIME_TYPES).find(type => MIME_FORMATS[type] === format) || null;
+}
+
+function createFileFromPath(filePath) {
+  const fs = require('fs');
+  const path = require('path');
+  const buffer = fs.readFileSync(filePath);
+  const fileName = path.basename(filePath);
+  const { format } = identifyFormat(buffer.subarray(0, SNIFF_LENGTH), fileName);
+  return new File([buffer], fileName, { type: getFormatMimeType(format, fileName) || 'image/unknown' });
+}
+
+/**
+ * Type a file by its content. Renamed or extensionless files get the MIME type of the format
+ * their first bytes show, so every decoder check follows the content.
+ * @returns {Promise<{file: File, warning: string|null}>} warning when the extension disagrees
+ */
+async function identifyFile(file) {
+  let identity;
+  try {
+    identity = identifyFormat(new Uint8Array(await file.slice(0, SNIFF_LENGTH).arrayBuffer()), file.name);
+  } catch (err) {
+    logger.warn('Failed to read file signature', { fileName: file.name, error: err.message });
+    return { file, warning: null };
+  }
+
+  if (identity.warning) {
+    logger.warn('File extension does not match its content', {
+      fileName: file.name,
+      extension: identity.expected,
+      content: identity.detected
+    });
+  }
   const type = (file.type || '').toLowerCase();
-  return type === 'image/tiff' || name.endsWith('.tif') || name.endsWith('.tiff');
+  if (!identity.format || MIME_FORMATS[type] === identity.format) {
+    return { file, warning: identity.warning };
+  }
+  const retyped = new File([file], file.name, {
+    type: getFormatMimeType(identity.format, file.name),
+    lastModified: file.lastModified
+  });
+  return { file: retyped, warning: identity.warning };
+}
+
+// A file's format from its MIME type, or from its extension when the type is missing or generic
+function getFileFormat(file) {
+  if (!file || !file.name) return null;
+  return MIME_FORMATS[(file.type || '').toLowerCase()] || formatFromExtension(file.name);
+}
+
+function isTiffFile(file) {
+  return getFileFormat(file) === 'tiff';
+}
+
+// Chromium cannot display JPEG XL, so it is decoded in the main process like TIFF
+function isJxlFile(file) {
+  return getFileFormat(file) === 'jxl';
+}
+
+// Chromium rejects BMP variants such as alpha bitfields, RLE4 and OS/2 headers, so every BMP
+// is decoded in the main process
+function isBmpFile(file) {
+  return getFileFormat(file) === 'bmp';
+}
+
+// Camera RAW files are not image/* types and are developed in the main process
+function isCameraRawFile(file) {
+  return getFileFormat(file) === 'raw';
+}
+
+// SVG and PDF are rendered in the main process at the chosen DPI or width
+function isDocumentFile(file) {
+  const format = getFileFormat(file);
+  return format === 'svg' || format === 'pdf';
+}
+
+// Name shown while a file is decoded in the main process
+function getSharpDecodedName(file) {
+  const format = getFileFormat(file);
+  if (format === 'raw') return 'RAW';
+  return FORMAT_NAMES[format] || 'TIFF';
 }
 
 async function handleFile(file, filePath = null) {
   const startTime = Date.now();
+  if (batchRunning) {
+    showStatus('Batch conversion in progress', 'info');
+    return;
+  }
+  clearBatchQueue();
   clearFormatSelection();
   disableInfoButton();
   currentFile = null;
@@ -560,12 +1083,21 @@ async function handleFile(file, filePath = null) {
     fileSize: `${(file.size / 1024).toFixed(2)} KB`
   });
 
+  // The path belongs to the dropped file, so it is looked up before the file is re-typed
+  const sourceFilePath = filePath || getFilePath(file);
+  const identity = await identifyFile(file);
+  file = identity.file;
+
   // Check if file requires special decoder
   const isHeic = heicDecoder && heicDecoder.isHeicFile(file);
   const isAvif = heicDecoder && heicDecoder.isAvifFile(file);
   const isTiff = isTiffFile(file);
+  const isJxl = isJxlFile(file);
+  const isBmp = isBmpFile(file);
+  const isRaw = isCameraRawFile(file);
+  const isDocument = isDocumentFile(file);
   const isWasmDecoded = isHeic || isAvif;
-  const isSharpDecoded = isTiff;
+  const isSharpDecoded = isTiff || isJxl || isBmp || isRaw || isDocument;
   const standardExtensions = ['.jpg', '.jpeg', '.png', '.webp', '.gif', '.bmp', '.tif', '.tiff'];
   const hasStandardExtension = file.name
     ? standardExtensions.some(ext => file.name.toLowerCase().endsWith(ext))
@@ -577,24 +1109,26 @@ async function handleFile(file, filePath = null) {
       fileName: file.name, 
       fileType: file.type 
     });
-    showStatus('Please select an image file (JPG, PNG, WebP, HEIC, AVIF, GIF, BMP, TIFF)', 'error');
+    showStatus('Please select an image file (JPG, PNG, WebP, HEIC, AVIF, JPEG XL, GIF, BMP, TIFF, SVG, PDF, camera RAW)', 'error');
     return;
   }
 
   currentFile = file;
   currentFileName = file.name;
-  currentFileType = file.type || (isHeic ? 'image/heic' : isAvif ? 'image/avif' : isTiff ? 'image/tiff' : 'image/unknown');
-  currentFilePath = filePath || file.path || null;
+  currentFileType = file.type || (isHeic ? 'image/heic' : isAvif ? 'image/avif' : isTiff ? 'image/tiff' : isJxl ? 'image/jxl' : isBmp ? 'image/bmp' : 'image/unknown');
+  currentFilePath = sourceFilePath;
+  currentFormatWarning = identity.warning;
   currentInfoPayload = null;
   currentInfoKey = null;
 
   showProcessing(true, 'Loading image...');
+  currentOrientation = await loadOrientation(currentFilePath);
 
   try {
     if (isWasmDecoded) {
       await handleWasmDecodedFile(file, isHeic ? 'HEIC' : 'AVIF');
     } else if (isSharpDecoded) {
-      await handleSharpDecodedFile(file, 'TIFF');
+      await handleSharpDecodedFile(file, getSharpDecodedName(file));
     } else {
       await handleStandardImage(file);
     }
@@ -629,10 +1163,11 @@ async function handleWasmDecodedFile(file, formatName) {
   // Decode using WebAssembly
   showProcessing(true, `Decoding ${formatName}...`);
   
-  const canvas = await heicDecoder.decode(file, (decodeError) => {
+  const canvases = await heicDecoder.decodeAll(file, (decodeError) => {
     // Error callback during decode
     logger.error(`${formatName} decode callback error`, null, decodeError);
-  });
+  }, { orientation: currentOrientation });
+  const canvas = canvases && canvases[0];
   
   if (!canvas) {
     throw new Error(`${formatName} decoder returned empty result`);
@@ -653,7 +1188,7 @@ async function handleWasmDecodedFile(file, formatName) {
   
   img.onload = () => {
     currentImage = img;
-    showPreview(img, file, canvas);
+    showPreview(img, file, canvas, canvases);
     enableFormatButtons();
     showStatus(`Loaded ${formatName}: ${file.name}`, 'success');
     showProcessing(false);
@@ -698,7 +1233,12 @@ async function handleSharpDecodedFile(file, formatName) {
   }
 
   try {
-    result = await ipcRenderer.invoke('decode-image', { filePath, arrayBuffer });
+    result = await ipcRenderer.invoke('decode-image', {
+      filePath,
+      fileName: file.name,
+      arrayBuffer,
+      rasterize: getRasterizeOptions()
+    });
   } catch (err) {
     const message = err?.message || String(err);
     throw new Error(`${formatName} decode failed: ${message}`);
@@ -830,7 +1370,7 @@ async function handleStandardImage(file) {
   });
 }
 
-function showPreview(img, file, canvas = null) {
+function showPreview(img, file, canvas = null, pageCanvases = null) {
   previewImage.src = img.src;
   previewContainer.hidden = false;
   dropZone.querySelector('.drop-content').hidden = true;
@@ -849,8 +1389,366 @@ function showPreview(img, file, canvas = null) {
   if (canvas) {
     currentCanvas = canvas;
   }
+  estimateKey = null;
+  resetTransform();
+
+  // <img>, Sharp and the HEIC decoder all hand over upright pixels
+  if (currentOrientation > 1) {
+    const line = document.createElement('span');
+    line.textContent = `Rotated upright (EXIF orientation ${currentOrientation})`;
+    imageInfo.appendChild(document.createElement('br'));
+    imageInfo.appendChild(line);
+  }
+  if (currentFormatWarning) {
+    const line = document.createElement('span');
+    line.className = 'image-info-warning';
+    line.textContent = currentFormatWarning;
+    imageInfo.appendChild(document.createElement('br'));
+    imageInfo.appendChild(line);
+  }
 
   enableInfoButton();
+  updateRasterizeControl();
+  loadAnimationInfo(currentFilePath);
+  loadBitDepth(currentFilePath);
+  if (pageCanvases && pageCanvases.length > 1) {
+    showPages(pageCanvases.map((pageCanvas, index) => ({
+      index,
+      width: pageCanvas.width,
+      height: pageCanvas.height,
+      thumbnail: createThumbnail(pageCanvas),
+      canvas: pageCanvas
+    })));
+  } else {
+    loadImagePages(currentFilePath);
+  }
+}
+
+async function loadOrientation(filePath) {
+  if (!filePath) return 1;
+  try {
+    const result = await ipcRenderer.invoke('get-orientation', { filePath });
+    return result.orientation || 1;
+  } catch (err) {
+    logger.warn('Failed to read orientation', { filePath, error: err.message });
+    return 1;
+  }
+}
+
+async function chooseColorProfile() {
+  const result = await ipcRenderer.invoke('choose-color-profile');
+  if (result.error) {
+    showStatus(result.error, 'error');
+    logger.warn('Color profile rejected', { error: result.error });
+  } else if (!result.canceled) {
+    setCustomProfile(result.path, result.profile?.description);
+    logger.info('Custom color profile chosen', { path: result.path, profile: result.profile });
+  }
+  if (!customProfilePath) {
+    colorProfile.value = 'keep';
+    customProfileRow.hidden = true;
+  }
+}
+
+function setCustomProfile(profilePath, description = null) {
+  customProfilePath = profilePath;
+  customProfileName.textContent = description || require('path').basename(profilePath);
+  customProfileName.title = profilePath;
+  scheduleComparePreview();
+  scheduleSizeEstimates();
+}
+
+// Built-in profile name, the custom profile path, or null when no custom file was chosen
+function getColorProfile() {
+  return colorProfile.value === 'custom' ? customProfilePath : colorProfile.value;
+}
+
+function setColorProfile(value) {
+  if (!value || ['keep', 'srgb', 'p3'].includes(value)) {
+    colorProfile.value = value || 'keep';
+  } else {
+    colorProfile.value = 'custom';
+    setCustomProfile(value);
+  }
+  customProfileRow.hidden = colorProfile.value !== 'custom';
+}
+
+// libheif canvases are not color managed and keep the file's own pixel values
+function hasSourceColors(canvas) {
+  return canvas?.dataset?.colors === 'source';
+}
+
+// Multi-page TIFF and multi-image HEIF files list their pages from the main process;
+// HEIC images decoded in the renderer bring their own canvases
+async function loadImagePages(filePath) {
+  showPages([]);
+  if (!filePath) return;
+
+  let result;
+  try {
+    result = await ipcRenderer.invoke('get-image-pages', { filePath, rasterize: getRasterizeOptions() });
+  } catch (err) {
+    logger.warn('Failed to read image pages', { filePath, error: err.message });
+    return;
+  }
+  if (filePath !== currentFilePath || !result.pages || result.pages.length < 2) return;
+  showPages(result.pages);
+}
+
+function createThumbnail(canvas) {
+  const scale = Math.min(1, PAGE_THUMBNAIL_SIZE / Math.max(canvas.width, canvas.height));
+  const thumbnail = document.createElement('canvas');
+  thumbnail.width = Math.max(1, Math.round(canvas.width * scale));
+  thumbnail.height = Math.max(1, Math.round(canvas.height * scale));
+  thumbnail.getContext('2d').drawImage(canvas, 0, 0, thumbnail.width, thumbnail.height);
+  return thumbnail.toDataURL('image/png');
+}
+
+function showPages(pages) {
+  currentPages = pages.map(page => ({ ...page, selected: true }));
+  pageList.innerHTML = '';
+  pageStrip.hidden = currentPages.length < 2;
+
+  currentPages.forEach(page => {
+    const item = document.createElement('li');
+    item.className = 'page-item selected';
+
+    const label = document.createElement('label');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = true;
+    checkbox.addEventListener('change', () => {
+      page.selected = checkbox.checked;
+      item.classList.toggle('selected', checkbox.checked);
+      updatePageControl();
+    });
+    label.appendChild(checkbox);
+
+    if (page.thumbnail) {
+      const thumb = document.createElement('img');
+      thumb.src = page.thumbnail;
+      thumb.alt = `Page ${page.index + 1}`;
+      label.appendChild(thumb);
+    }
+
+    const caption = document.createElement('span');
+    caption.textContent = page.width
+      ? `${page.index + 1} · ${page.width}x${page.height}`
+      : `${page.index + 1} · unreadable`;
+    label.appendChild(caption);
+
+    item.appendChild(label);
+    page.element = item;
+    page.checkbox = checkbox;
+    pageList.appendChild(item);
+  });
+
+  if (currentPages.length > 1) {
+    logger.info('Multi-page image loaded', { pages: currentPages.length });
+  }
+  updatePageControl();
+}
+
+function setAllPagesSelected(selected) {
+  currentPages.forEach(page => {
+    page.selected = selected;
+    page.checkbox.checked = selected;
+    page.element.classList.toggle('selected', selected);
+  });
+  updatePageControl();
+}
+
+/**
+ * Selected page indices, or null when the source has a single page.
+ * @returns {number[]|null}
+ */
+function getSelectedPages() {
+  if (currentPages.length < 2) return null;
+  return currentPages.filter(page => page.selected).map(page => page.index);
+}
+
+function updatePageControl() {
+  const selected = getSelectedPages();
+  pageControl.hidden = !selected;
+  if (!selected) return;
+
+  pageStripCount.textContent = `${selected.length} of ${currentPages.length} pages selected`;
+  const isTiff = selectedFormat && selectedFormat.format === 'tiff';
+  const isPdf = selectedFormat && selectedFormat.format === 'pdf';
+  pageOutput.querySelector('option[value="tiff"]').disabled = !isTiff;
+  // A PDF always holds every selected page
+  pageOutput.disabled = isPdf;
+  if (!isTiff && pageOutput.value === 'tiff') {
+    pageOutput.value = 'separate';
+  }
+
+  if (selected.length === 0) {
+    pageHint.textContent = 'Select at least one page to convert.';
+  } else if (selected.length === 1) {
+    pageHint.textContent = `Only page ${selected[0] + 1} is converted.`;
+  } else if (isPdf) {
+    pageHint.textContent = `${selected.length} pages are combined into one PDF.`;
+  } else if (pageOutput.value === 'tiff') {
+    pageHint.textContent = `${selected.length} pages are combined into one TIFF.`;
+  } else {
+    pageHint.textContent = `${selected.length} pages are saved as numbered files.${isTiff ? '' : ' Choose TIFF or PDF to combine them into one file.'}`;
+  }
+  scheduleComparePreview();
+  scheduleSizeEstimates();
+  scheduleAutoChoice();
+}
+
+// Animated GIF/WebP/APNG sources report their frame count from the main process
+async function loadAnimationInfo(filePath) {
+  currentAnimation = null;
+  updateAnimationControl();
+  if (!filePath) return;
+
+  let info;
+  try {
+    info = await ipcRenderer.invoke('get-animation-info', { filePath });
+  } catch (err) {
+    logger.warn('Failed to read animation info', { filePath, error: err.message });
+    return;
+  }
+  if (!info.animated || filePath !== currentFilePath) return;
+
+  currentAnimation = info;
+  const loops = info.loop === 0 ? 'loops forever' : `plays ${info.loop}\u00d7`;
+  const line = document.createElement('span');
+  line.textContent = `${info.frames} frames · ${(info.duration / 1000).toFixed(1)} s · ${loops}`;
+  imageInfo.appendChild(document.createElement('br'));
+  imageInfo.appendChild(line);
+  updateAnimationControl();
+  logger.info('Animated image loaded', { frames: info.frames, loop: info.loop, duration: info.duration });
+}
+
+// 16-bit PNG/TIFF and 10/12-bit AVIF/HEIC sources keep their precision on the native path
+async function loadBitDepth(filePath) {
+  currentBitDepth = 8;
+  updatePrecisionHint();
+  if (!filePath) return;
+
+  let bitDepth;
+  try {
+    ({ bitDepth } = await ipcRenderer.invoke('get-bit-depth', { filePath }));
+  } catch (err) {
+    logger.warn('Failed to read bit depth', { filePath, error: err.message });
+    return;
+  }
+  if (bitDepth <= 8 || filePath !== currentFilePath) return;
+
+  currentBitDepth = bitDepth;
+  const line = document.createElement('span');
+  line.textContent = `${bitDepth} bits per channel`;
+  imageInfo.appendChild(document.createElement('br'));
+  imageInfo.appendChild(line);
+  updatePrecisionHint();
+  logger.info('High bit depth image loaded', { bitDepth });
+}
+
+function updatePrecisionHint() {
+  if (!selectedFormat || currentBitDepth <= 8) {
+    precisionHint.hidden = true;
+    return;
+  }
+
+  const format = getOutputFormat();
+  if (!format) {
+    precisionHint.hidden = true;
+    return;
+  }
+  const outputDepth = outputBitDepth(format, getEncoderOptions(format));
+  if (outputDepth >= Math.min(currentBitDepth, 16)) {
+    precisionHint.hidden = true;
+    return;
+  }
+
+  let advice;
+  if (format === 'png') {
+    advice = 'Turn off Palette to keep 16 bits.';
+  } else if (format === 'tiff') {
+    advice = 'Choose another compression to keep 16 bits.';
+  } else if ((format === 'avif' || format === 'heic') && getSupportedBitDepths(format).length > 1) {
+    advice = 'Choose 10 or 12-bit output.';
+  } else {
+    advice = 'PNG, TIFF and JPEG XL keep 16 bits.';
+  }
+  precisionHint.textContent = `This ${currentBitDepth}-bit image will be reduced to ${outputDepth} bits per channel, which can cause banding. ${advice}`;
+  precisionHint.hidden = false;
+}
+
+// The JPEG XL repack copies the source JPEG's data, so any setting that changes the pixels
+// or drops metadata turns it into a normal encode
+function updateRepackHint() {
+  const encoder = getOutputFormat() === 'jxl' ? getEncoderOptions('jxl') : null;
+  if (!encoder || !encoder.recompressJpeg) {
+    repackHint.hidden = true;
+    return;
+  }
+
+  const blockers = [];
+  if (!isBatchMode() && currentFileType && currentFileType !== 'image/jpeg') blockers.push('the source is not a JPEG');
+  if (getResizeOptions()) blockers.push('resizing');
+  if (getTransform()) blockers.push('the crop, rotation or flip');
+  if (getColorProfile() !== 'keep') blockers.push('the color conversion');
+  if (metadataPolicy.value !== 'keep') blockers.push('metadata not set to "Keep everything"');
+  if (blockers.length === 0) {
+    repackHint.hidden = true;
+    return;
+  }
+  repackHint.textContent = `The lossless repack does not apply because of ${blockers.join(', ')}; the image will be encoded from its pixels instead.`;
+  repackHint.hidden = false;
+}
+
+function getRasterizeOptions() {
+  return {
+    mode: rasterizeMode.value,
+    dpi: rasterizeDpi.value,
+    width: rasterizeWidth.value
+  };
+}
+
+function updateRasterizeControl() {
+  // Batch items may include SVG or PDF files, so the option stays available
+  rasterizeControl.hidden = !isDocumentFile(currentFile) && !isBatchMode();
+  rasterizeDpiRow.hidden = rasterizeMode.value !== 'dpi';
+  rasterizeWidthRow.hidden = rasterizeMode.value !== 'width';
+}
+
+// The preview and page sizes follow the render settings
+async function reloadDocumentPreview() {
+  if (!isDocumentFile(currentFile) || isBatchMode()) return;
+  const formatName = getSharpDecodedName(currentFile);
+  try {
+    await handleSharpDecodedFile(currentFile, formatName);
+  } catch (err) {
+    logger.error(`${formatName} re-render failed`, null, err);
+    showStatus(`Error: ${err.message || 'Unknown error'}`, 'error');
+    showProcessing(false);
+  }
+}
+
+function updateAnimationControl() {
+  // Batch items are checked individually in main, so the option stays available
+  const visible = Boolean(currentAnimation) || isBatchMode();
+  animationControl.hidden = !visible;
+  const format = getOutputFormat();
+  if (!visible || !format) {
+    animationHint.hidden = true;
+    return;
+  }
+
+  const canAnimate = ANIMATED_OUTPUT_FORMATS.includes(format);
+  if (animationMode.value === 'animate' && !canAnimate) {
+    animationHint.textContent = `${format.toUpperCase()} cannot store animation, so only the first frame is converted. Choose "Export every frame" to keep them all.`;
+    animationHint.hidden = false;
+  } else if (animationMode.value === 'animate' && format === 'png') {
+    animationHint.textContent = 'Saved as animated PNG (APNG).';
+    animationHint.hidden = false;
+  } else {
+    animationHint.hidden = true;
+  }
 }
 
 
@@ -860,6 +1758,10 @@ function selectFormat(card) {
   });
 
   const format = card.dataset.format;
+  const isAuto = format === 'auto';
+  if (!isAuto || !isAutoSelected()) {
+    cancelAutoChoice();
+  }
   const mime = card.dataset.mime;
   const extension = card.dataset.extension || format;
   const qualityEnabled = card.dataset.quality === 'true';
@@ -876,11 +1778,33 @@ function selectFormat(card) {
   const nameEl = card.querySelector('.format-name');
   const displayName = nameEl ? nameEl.textContent : format.toUpperCase();
   selectedFormatName.textContent = displayName;
-  selectedFormatExt.textContent = `.${extension}`;
+  selectedFormatExt.textContent = isAuto ? '' : `.${extension}`;
 
   formatSettings.hidden = false;
-  convertBtn.disabled = false;
-  convertBtn.textContent = `Convert to ${displayName}`;
+  autoControl.hidden = !isAuto;
+  convertBtn.disabled = isAuto && !autoChoice;
+  updateConvertButtonLabel();
+
+  // Every Auto candidate can carry metadata and a color profile
+  const supportsMetadata = isAuto || METADATA_FORMATS.includes(format);
+  metadataPolicy.disabled = !supportsMetadata;
+  metadataHint.hidden = supportsMetadata;
+  orientationMode.disabled = !supportsMetadata;
+  orientationHint.textContent = `${format.toUpperCase()} has no orientation tag, so pixels are always rotated upright.`;
+  orientationHint.hidden = supportsMetadata;
+  colorProfile.disabled = !supportsMetadata;
+  chooseProfileBtn.disabled = !supportsMetadata;
+  colorHint.textContent = `${format.toUpperCase()} cannot store a color profile, so output is always sRGB.`;
+  colorHint.hidden = supportsMetadata;
+  updateEncoderPanels(format);
+  updateAnimationControl();
+  updatePageControl();
+  updatePrecisionHint();
+  updateRepackHint();
+  updateTargetSizeHint();
+  compareBtn.disabled = !currentImage;
+  scheduleComparePreview();
+  scheduleAutoChoice();
 
   if (qualityEnabled) {
     qualityLabelText.textContent = qualityLabel;
@@ -888,8 +1812,43 @@ function selectFormat(card) {
     noSettingsNote.hidden = true;
   } else {
     qualityControl.hidden = true;
-    noSettingsNote.hidden = false;
+    // Auto picks the quality itself and shows its own settings
+    noSettingsNote.hidden = isAuto;
+  }
+}
+
+function getFormatCard(format) {
+  return Array.from(formatCards).find(btn => btn.dataset.format === format) || null;
+}
+
+function getFormatName(format) {
+  const nameEl = getFormatCard(format)?.querySelector('.format-name');
+  return nameEl ? nameEl.textContent : format.toUpperCase();
+}
+
+function isAutoSelected() {
+  return Boolean(selectedFormat) && selectedFormat.format === 'auto';
+}
+
+// The format a conversion writes: the selected card's, or the Auto choice once it is known
+function getOutputFormat() {
+  if (!selectedFormat) return null;
+  if (isAutoSelected()) return autoChoice ? autoChoice.format : null;
+  return selectedFormat.format;
+}
+
+function updateConvertButtonLabel() {
+  if (!selectedFormat) return;
+  if (isAutoSelected()) {
+    convertBtn.textContent = autoChoice
+      ? `Convert to ${getFormatName(autoChoice.format)} (Auto)`
+      : 'Finding the best format...';
+    return;
   }
+  const displayName = getFormatName(selectedFormat.format);
+  convertBtn.textContent = isBatchMode()
+    ? `Convert ${batchQueue.length} files to ${displayName}`
+    : `Convert to ${displayName}`;
 }
 
 function clearFormatSelection() {
@@ -901,198 +1860,1628 @@ function clearFormatSelection() {
   convertBtn.disabled = true;
   qualityControl.hidden = true;
   noSettingsNote.hidden = true;
+  precisionHint.hidden = true;
+  autoControl.hidden = true;
+  cancelAutoChoice();
+  stopCompare();
+  compareBtn.disabled = true;
 }
 
 function enableFormatButtons() {
+  // Auto compares encodes of the loaded image, so it is not offered for batches
   formatCards.forEach(btn => {
-    btn.disabled = false;
+    btn.disabled = btn.dataset.format === 'auto' && isBatchMode();
   });
+  if (isAutoSelected() && isBatchMode()) {
+    clearFormatSelection();
+  }
+  setPresetButtonsDisabled(false);
 }
 
 function disableFormatButtons() {
   formatCards.forEach(btn => {
     btn.disabled = true;
   });
+  setPresetButtonsDisabled(true);
   clearFormatSelection();
 }
 
-function enableInfoButton() {
-  if (viewInfoBtn) {
-    viewInfoBtn.disabled = false;
-  }
+function getTransformSource() {
+  return currentCanvas || currentImage;
 }
 
-function disableInfoButton() {
-  if (viewInfoBtn) {
-    viewInfoBtn.disabled = true;
-  }
+/**
+ * The preview transform for the main process, or null when the image is unchanged.
+ * @returns {{rotate: number, mirror: boolean, crop: Object|null}|null}
+ */
+function getTransform() {
+  const { rotate, mirror, crop } = currentTransform;
+  if (!rotate && !mirror && !crop) return null;
+  return { rotate, mirror, crop: crop ? { ...crop } : null };
 }
 
+function resetTransform() {
+  currentTransform = { rotate: 0, mirror: false, crop: null };
+  cropAspect.value = 'free';
+  renderTransformedPreview();
+}
 
-function convertImage(format, mimeType) {
-  if (!currentImage) {
-    showStatus('No image loaded', 'error');
-    return;
+function rotatePreview(degrees) {
+  const { crop } = currentTransform;
+  currentTransform.rotate = (currentTransform.rotate + degrees + 360) % 360;
+  if (crop) {
+    // Turn the crop rectangle with the image so it keeps covering the same pixels
+    currentTransform.crop = degrees > 0
+      ? { left: 1 - crop.top - crop.height, top: crop.left, width: crop.height, height: crop.width }
+      : { left: crop.top, top: 1 - crop.left - crop.width, width: crop.height, height: crop.width };
   }
+  renderTransformedPreview();
+  logger.debug('Preview rotated', { degrees, rotate: currentTransform.rotate });
+}
 
-  const startTime = Date.now();
-  const sourceFormat = currentFileType.split('/')[1]?.toUpperCase() || 'UNKNOWN';
-  
+function flipPreview(axis) {
+  // A flip after rotating equals mirroring first and rotating the other way
+  const { crop } = currentTransform;
+  currentTransform.mirror = !currentTransform.mirror;
+  if (axis === 'horizontal') {
+    currentTransform.rotate = (360 - currentTransform.rotate) % 360;
+    if (crop) crop.left = 1 - crop.left - crop.width;
+  } else {
+    currentTransform.rotate = (540 - currentTransform.rotate) % 360;
+    if (crop) crop.top = 1 - crop.top - crop.height;
+  }
+  renderTransformedPreview();
+  logger.debug('Preview flipped', { axis });
+}
+
+function toggleCrop() {
+  currentTransform.crop = currentTransform.crop ? null : createDefaultCrop(cropAspect.value);
+  layoutCropBox();
+  updateTransformControls();
+  logger.debug(currentTransform.crop ? 'Crop enabled' : 'Crop removed');
+}
+
+// Width/height of the rotated image, as shown in the preview
+function getTransformedDimensions() {
+  const source = getTransformSource();
+  if (!source) return null;
+  const width = source.naturalWidth || source.width;
+  const height = source.naturalHeight || source.height;
+  return currentTransform.rotate % 180 === 0 ? { width, height } : { width: height, height: width };
+}
+
+// Aspect presets follow the image: a portrait image gets a portrait crop
+function getCropFractionRatio(aspect, portrait) {
+  const ratio = CROP_ASPECTS[aspect];
+  const dimensions = getTransformedDimensions();
+  if (!ratio || !dimensions) return null;
+  const pixelRatio = portrait ? 1 / ratio : ratio;
+  return pixelRatio * dimensions.height / dimensions.width;
+}
+
+function createDefaultCrop(aspect) {
+  const dimensions = getTransformedDimensions();
+  const fractionRatio = dimensions
+    ? getCropFractionRatio(aspect, dimensions.height > dimensions.width)
+    : null;
+  let width = 0.8;
+  let height = 0.8;
+  if (fractionRatio) {
+    width = fractionRatio >= 1 ? 0.9 : 0.9 * fractionRatio;
+    height = fractionRatio >= 1 ? 0.9 / fractionRatio : 0.9;
+  }
+  return { left: (1 - width) / 2, top: (1 - height) / 2, width, height };
+}
+
+function renderTransformedPreview() {
+  const source = getTransformSource();
+  if (!currentImage || !source) {
+    updateTransformControls();
+    return;
+  }
+
+  const { rotate, mirror } = currentTransform;
+  if (!rotate && !mirror) {
+    previewImage.src = currentImage.src;
+  } else {
+    // Draw a downscaled copy; the full-size transform happens in the main process
+    const sourceWidth = source.naturalWidth || source.width;
+    const sourceHeight = source.naturalHeight || source.height;
+    const scale = Math.min(1, TRANSFORM_PREVIEW_MAX_EDGE / Math.max(sourceWidth, sourceHeight));
+    const width = Math.max(1, Math.round(sourceWidth * scale));
+    const height = Math.max(1, Math.round(sourceHeight * scale));
+    const canvas = document.createElement('canvas');
+    canvas.width = rotate % 180 === 0 ? width : height;
+    canvas.height = rotate % 180 === 0 ? height : width;
+    const ctx = canvas.getContext('2d');
+    ctx.translate(canvas.width / 2, canvas.height / 2);
+    ctx.rotate((rotate * Math.PI) / 180);
+    ctx.scale(mirror ? -1 : 1, 1);
+    ctx.drawImage(source, -width / 2, -height / 2, width, height);
+    previewImage.src = canvas.toDataURL('image/png');
+  }
+
+  layoutCropBox();
+  updateTransformControls();
+}
+
+function layoutCropBox() {
+  const { crop } = currentTransform;
+  cropBox.hidden = !crop || compareActive;
+  if (cropBox.hidden) return;
+
+  // The image is centered inside the stage, so position against its own box
+  const { offsetLeft, offsetTop, offsetWidth, offsetHeight } = previewImage;
+  cropBox.style.left = `${offsetLeft + crop.left * offsetWidth}px`;
+  cropBox.style.top = `${offsetTop + crop.top * offsetHeight}px`;
+  cropBox.style.width = `${crop.width * offsetWidth}px`;
+  cropBox.style.height = `${crop.height * offsetHeight}px`;
+}
+
+function updateTransformControls() {
+  const transform = getTransform();
+  const dimensions = getTransformedDimensions();
+  resetTransformBtn.disabled = !transform;
+  // The crop box sits on the plain preview, so cropping waits until the comparison is closed
+  cropBtn.disabled = compareActive;
+  cropBtn.classList.toggle('active', Boolean(currentTransform.crop));
+  cropAspect.hidden = !currentTransform.crop || compareActive;
+  updateRepackHint();
+  scheduleComparePreview();
+  scheduleSizeEstimates();
+  scheduleAutoChoice();
+
+  if (!transform || !dimensions) {
+    transformSize.textContent = '';
+    return;
+  }
+  const crop = currentTransform.crop || { width: 1, height: 1 };
+  const width = Math.max(1, Math.round(crop.width * dimensions.width));
+  const height = Math.max(1, Math.round(crop.height * dimensions.height));
+  transformSize.textContent = `${width} × ${height} px`;
+}
+
+function startCropDrag(e) {
+  if (!currentTransform.crop) return;
+  e.preventDefault();
+  e.stopPropagation();
+  cropBox.setPointerCapture(e.pointerId);
+  cropDrag = {
+    handle: e.target.dataset.handle || 'move',
+    startX: e.clientX,
+    startY: e.clientY,
+    start: { ...currentTransform.crop },
+    bounds: previewImage.getBoundingClientRect()
+  };
+}
+
+function moveCropDrag(e) {
+  if (!cropDrag) return;
+  const dx = (e.clientX - cropDrag.startX) / cropDrag.bounds.width;
+  const dy = (e.clientY - cropDrag.startY) / cropDrag.bounds.height;
+  currentTransform.crop = dragCropRect(cropDrag, dx, dy);
+  layoutCropBox();
+  updateTransformControls();
+}
+
+function endCropDrag() {
+  if (!cropDrag) return;
+  cropDrag = null;
+  logger.debug('Crop changed', { crop: currentTransform.crop });
+}
+
+function dragCropRect({ handle, start }, dx, dy) {
+  const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+  if (handle === 'move') {
+    return {
+      ...start,
+      left: clamp(start.left + dx, 0, 1 - start.width),
+      top: clamp(start.top + dy, 0, 1 - start.height)
+    };
+  }
+
+  // The corner opposite the dragged handle stays in place
+  const west = handle.includes('w');
+  const north = handle.includes('n');
+  const anchorX = west ? start.left + start.width : start.left;
+  const anchorY = north ? start.top + start.height : start.top;
+  const maxWidth = west ? anchorX : 1 - anchorX;
+  const maxHeight = north ? anchorY : 1 - anchorY;
+  let width = clamp((west ? -dx : dx) + start.width, MIN_CROP_FRACTION, maxWidth);
+  let height = clamp((north ? -dy : dy) + start.height, MIN_CROP_FRACTION, maxHeight);
+
+  const dimensions = getTransformedDimensions();
+  const portrait = start.height * dimensions.height > start.width * dimensions.width;
+  const fractionRatio = getCropFractionRatio(cropAspect.value, portrait);
+  if (fractionRatio) {
+    height = width / fractionRatio;
+    if (height > maxHeight) {
+      height = maxHeight;
+      width = height * fractionRatio;
+    }
+  }
+
+  return {
+    left: west ? anchorX - width : anchorX,
+    top: north ? anchorY - height : anchorY,
+    width,
+    height
+  };
+}
+
+function toggleCompare() {
+  if (compareActive) {
+    stopCompare();
+    logger.debug('Comparison closed');
+  } else {
+    startCompare();
+  }
+}
+
+function startCompare() {
+  if (!currentImage || !selectedFormat) return;
+  compareActive = true;
+  compareSplit = 0.5;
+  compareOriginalKey = null;
+  compareZoom.value = 'fit';
+  setCompareVisible(true);
+  layoutCropBox();
+  updateTransformControls();
+  logger.debug('Comparison opened', { format: selectedFormat.format });
+}
+
+function stopCompare() {
+  if (!compareActive) return;
+  compareActive = false;
+  compareGeneration += 1;
+  clearTimeout(compareTimer);
+  compareQueued = false;
+  compareOriginalKey = null;
+  compareOriginal.removeAttribute('src');
+  compareEncoded.removeAttribute('src');
+  setCompareVisible(false);
+  layoutCropBox();
+  updateTransformControls();
+}
+
+function setCompareVisible(visible) {
+  compareBtn.classList.toggle('active', visible);
+  compareZoom.hidden = !visible;
+  compareView.hidden = !visible;
+  compareLabels.forEach(label => {
+    label.hidden = !visible;
+  });
+  compareStats.hidden = !visible;
+  compareStats.textContent = '';
+  compareStats.classList.remove('error');
+  previewImage.hidden = visible;
+}
+
+// Settings change in bursts (slider drags, typing), so encoding waits for a pause
+function scheduleComparePreview() {
+  if (!compareActive) return;
+  clearTimeout(compareTimer);
+  compareTimer = setTimeout(refreshComparePreview, COMPARE_DELAY);
+}
+
+function setCompareStats(message, isError = false) {
+  compareStats.textContent = message;
+  compareStats.classList.toggle('error', isError);
+}
+
+/**
+ * Encode the current settings in the main process and show the result next to the
+ * original. One request runs at a time; changes made meanwhile start another afterwards.
+ */
+async function refreshComparePreview() {
+  if (!compareActive || !selectedFormat || !currentImage) return;
+  if (compareInFlight) {
+    compareQueued = true;
+    return;
+  }
+
+  const format = getOutputFormat();
+  if (!format) {
+    setCompareStats('Waiting for the automatic format choice...');
+    return;
+  }
+  const selectedPages = getSelectedPages();
+  if (selectedPages && selectedPages.length === 0) {
+    setCompareStats('Select a page to compare', true);
+    return;
+  }
+  if (!getColorProfile()) {
+    setCompareStats('Choose an ICC profile for the custom color option', true);
+    return;
+  }
+  if (!hasIconSizes(format)) {
+    setCompareStats('Choose at least one icon size', true);
+    return;
+  }
+
+  const page = selectedPages ? selectedPages[0] : 0;
+  const resize = getResizeOptions();
+  const transform = getTransform();
+  const rasterize = getRasterizeOptions();
+  // The original only has to be rendered again when its geometry changes
+  const originalKey = JSON.stringify({ page, resize, transform, rasterize });
+  const payload = {
+    targetFormat: format,
+    quality: getTargetQuality(format),
+    resize,
+    metadata: metadataPolicy.value,
+    orientation: orientationMode.value,
+    color: getColorProfile(),
+    transform,
+    encoder: getEncoderOptions(format),
+    targetSize: isAutoSelected() ? null : getTargetSize(format),
+    allowDownscale: allowDownscale.checked,
+    page,
+    rasterize,
+    sourcePath: currentFilePath,
+    includeOriginal: originalKey !== compareOriginalKey
+  };
+
+  const generation = compareGeneration;
+  compareInFlight = true;
+  setCompareStats('Encoding preview...');
+  try {
+    let result = null;
+    if (payload.sourcePath) {
+      result = await ipcRenderer.invoke('encode-preview', payload);
+    }
+    if (!result || result.code === 'SOURCE_UNREADABLE') {
+      const fallback = renderFallbackSource(format, selectedPages ? [page] : null);
+      result = await ipcRenderer.invoke('encode-preview', {
+        ...payload,
+        dataUrl: fallback.dataUrl,
+        sourceColors: fallback.sourceColors
+      });
+    }
+    if (generation !== compareGeneration) return;
+    if (!result.success) {
+      throw new Error(result.error || 'Unknown error');
+    }
+
+    if (result.original) {
+      compareOriginal.src = result.original;
+      compareOriginalKey = originalKey;
+    }
+    const encoded = result.encoded || await decodeHeicPreview(result.encodedData);
+    if (generation !== compareGeneration) return;
+    if (encoded) {
+      compareEncoded.src = encoded;
+    } else {
+      compareEncoded.removeAttribute('src');
+    }
+    setCompareStats(describeComparePreview(format, result, Boolean(encoded)));
+    logger.debug('Comparison preview encoded', {
+      format,
+      size: result.size,
+      encodeTime: `${result.encodeTime}ms`
+    });
+  } catch (err) {
+    if (generation !== compareGeneration) return;
+    compareEncoded.removeAttribute('src');
+    setCompareStats(`Preview failed: ${err.message || 'Unknown error'}`, true);
+    logger.error('Comparison preview failed', { format }, err);
+  } finally {
+    compareInFlight = false;
+    if (compareQueued) {
+      compareQueued = false;
+      refreshComparePreview();
+    }
+  }
+}
+
+// Main returns HEIC bytes when its Sharp build cannot decode them
+async function decodeHeicPreview(data) {
+  if (!data || !heicDecoder) return null;
+  try {
+    const canvas = await heicDecoder.decode(new File([data], 'preview.heic', { type: 'image/heic' }));
+    return canvas.toDataURL('image/png');
+  } catch (err) {
+    logger.warn('HEIC preview could not be decoded', { error: err.message });
+    return null;
+  }
+}
+
+function describeComparePreview(format, result, displayed) {
+  const parts = [`${format.toUpperCase()} ${formatBytes(result.size)}`];
+  if (result.sourceSize) {
+    const change = Math.round((1 - result.size / result.sourceSize) * 100);
+    const comparison = change >= 0 ? `${change}% smaller` : `${-change}% larger`;
+    parts.push(`${comparison} than the source (${formatBytes(result.sourceSize)})`);
+  }
+  if (result.quality) {
+    parts.push(`quality ${result.quality}`);
+  }
+  parts.push(`encoded in ${result.encodeTime} ms`);
+  if (!displayed) {
+    parts.push(result.previewError || `${format.toUpperCase()} cannot be shown, only its size`);
+  }
+  return parts.join(' · ');
+}
+
+/**
+ * Size the comparison to the view (fit) or to a multiple of the output pixels.
+ * @param {boolean} keepCenter - Keep the divider and the vertical center in view after a zoom change
+ */
+function layoutCompareView(keepCenter = false) {
+  if (!compareActive || !compareOriginal.naturalWidth) return;
+  const naturalWidth = compareOriginal.naturalWidth;
+  const naturalHeight = compareOriginal.naturalHeight;
+  const zoom = compareZoom.value === 'fit'
+    ? Math.min(1, compareView.clientWidth / naturalWidth, compareView.clientHeight / naturalHeight)
+    : Number(compareZoom.value);
+  const centerY = (compareView.scrollTop + compareView.clientHeight / 2) / (compareCanvas.offsetHeight || 1);
+
+  compareView.classList.toggle('zoomed', zoom > 1);
+  compareCanvas.style.width = `${Math.max(1, Math.round(naturalWidth * zoom))}px`;
+  compareCanvas.style.height = `${Math.max(1, Math.round(naturalHeight * zoom))}px`;
+  positionCompareDivider();
+
+  if (keepCenter) {
+    compareView.scrollLeft = compareSplit * compareCanvas.offsetWidth - compareView.clientWidth / 2;
+    compareView.scrollTop = centerY * compareCanvas.offsetHeight - compareView.clientHeight / 2;
+  }
+}
+
+function positionCompareDivider() {
+  const percent = compareSplit * 100;
+  compareEncoded.style.clipPath = `inset(0 0 0 ${percent}%)`;
+  compareDivider.style.left = `${percent}%`;
+}
+
+function startCompareDrag(e) {
+  e.preventDefault();
+  compareCanvas.setPointerCapture(e.pointerId);
+  compareDragging = true;
+  moveCompareDrag(e);
+}
+
+function moveCompareDrag(e) {
+  if (!compareDragging) return;
+  const bounds = compareCanvas.getBoundingClientRect();
+  compareSplit = Math.min(1, Math.max(0, (e.clientX - bounds.left) / bounds.width));
+  positionCompareDivider();
+}
+
+function endCompareDrag() {
+  compareDragging = false;
+}
+
+/**
+ * The encode-preview options each format card would be converted with, keyed by format.
+ * The quality slider and target size are shared by the formats that use them.
+ */
+function collectEstimateSettings() {
+  const selectedPages = getSelectedPages();
+  const common = {
+    resize: getResizeOptions(),
+    metadata: metadataPolicy.value,
+    orientation: orientationMode.value,
+    color: getColorProfile(),
+    transform: getTransform(),
+    allowDownscale: allowDownscale.checked,
+    page: selectedPages && selectedPages.length > 0 ? selectedPages[0] : 0,
+    rasterize: getRasterizeOptions(),
+    sourcePath: currentFilePath
+  };
+  const formats = {};
+  formatCards.forEach(card => {
+    const format = card.dataset.format;
+    if (format === 'auto') return;
+    formats[format] = {
+      ...common,
+      targetFormat: format,
+      quality: card.dataset.quality === 'true' ? getSliderQuality() : undefined,
+      encoder: getEncoderOptions(format),
+      targetSize: getTargetSize(format),
+      sizeOnly: true
+    };
+  });
+  return { selectedPages, formats };
+}
+
+// Estimates encode one still image, which understates animations and multi-page output
+function getEstimateScopeNote(selectedPages) {
+  if (currentAnimation && animationMode.value !== 'first-frame') {
+    return ' (first frame only)';
+  }
+  if (selectedPages && selectedPages.length > 1) {
+    return ` (page ${selectedPages[0] + 1} only)`;
+  }
+  return '';
+}
+
+function setCardEstimates(format, text, title = '', pending = false) {
+  formatCards.forEach(card => {
+    if (card.dataset.format !== format) return;
+    const estimate = card.querySelector('.format-estimate');
+    if (!estimate) return;
+    estimate.textContent = text;
+    estimate.title = title;
+    estimate.classList.toggle('pending', pending);
+  });
+}
+
+function clearSizeEstimates() {
+  clearTimeout(estimateTimer);
+  estimateGeneration += 1;
+  estimateKey = null;
+  formatCards.forEach(card => setCardEstimates(card.dataset.format, ''));
+}
+
+// Re-estimate after a pause, unless nothing that affects the output has changed
+function scheduleSizeEstimates() {
+  if (!currentImage || isBatchMode()) {
+    clearSizeEstimates();
+    return;
+  }
+  const key = JSON.stringify(collectEstimateSettings());
+  if (key === estimateKey) return;
+  clearTimeout(estimateTimer);
+  estimateGeneration += 1;
+  estimateKey = key;
+  estimateTimer = setTimeout(refreshSizeEstimates, ESTIMATE_DELAY);
+}
+
+/**
+ * Encode the loaded image to every card's format in turn and show the size and encode
+ * time on the card. The selected format goes first; a newer run stops this one.
+ */
+async function refreshSizeEstimates() {
+  if (!currentImage) return;
+  const generation = estimateGeneration;
+  const startTime = Date.now();
+  const { selectedPages, formats } = collectEstimateSettings();
+  const order = Object.keys(formats).sort((a, b) =>
+    Number(b === selectedFormat?.format) - Number(a === selectedFormat?.format));
+  Object.keys(formats).forEach(format => setCardEstimates(format, 'Estimating...', '', true));
+
+  // Once the main process has reported the source unreadable, canvas pixels are sent instead
+  let useCanvas = !currentFilePath;
+  let estimated = 0;
+  for (const format of order) {
+    if (generation !== estimateGeneration) return;
+    const payload = formats[format];
+    if (selectedPages && selectedPages.length === 0) {
+      setCardEstimates(format, '', 'Select a page to estimate');
+      continue;
+    }
+    if (!payload.color) {
+      setCardEstimates(format, '', 'Choose an ICC profile for the custom color option');
+      continue;
+    }
+    if (!hasIconSizes(format)) {
+      setCardEstimates(format, '', 'Choose at least one icon size');
+      continue;
+    }
+
+    try {
+      let result = useCanvas ? null : await ipcRenderer.invoke('encode-preview', payload);
+      if (!result || result.code === 'SOURCE_UNREADABLE') {
+        useCanvas = true;
+        const fallback = renderFallbackSource(format, selectedPages ? [payload.page] : null);
+        result = await ipcRenderer.invoke('encode-preview', {
+          ...payload,
+          dataUrl: fallback.dataUrl,
+          sourceColors: fallback.sourceColors
+        });
+      }
+      if (generation !== estimateGeneration) return;
+      if (!result.success) {
+        throw new Error(result.error || 'Unknown error');
+      }
+      const quality = result.quality ? `, quality ${result.quality}` : '';
+      setCardEstimates(
+        format,
+        `≈ ${formatBytes(result.size)} · ${result.encodeTime} ms`,
+        `Estimated ${formatBytes(result.size)} at the current settings${quality}, encoded in ${result.encodeTime} ms` +
+          getEstimateScopeNote(selectedPages)
+      );
+      estimated += 1;
+    } catch (err) {
+      if (generation !== estimateGeneration) return;
+      setCardEstimates(format, 'No estimate', err.message || 'Unknown error');
+      logger.debug('Size estimate failed', { format, error: err.message });
+    }
+  }
+  logger.debug('Size estimates updated', { formats: estimated, duration: `${Date.now() - startTime}ms` });
+}
+
+// Settings that change which candidate wins; metadata and color are applied after the choice
+function collectAutoSettings() {
+  const selectedPages = getSelectedPages();
+  const encoders = {};
+  formatCards.forEach(card => {
+    if (card.dataset.format !== 'auto') {
+      encoders[card.dataset.format] = getEncoderOptions(card.dataset.format);
+    }
+  });
+  return {
+    resize: getResizeOptions(),
+    transform: getTransform(),
+    page: selectedPages && selectedPages.length > 0 ? selectedPages[0] : 0,
+    rasterize: getRasterizeOptions(),
+    threshold: Number(autoThreshold.value),
+    encoders,
+    sourcePath: currentFilePath
+  };
+}
+
+function cancelAutoChoice() {
+  clearTimeout(autoTimer);
+  autoGeneration += 1;
+  autoKey = null;
+  autoChoice = null;
+  autoSummary.textContent = '';
+  autoTable.hidden = true;
+  autoTableBody.innerHTML = '';
+}
+
+function scheduleAutoChoice() {
+  if (!isAutoSelected() || !currentImage) return;
+  const key = JSON.stringify(collectAutoSettings());
+  if (key === autoKey) return;
+  cancelAutoChoice();
+  autoKey = key;
+  autoSummary.textContent = 'Comparing formats...';
+  updateAutoSelection();
+  autoTimer = setTimeout(runAutoChoice, AUTO_DELAY);
+}
+
+function updateAutoSelection() {
+  if (!isAutoSelected()) return;
+  const extension = autoChoice ? getFormatCard(autoChoice.format)?.dataset.extension || autoChoice.format : '';
+  selectedFormatExt.textContent = extension ? `.${extension}` : '';
+  convertBtn.disabled = !autoChoice;
+  updateConvertButtonLabel();
+  updateAnimationControl();
+  updatePrecisionHint();
+  updateRepackHint();
+}
+
+/**
+ * Encode the loaded image to every candidate format in the main process and take the
+ * smallest one that meets the chosen SSIM threshold.
+ */
+async function runAutoChoice() {
+  if (!isAutoSelected() || !currentImage) return;
+  const generation = autoGeneration;
+  const settings = collectAutoSettings();
+  const selectedPages = getSelectedPages();
+  if (selectedPages && selectedPages.length === 0) {
+    autoSummary.textContent = 'Select a page to compare formats.';
+    return;
+  }
+
+  const startTime = Date.now();
+  logger.info('Comparing formats for Auto', { fileName: currentFileName, threshold: settings.threshold });
+  try {
+    let result = null;
+    if (settings.sourcePath) {
+      result = await ipcRenderer.invoke('choose-best-format', settings);
+    }
+    if (!result || result.code === 'SOURCE_UNREADABLE') {
+      // PNG keeps transparency, so candidates that cannot hold it are still ruled out
+      const fallback = renderFallbackSource('png', selectedPages ? [settings.page] : null);
+      result = await ipcRenderer.invoke('choose-best-format', {
+        ...settings,
+        dataUrl: fallback.dataUrl,
+        sourceColors: fallback.sourceColors
+      });
+    }
+    if (generation !== autoGeneration) return;
+    if (!result.success) {
+      throw new Error(result.error || 'Unknown error');
+    }
+
+    autoChoice = result.choice
+      ? { format: result.choice.format, quality: result.choice.quality }
+      : null;
+    showAutoResult(result);
+    updateAutoSelection();
+    scheduleComparePreview();
+    logger.success('Auto format chosen', {
+      format: autoChoice ? autoChoice.format : null,
+      quality: autoChoice ? autoChoice.quality : null,
+      duration: `${Date.now() - startTime}ms`
+    });
+  } catch (err) {
+    if (generation !== autoGeneration) return;
+    autoSummary.textContent = `Could not compare formats: ${err.message || 'Unknown error'}`;
+    logger.error('Auto format choice failed', { fileName: currentFileName }, err);
+  }
+}
+
+function describeAutoQuality(candidate) {
+  if (candidate.quality) return String(candidate.quality);
+  return candidate.error ? '' : 'Lossless';
+}
+
+// A table of every candidate and a sentence saying why the winner was picked
+function showAutoResult(result) {
+  const prefix = result.sampled ? '≈ ' : '';
+  autoTableBody.innerHTML = '';
+  result.candidates.forEach(candidate => {
+    const row = document.createElement('tr');
+    const cells = [getFormatName(candidate.format)];
+    if (candidate.error) {
+      row.className = 'failed';
+      row.title = candidate.detail || candidate.error;
+      cells.push('—', candidate.error, '');
+    } else {
+      row.classList.toggle('chosen', result.choice && candidate.format === result.choice.format);
+      row.classList.toggle('failed', !candidate.meets);
+      cells.push(
+        describeAutoQuality(candidate),
+        `${prefix}${formatBytes(candidate.size)}`,
+        `${candidate.ssim.toFixed(4)}${candidate.meets ? '' : ' ✗'}`
+      );
+    }
+    cells.forEach(text => {
+      const cell = document.createElement('td');
+      cell.textContent = text;
+      row.appendChild(cell);
+    });
+    autoTableBody.appendChild(row);
+  });
+  autoTable.hidden = false;
+
+  const { choice } = result;
+  if (!choice) {
+    autoSummary.textContent = `No format reached SSIM ${result.threshold}. Lower the minimum quality or pick a format yourself.`;
+    return;
+  }
+  const quality = choice.quality ? ` at quality ${choice.quality}` : ' (lossless)';
+  let summary = `${getFormatName(choice.format)}${quality} is the smallest file with SSIM of at least ${result.threshold}: ${prefix}${formatBytes(choice.size)}.`;
+  const runnerUp = result.candidates
+    .filter(candidate => candidate.meets && candidate.format !== choice.format)
+    .sort((a, b) => a.size - b.size)[0];
+  if (runnerUp) {
+    const saving = Math.round((1 - choice.size / runnerUp.size) * 100);
+    summary += ` That is ${saving}% smaller than the next best, ${getFormatName(runnerUp.format)} (${prefix}${formatBytes(runnerUp.size)}).`;
+  }
+  if (result.sampled) {
+    summary += ` Measured on a ${result.sampleSize.replace('x', ' × ')} crop of the ${result.outputSize.replace('x', ' × ')} output, with sizes scaled to the full image.`;
+  }
+  autoSummary.textContent = summary;
+}
+
+function enableInfoButton() {
+  if (viewInfoBtn) {
+    viewInfoBtn.disabled = false;
+  }
+}
+
+function disableInfoButton() {
+  if (viewInfoBtn) {
+    viewInfoBtn.disabled = true;
+  }
+}
+
+
+function convertImage(format, mimeType) {
+  if (!currentImage) {
+    showStatus('No image loaded', 'error');
+    return;
+  }
+
+  const selectedPages = getSelectedPages();
+  if (selectedPages && selectedPages.length === 0) {
+    showStatus('Select at least one page to convert', 'error');
+    return;
+  }
+  if (!getColorProfile()) {
+    showStatus('Choose an ICC profile for the custom color option', 'error');
+    return;
+  }
+  if (!hasIconSizes(format)) {
+    showStatus('Choose at least one icon size', 'error');
+    return;
+  }
+
+  const startTime = Date.now();
+  const sourceFormat = currentFileType.split('/')[1]?.toUpperCase() || 'UNKNOWN';
+  
   showStatus('Converting...', 'info');
   showProcessing(true, 'Converting...');
   
   logger.info('Starting conversion...', {
     sourceFormat,
     targetFormat: format.toUpperCase(),
-    fileName: currentFileName,
-    dimensions: currentImage ? `${currentImage.naturalWidth}x${currentImage.naturalHeight}` : 'unknown'
+    fileName: currentFileName,
+    dimensions: currentImage ? `${currentImage.naturalWidth}x${currentImage.naturalHeight}` : 'unknown'
+  });
+
+  // Use requestAnimationFrame to allow UI to update
+  requestAnimationFrame(async () => {
+    try {
+      const targetQuality = getTargetQuality(format);
+      const resize = getResizeOptions();
+      const source = currentCanvas || currentImage;
+      let dimensions = `${source.naturalWidth || source.width}x${source.naturalHeight || source.height}`;
+
+      // Generate default filename
+      const originalName = currentFileName.replace(/\.[^/.]+$/, '');
+      const extension = getFormatCard(format)?.dataset.extension || (format === 'jpeg' ? 'jpg' : format);
+      const defaultName = `${originalName}_converted.${extension}`;
+
+      // Save via main process, which encodes from the original file when it can
+      const result = await saveConvertedImage({
+        defaultName,
+        targetFormat: format,
+        quality: targetQuality,
+        resize,
+        metadata: metadataPolicy.value,
+        orientation: orientationMode.value,
+        color: getColorProfile(),
+        transform: getTransform(),
+        encoder: getEncoderOptions(format),
+        targetSize: isAutoSelected() ? null : getTargetSize(format),
+        allowDownscale: allowDownscale.checked,
+        animation: animationMode.value,
+        pages: selectedPages,
+        pageOutput: pageOutput.value,
+        rasterize: getRasterizeOptions(),
+        sourcePath: currentFilePath
+      }, () => renderFallbackSource(format, selectedPages));
+      const duration = Date.now() - startTime;
+
+      if (result.success) {
+        dimensions = result.dimensions || dimensions;
+        showStatus(`Saved: ${result.path}`, 'success');
+        showConversionComplete(result.path, result);
+        logger.logConversion(
+          sourceFormat,
+          format.toUpperCase(),
+          currentFileName,
+          result.size,
+          dimensions,
+          duration,
+          true
+        );
+      } else if (result.cancelled) {
+        showStatus('Save cancelled', 'info');
+        logger.info('Save cancelled by user', { fileName: defaultName });
+      } else {
+        showStatus(`Failed to save file: ${result.error || 'Unknown error'}`, 'error');
+        logger.logConversion(
+          sourceFormat,
+          format.toUpperCase(),
+          currentFileName,
+          null,
+          null,
+          duration,
+          false,
+          new Error(result.error || 'Unknown error')
+        );
+      }
+    } catch (err) {
+      const duration = Date.now() - startTime;
+      console.error('Conversion error:', err);
+      showStatus(`Conversion failed: ${err.message || 'Unknown error'}`, 'error');
+      logger.logConversion(
+        sourceFormat,
+        format.toUpperCase(),
+        currentFileName,
+        null,
+        null,
+        duration,
+        false,
+        err
+      );
+    } finally {
+      showProcessing(false);
+    }
+  });
+}
+
+/**
+ * Ask the main process to encode straight from the source file, falling back to
+ * canvas pixels when it cannot decode the original (or there is no file path).
+ * @param {Object} payload - save-image options without image data
+ * @param {Function} renderFallback - Produces {dataUrl, pageDataUrls?} from the decoded image
+ */
+async function saveConvertedImage(payload, renderFallback) {
+  if (payload.sourcePath) {
+    const result = await ipcRenderer.invoke('save-image', payload);
+    if (!result || result.code !== 'SOURCE_UNREADABLE') {
+      return result;
+    }
+    logger.info('Source not decodable in main process, using canvas fallback', {
+      sourcePath: payload.sourcePath
+    });
+  }
+
+  const fallback = await renderFallback();
+  return ipcRenderer.invoke('save-image', { ...payload, ...fallback });
+}
+
+/**
+ * Canvas pixels for the main process when it cannot decode the source file.
+ * @param {string} format - Target format, which decides whether transparency is flattened
+ * @param {number[]|null} pages - Page indices to include, or null for a single-page source
+ * @returns {{dataUrl: string, pageDataUrls?: string[], sourceColors: boolean}}
+ */
+function renderFallbackSource(format, pages) {
+  // Reuse the decoded canvases (HEIC/AVIF) unless a white background is needed
+  const toExportCanvas = canvas => !needsWhiteBackground(format)
+    ? canvas
+    : renderExportCanvas(canvas, format);
+  const pageCanvases = pages
+    ? currentPages.filter(page => pages.includes(page.index) && page.canvas).map(page => page.canvas)
+    : [];
+  const sourceColors = hasSourceColors(currentCanvas);
+  if (pageCanvases.length > 0) {
+    const pageDataUrls = pageCanvases.map(canvas => canvasToDataUrl(toExportCanvas(canvas)));
+    return { dataUrl: pageDataUrls[0], pageDataUrls, sourceColors };
+  }
+  const source = currentCanvas || currentImage;
+  const canvas = currentCanvas ? toExportCanvas(currentCanvas) : renderExportCanvas(source, format);
+  return { dataUrl: canvasToDataUrl(canvas), sourceColors };
+}
+
+// JPEG, PDF pages and BMP below 32 bits cannot hold transparency
+function needsWhiteBackground(format) {
+  if (format === 'jpeg' || format === 'pdf') return true;
+  if (format !== 'bmp') return false;
+  const encoder = getEncoderOptions('bmp') || {};
+  return encoder.bitDepth !== '32';
+}
+
+function renderExportCanvas(source, format) {
+  const canvas = document.createElement('canvas');
+  const ctx = canvas.getContext('2d');
+
+  if (!ctx) {
+    throw new Error('Failed to create canvas context');
+  }
+
+  canvas.width = source.naturalWidth || source.width;
+  canvas.height = source.naturalHeight || source.height;
+
+  // Validate canvas dimensions
+  if (!canvas.width || !canvas.height) {
+    throw new Error('Canvas has invalid dimensions (0x0)');
+  }
+
+  // Fill white background for JPEG/PDF/BMP (handles transparency)
+  if (needsWhiteBackground(format)) {
+    ctx.fillStyle = '#FFFFFF';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+  }
+
+  ctx.drawImage(source, 0, 0);
+  return canvas;
+}
+
+function canvasToDataUrl(canvas) {
+  let dataUrl;
+  try {
+    dataUrl = canvas.toDataURL('image/png');
+  } catch (err) {
+    throw new Error(`Canvas export failed: ${err.message}. The image may be too large.`);
+  }
+
+  // Validate data URL was created
+  if (!dataUrl || !dataUrl.startsWith('data:')) {
+    throw new Error('Failed to generate image data');
+  }
+  return dataUrl;
+}
+
+function getTargetQuality(format) {
+  if (isAutoSelected()) {
+    return autoChoice && autoChoice.format === format && autoChoice.quality ? autoChoice.quality : undefined;
+  }
+  if (!selectedFormat || selectedFormat.format !== format || !selectedFormat.quality) {
+    return undefined;
+  }
+  return getSliderQuality();
+}
+
+function getSliderQuality() {
+  const value = parseInt(qualitySlider.value, 10);
+  if (Number.isNaN(value) || value < 1 || value > 100) {
+    return 90; // Fallback to 90%
+  }
+  return value;
+}
+
+function updateResizeFields() {
+  const mode = resizeMode.value;
+  const usesDimensions = mode === 'exact' || mode === 'fit' || mode === 'cover';
+  resizeDimensionsRow.hidden = !usesDimensions;
+  resizePercentRow.hidden = mode !== 'percent';
+  resizeLongEdgeRow.hidden = mode !== 'long-edge';
+  resizeKernelRow.hidden = mode === 'none';
+
+  // Start from the loaded image size so exact and cover modes have sensible values
+  if (usesDimensions && currentImage && !resizeWidth.value && !resizeHeight.value) {
+    resizeWidth.value = currentImage.naturalWidth;
+    resizeHeight.value = currentImage.naturalHeight;
+  }
+}
+
+function getEncoderPanel(format) {
+  return Array.from(encoderOptionPanels)
+    .find(panel => panel.dataset.encoderFormat.split(' ').includes(format)) || null;
+}
+
+function updateEncoderPanels(format) {
+  const activePanel = getEncoderPanel(format);
+  encoderOptionPanels.forEach(panel => {
+    panel.hidden = panel !== activePanel;
+  });
+  advancedControl.hidden = !activePanel;
+  updateBitDepthOptions(format);
+}
+
+async function loadEncoderSupport() {
+  try {
+    ({ bitDepths: encoderBitDepths } = await ipcRenderer.invoke('get-encoder-support'));
+    logger.info('Encoder support checked', { bitDepths: encoderBitDepths });
+  } catch (err) {
+    logger.warn('Failed to check encoder support', { error: err.message });
+  }
+  updateBitDepthOptions(getOutputFormat());
+}
+
+function getSupportedBitDepths(format) {
+  return encoderBitDepths[format] || [8];
+}
+
+// AVIF and HEIC share one panel, so its depths follow whichever of them is selected
+function updateBitDepthOptions(format) {
+  if (format !== 'avif' && format !== 'heic') return;
+  const select = getEncoderPanel(format).querySelector('[data-option="bitdepth"]');
+  const supported = getSupportedBitDepths(format);
+  Array.from(select.options).forEach(option => {
+    option.disabled = !supported.includes(parseInt(option.value, 10));
+  });
+  if (select.selectedOptions[0] && select.selectedOptions[0].disabled) {
+    select.value = '8';
+  }
+  bitDepthHint.textContent = `This Sharp build encodes 8-bit ${format.toUpperCase()} only; 10 and 12-bit output needs a Sharp build with a custom libvips.`;
+  bitDepthHint.hidden = supported.length > 1;
+}
+
+// Collect the advanced settings for a format; main.js validates and clamps them
+function getEncoderOptions(format) {
+  const panel = getEncoderPanel(format);
+  if (!panel) return null;
+  const options = {};
+  panel.querySelectorAll('[data-option]').forEach(control => {
+    options[control.dataset.option] = control.type === 'checkbox' ? control.checked : control.value;
+  });
+  // AVIF and HEIC share a panel, so a depth chosen for one may not be supported for the other
+  if (options.bitdepth && !getSupportedBitDepths(format).includes(parseInt(options.bitdepth, 10))) {
+    options.bitdepth = '8';
+  }
+  return options;
+}
+
+// Icon containers need at least one embedded size ticked
+function hasIconSizes(format) {
+  if (!ICON_FORMATS.includes(format)) return true;
+  const encoder = getEncoderOptions(format) || {};
+  return Object.keys(encoder).some(key => key.startsWith('size') && encoder[key]);
+}
+
+function setEncoderOptions(format, encoder) {
+  const panel = getEncoderPanel(format);
+  if (!panel || !encoder) return;
+  panel.querySelectorAll('[data-option]').forEach(control => {
+    const value = encoder[control.dataset.option];
+    if (value === undefined) return;
+    if (control.type === 'checkbox') {
+      control.checked = value === true || value === 'true';
+    } else {
+      control.value = value;
+    }
+  });
+}
+
+function setResizeOptions(resize) {
+  resizeMode.value = resize ? resize.mode : 'none';
+  if (resize) {
+    resizeWidth.value = resize.width || '';
+    resizeHeight.value = resize.height || '';
+    if (resize.percent) resizePercent.value = resize.percent;
+    if (resize.longEdge) resizeLongEdge.value = resize.longEdge;
+    if (resize.kernel) resizeKernel.value = resize.kernel;
+  }
+  updateResizeFields();
+}
+
+function updateTargetSizeFields() {
+  const enabled = targetSizeEnabled.checked;
+  targetSizeRow.hidden = !enabled;
+  allowDownscaleRow.hidden = !enabled;
+  qualitySlider.disabled = enabled;
+  qualityControl.classList.toggle('size-targeted', enabled);
+  qualityValue.textContent = enabled ? 'Auto' : `${qualitySlider.value}%`;
+  updateTargetSizeHint();
+}
+
+// main.js encodes lossy when a size budget is set, since quality cannot change lossless output
+function updateTargetSizeHint() {
+  const format = selectedFormat && !isAutoSelected() ? selectedFormat.format : null;
+  const lossless = Boolean(getTargetSize(format) && getEncoderOptions(format)?.lossless);
+  targetSizeHint.hidden = !lossless;
+}
+
+// Byte budget for the selected format, or null when quality is set by hand
+function getTargetSize(format) {
+  if (!targetSizeEnabled.checked || !TARGET_SIZE_FORMATS.includes(format)) return null;
+  const kilobytes = parseFloat(targetSizeValue.value);
+  if (!Number.isFinite(kilobytes) || kilobytes <= 0) return null;
+  return Math.round(kilobytes * 1024);
+}
+
+function getResizeOptions() {
+  const mode = resizeMode.value;
+  if (mode === 'none') return null;
+  return {
+    mode,
+    width: resizeWidth.value || null,
+    height: resizeHeight.value || null,
+    percent: resizePercent.value || null,
+    longEdge: resizeLongEdge.value || null,
+    kernel: resizeKernel.value
+  };
+}
+
+function loadImageElement(src) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => {
+      if (!img.naturalWidth || !img.naturalHeight) {
+        reject(new Error('Image has invalid dimensions (0x0)'));
+        return;
+      }
+      resolve(img);
+    };
+    img.onerror = () => {
+      reject(new Error('Failed to load image data. The file may be corrupted or unsupported.'));
+    };
+    img.src = src;
+  });
+}
+
+// Batch Queue
+function isBatchMode() {
+  return batchQueue.length > 0;
+}
+
+async function addFilesToBatch(filePaths) {
+  if (batchRunning) {
+    showStatus('Batch conversion in progress', 'info');
+    return;
+  }
+
+  if (!filePaths || filePaths.length === 0) {
+    logger.warn('Dropped items have no file paths');
+    showStatus('Could not read the dropped items', 'error');
+    return;
+  }
+
+  showProcessing(true, 'Collecting images...');
+
+  let files;
+  try {
+    const result = await ipcRenderer.invoke('collect-image-files', {
+      paths: filePaths,
+      recursive: recursiveFolders.checked
+    });
+    files = result?.files || [];
+  } catch (err) {
+    logger.error('Failed to collect images for batch', { count: filePaths.length }, err);
+    showStatus('Failed to read the dropped items', 'error');
+    showProcessing(false);
+    return;
+  }
+
+  showProcessing(false);
+
+  if (files.length === 0) {
+    logger.warn('No supported images found', { paths: filePaths });
+    showStatus('No supported images found', 'error');
+    return;
+  }
+
+  if (!isBatchMode()) {
+    clearLoadedImage();
+  }
+
+  const path = require('path');
+  const queued = new Set(batchQueue.map(item => item.filePath));
+  const added = files.filter(filePath => !queued.has(filePath));
+  added.forEach(filePath => {
+    batchQueue.push({
+      filePath,
+      name: path.basename(filePath),
+      status: 'pending',
+      error: null,
+      outputPath: null,
+      element: null
+    });
+  });
+
+  renderBatchQueue();
+  enableFormatButtons();
+  logger.info('Batch queue updated', { added: added.length, total: batchQueue.length });
+  showStatus(`${batchQueue.length} image${batchQueue.length === 1 ? '' : 's'} queued`, 'success');
+}
+
+function renderBatchQueue() {
+  previewContainer.hidden = true;
+  dropZone.querySelector('.drop-content').hidden = true;
+  batchContainer.hidden = false;
+  updateAnimationControl();
+  updateRasterizeControl();
+
+  batchList.innerHTML = '';
+  batchQueue.forEach(item => {
+    const element = document.createElement('li');
+    element.className = 'batch-item';
+
+    const nameEl = document.createElement('span');
+    nameEl.className = 'batch-item-name';
+    nameEl.textContent = item.name;
+
+    const statusEl = document.createElement('span');
+    statusEl.className = 'batch-item-status';
+
+    element.append(nameEl, statusEl);
+    batchList.appendChild(element);
+    item.element = element;
+    setBatchItemStatus(item, item.status, item.error);
+  });
+
+  const count = batchQueue.length;
+  batchSubtitle.textContent = `${count} file${count === 1 ? '' : 's'}`;
+  batchSummary.hidden = true;
+  batchOpenFolderBtn.hidden = true;
+  updateBatchProgress(0);
+  batchProgressText.textContent = 'Pick a target format to convert all files.';
+
+  if (selectedFormat) {
+    updateConvertButtonLabel();
+  }
+}
+
+function setBatchItemStatus(item, status, error = null) {
+  item.status = status;
+  item.error = error;
+  if (!item.element) return;
+  item.element.dataset.status = status;
+  item.element.title = error ? `${item.filePath}\n${error}` : item.filePath;
+  item.element.querySelector('.batch-item-status').textContent = BATCH_STATUS_LABELS[status] || status;
+}
+
+function updateBatchProgress(completed) {
+  const total = batchQueue.length;
+  const percent = total ? Math.round((completed / total) * 100) : 0;
+  batchProgressBar.style.width = `${percent}%`;
+  batchProgressText.textContent = `${completed} of ${total} processed (${percent}%)`;
+}
+
+function setBatchControlsDisabled(disabled) {
+  if (disabled) {
+    formatCards.forEach(btn => {
+      btn.disabled = true;
+    });
+  } else {
+    // Auto stays unavailable for the queue
+    enableFormatButtons();
+  }
+  convertBtn.disabled = disabled;
+  batchClearBtn.disabled = disabled;
+  recursiveFolders.disabled = disabled;
+}
+
+async function decodeBatchSource(file, filePath) {
+  if (heicDecoder && (heicDecoder.isHeicFile(file) || heicDecoder.isAvifFile(file))) {
+    const validation = heicDecoder.validateFile(file);
+    if (!validation.valid) {
+      throw new Error(validation.error);
+    }
+    return heicDecoder.decode(file, null, { orientation: await loadOrientation(filePath) });
+  }
+
+  if (isTiffFile(file) || isJxlFile(file) || isBmpFile(file) || isCameraRawFile(file) || isDocumentFile(file)) {
+    const result = await ipcRenderer.invoke('decode-image', { filePath, rasterize: getRasterizeOptions() });
+    if (!result || !result.dataUrl) {
+      throw new Error(`${getSharpDecodedName(file)} decoder returned empty result`);
+    }
+    return loadImageElement(result.dataUrl);
+  }
+
+  const url = URL.createObjectURL(file);
+  try {
+    return await loadImageElement(url);
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+async function convertBatchItem(item, format, extension, settings, outputDirectory) {
+  const startTime = Date.now();
+  const path = require('path');
+  const sourceFormat = path.extname(item.name).replace('.', '').toUpperCase() || 'UNKNOWN';
+
+  try {
+    const baseName = item.name.replace(/\.[^/.]+$/, '');
+    let dimensions = null;
+
+    const result = await saveConvertedImage({
+      defaultName: `${baseName}.${extension}`,
+      targetFormat: format,
+      quality: settings.quality,
+      resize: settings.resize,
+      metadata: settings.metadata,
+      orientation: settings.orientation,
+      color: settings.color,
+      encoder: settings.encoder,
+      targetSize: settings.targetSize,
+      allowDownscale: settings.allowDownscale,
+      animation: settings.animation,
+      rasterize: settings.rasterize,
+      sourcePath: item.filePath,
+      outputDirectory
+    }, async () => {
+      const file = createFileFromPath(item.filePath);
+      const source = await decodeBatchSource(file, item.filePath);
+      const canvas = renderExportCanvas(source, format);
+      dimensions = `${canvas.width}x${canvas.height}`;
+      return { dataUrl: canvasToDataUrl(canvas), sourceColors: hasSourceColors(source) };
+    });
+
+    if (!result || !result.success) {
+      throw new Error(result?.error || 'Failed to save file');
+    }
+
+    logger.logConversion(
+      sourceFormat,
+      format.toUpperCase(),
+      item.name,
+      result.size,
+      result.dimensions || dimensions,
+      Date.now() - startTime,
+      true
+    );
+    return result.path;
+  } catch (err) {
+    logger.logConversion(
+      sourceFormat,
+      format.toUpperCase(),
+      item.name,
+      null,
+      null,
+      Date.now() - startTime,
+      false,
+      err
+    );
+    throw err;
+  }
+}
+
+async function runBatchConversion() {
+  if (batchRunning || !selectedFormat || !isBatchMode()) return;
+
+  if (!getColorProfile()) {
+    showStatus('Choose an ICC profile for the custom color option', 'error');
+    return;
+  }
+  if (!hasIconSizes(selectedFormat.format)) {
+    showStatus('Choose at least one icon size', 'error');
+    return;
+  }
+
+  const { format } = selectedFormat;
+  const extension = selectedFormat.extension || format;
+  const settings = {
+    quality: getTargetQuality(format),
+    resize: getResizeOptions(),
+    metadata: metadataPolicy.value,
+    orientation: orientationMode.value,
+    color: getColorProfile(),
+    encoder: getEncoderOptions(format),
+    targetSize: getTargetSize(format),
+    allowDownscale: allowDownscale.checked,
+    animation: animationMode.value,
+    rasterize: getRasterizeOptions()
+  };
+
+  if (format === 'pdf') {
+    await runPdfDocumentExport(settings);
+    return;
+  }
+
+  const choice = await ipcRenderer.invoke('choose-output-directory');
+  if (!choice || choice.canceled || !choice.directory) {
+    showStatus('Batch conversion cancelled', 'info');
+    logger.info('Batch output folder selection cancelled');
+    return;
+  }
+
+  const outputDirectory = choice.directory;
+  const total = batchQueue.length;
+  const startTime = Date.now();
+  let succeeded = 0;
+  let failed = 0;
+
+  batchRunning = true;
+  setBatchControlsDisabled(true);
+  batchSummary.hidden = true;
+  batchOpenFolderBtn.hidden = true;
+  batchQueue.forEach(item => {
+    item.outputPath = null;
+    setBatchItemStatus(item, 'pending');
+  });
+  updateBatchProgress(0);
+
+  logger.info('Starting batch conversion', {
+    targetFormat: format.toUpperCase(),
+    ...settings,
+    files: total,
+    outputDirectory
   });
 
-  // Use requestAnimationFrame to allow UI to update
-  requestAnimationFrame(() => {
+  for (let index = 0; index < total; index++) {
+    const item = batchQueue[index];
+    setBatchItemStatus(item, 'converting');
+    item.element.scrollIntoView({ block: 'nearest' });
+    showStatus(`Converting ${index + 1} of ${total}: ${item.name}`, 'info');
+
     try {
-      let canvas;
-      
-      // Use existing canvas if available (HEIC/AVIF), otherwise create new
-      if (currentCanvas) {
-        if (format === 'jpeg' || format === 'bmp') {
-          canvas = document.createElement('canvas');
-          const ctx = canvas.getContext('2d');
-
-          if (!ctx) {
-            throw new Error('Failed to create canvas context');
-          }
-
-          canvas.width = currentCanvas.width;
-          canvas.height = currentCanvas.height;
-
-          if (canvas.width === 0 || canvas.height === 0) {
-            throw new Error('Canvas has invalid dimensions (0x0)');
-          }
-
-          ctx.fillStyle = '#FFFFFF';
-          ctx.fillRect(0, 0, canvas.width, canvas.height);
-          ctx.drawImage(currentCanvas, 0, 0);
-        } else {
-          canvas = currentCanvas;
-        }
-      } else {
-        canvas = document.createElement('canvas');
-        const ctx = canvas.getContext('2d');
-        
-        if (!ctx) {
-          throw new Error('Failed to create canvas context');
-        }
-        
-        canvas.width = currentImage.naturalWidth;
-        canvas.height = currentImage.naturalHeight;
-        
-        // Validate canvas dimensions
-        if (canvas.width === 0 || canvas.height === 0) {
-          throw new Error('Canvas has invalid dimensions (0x0)');
-        }
-        
-        // Fill white background for JPEG (handles transparency)
-        if (format === 'jpeg' || format === 'bmp') {
-          ctx.fillStyle = '#FFFFFF';
-          ctx.fillRect(0, 0, canvas.width, canvas.height);
-        }
-        
-        ctx.drawImage(currentImage, 0, 0);
-      }
+      item.outputPath = await convertBatchItem(item, format, extension, settings, outputDirectory);
+      succeeded += 1;
+      setBatchItemStatus(item, 'done');
+    } catch (err) {
+      failed += 1;
+      setBatchItemStatus(item, 'failed', err.message || 'Unknown error');
+    }
 
-      // Get quality for formats that support it
-      let targetQuality = undefined;
-      if (selectedFormat && selectedFormat.format === format && selectedFormat.quality) {
-        targetQuality = parseInt(qualitySlider.value, 10);
-        if (Number.isNaN(targetQuality) || targetQuality < 1 || targetQuality > 100) {
-          targetQuality = 90; // Fallback to 90%
-        }
-      }
+    updateBatchProgress(index + 1);
+  }
 
-      // Convert to base PNG for encoder pipeline
-      let dataUrl;
-      try {
-        dataUrl = canvas.toDataURL('image/png');
-      } catch (err) {
-        throw new Error(`Canvas export failed: ${err.message}. The image may be too large.`);
-      }
-      
-      // Validate data URL was created
-      if (!dataUrl || !dataUrl.startsWith('data:')) {
-        throw new Error('Failed to generate image data');
-      }
-      
-      // Generate default filename
-      const originalName = currentFileName.replace(/\.[^/.]+$/, '');
-      const extension = selectedFormat?.extension || (format === 'jpeg' ? 'jpg' : format);
-      const defaultName = `${originalName}_converted.${extension}`;
-      
+  batchRunning = false;
+  setBatchControlsDisabled(false);
+  showBatchSummary(succeeded, failed, Date.now() - startTime);
+}
 
-      // Save via main process
-      ipcRenderer.invoke('save-image', {
-        dataUrl,
-        defaultName,
-        targetFormat: format,
-        quality: targetQuality
-      })
-        .then(result => {
-          const duration = Date.now() - startTime;
-          
-          if (result.success) {
-            showStatus(`Saved: ${result.path}`, 'success');
-            logger.logConversion(
-              sourceFormat,
-              format.toUpperCase(),
-              currentFileName,
-              result.size,
-              `${canvas.width}x${canvas.height}`,
-              duration,
-              true
-            );
-          } else {
-            showStatus('Save cancelled', 'info');
-            logger.info('Save cancelled by user', { fileName: defaultName });
-          }
-          showProcessing(false);
-        })
-        .catch(err => {
-          const duration = Date.now() - startTime;
-          console.error('Save error:', err);
-          let errorMsg = 'Failed to save file';
-          if (err.message) {
-            errorMsg += `: ${err.message}`;
-          }
-          showStatus(errorMsg, 'error');
-          logger.logConversion(
-            sourceFormat,
-            format.toUpperCase(),
-            currentFileName,
-            null,
-            null,
-            duration,
-            false,
-            err
-          );
-          showProcessing(false);
-        });
+// Render one queued image as a PDF page, falling back to canvas pixels like saveConvertedImage
+async function renderPdfDocumentPage(item, settings) {
+  const payload = {
+    quality: settings.quality,
+    resize: settings.resize,
+    rasterize: settings.rasterize,
+    sourcePath: item.filePath
+  };
+  let result = await ipcRenderer.invoke('render-pdf-page', payload);
+  if (result && result.code === 'SOURCE_UNREADABLE') {
+    logger.info('Source not decodable in main process, using canvas fallback', {
+      sourcePath: item.filePath
+    });
+    const file = createFileFromPath(item.filePath);
+    const source = await decodeBatchSource(file, item.filePath);
+    const canvas = renderExportCanvas(source, 'pdf');
+    result = await ipcRenderer.invoke('render-pdf-page', {
+      ...payload,
+      dataUrl: canvasToDataUrl(canvas),
+      sourceColors: hasSourceColors(source)
+    });
+  }
+  if (!result || !result.success) {
+    throw new Error(result?.error || 'Failed to render page');
+  }
+  return result;
+}
+
+// Batch PDF export: every queued image becomes one page of a single document
+async function runPdfDocumentExport(settings) {
+  const choice = await ipcRenderer.invoke('choose-pdf-output', { defaultName: 'images.pdf' });
+  if (!choice || choice.canceled || !choice.filePath) {
+    showStatus('PDF export cancelled', 'info');
+    logger.info('PDF output file selection cancelled');
+    return;
+  }
+
+  const outputPath = choice.filePath;
+  const total = batchQueue.length;
+  const startTime = Date.now();
+  const rendered = [];
+  let failed = 0;
+
+  batchRunning = true;
+  setBatchControlsDisabled(true);
+  batchSummary.hidden = true;
+  batchOpenFolderBtn.hidden = true;
+  batchQueue.forEach(item => {
+    item.outputPath = null;
+    setBatchItemStatus(item, 'pending');
+  });
+  updateBatchProgress(0);
+
+  logger.info('Starting PDF document export', {
+    ...settings,
+    files: total,
+    outputPath
+  });
+
+  for (let index = 0; index < total; index++) {
+    const item = batchQueue[index];
+    setBatchItemStatus(item, 'converting');
+    item.element.scrollIntoView({ block: 'nearest' });
+    showStatus(`Adding page ${index + 1} of ${total}: ${item.name}`, 'info');
+
+    try {
+      const result = await renderPdfDocumentPage(item, settings);
+      rendered.push({ item, page: result.page });
+      setBatchItemStatus(item, 'done');
     } catch (err) {
-      const duration = Date.now() - startTime;
-      console.error('Conversion error:', err);
-      showStatus(`Conversion failed: ${err.message || 'Unknown error'}`, 'error');
-      logger.logConversion(
-        sourceFormat,
-        format.toUpperCase(),
-        currentFileName,
-        null,
-        null,
-        duration,
-        false,
-        err
-      );
-      showProcessing(false);
+      failed += 1;
+      logger.error('Failed to add image to PDF', { file: item.name, error: err.message });
+      setBatchItemStatus(item, 'failed', err.message || 'Unknown error');
     }
-  });
+
+    updateBatchProgress(index + 1);
+  }
+
+  let succeeded = 0;
+  if (rendered.length > 0) {
+    showStatus(`Writing ${rendered.length}-page PDF...`, 'info');
+    const result = await ipcRenderer.invoke('write-pdf-document', {
+      outputPath,
+      pages: rendered.map(entry => entry.page),
+      encoder: settings.encoder
+    });
+    if (result && result.success) {
+      succeeded = rendered.length;
+      rendered.forEach(({ item }) => {
+        item.outputPath = result.path;
+      });
+      logger.success('PDF document saved', { path: result.path, size: formatBytes(result.size), pages: result.pages });
+    } else {
+      failed += rendered.length;
+      rendered.forEach(({ item }) => setBatchItemStatus(item, 'failed', result?.error || 'Failed to write the PDF'));
+    }
+  }
+
+  batchRunning = false;
+  setBatchControlsDisabled(false);
+  showBatchSummary(succeeded, failed, Date.now() - startTime);
+}
+
+function showBatchSummary(succeeded, failed, duration) {
+  const seconds = (duration / 1000).toFixed(1);
+  const failureNote = failed > 0 ? ' Hover a failed item to see why.' : '';
+  batchSummary.textContent = `${succeeded} converted, ${failed} failed in ${seconds}s.${failureNote}`;
+  batchSummary.classList.toggle('has-failures', failed > 0);
+  batchSummary.hidden = false;
+  batchOpenFolderBtn.hidden = succeeded === 0;
+
+  const details = { succeeded, failed, duration: `${duration}ms` };
+  if (failed === 0) {
+    logger.success('Batch conversion completed', details);
+    showStatus(`Batch complete: ${succeeded} converted`, 'success');
+  } else {
+    logger.warn('Batch conversion completed with failures', details);
+    showStatus(`Batch complete: ${succeeded} converted, ${failed} failed`, succeeded > 0 ? 'info' : 'error');
+  }
+}
+
+function clearBatchQueue() {
+  batchQueue = [];
+  batchList.innerHTML = '';
+  batchSummary.hidden = true;
+  batchOpenFolderBtn.hidden = true;
+  batchContainer.hidden = true;
 }
 
 function showStatus(message, type = 'info') {
@@ -1112,13 +3501,246 @@ function showProcessing(show, message = '') {
   }
 }
 
+// Quality Metrics
+// Two images loaded side by side in the metrics modal, decoded like batch items
+const metricsSources = { reference: null, candidate: null };
+let metricsPixels = null;
+let metricsReport = null;
+
+function getMetricsSlot(role) {
+  return metricsModal.querySelector(`.metrics-slot[data-role="${role}"]`);
+}
+
+function setMetricsStatus(message, isError = false) {
+  metricsStatus.textContent = message;
+  metricsStatus.classList.toggle('error', isError);
+}
+
+async function chooseMetricsSource(role) {
+  const result = await ipcRenderer.invoke('show-open-dialog');
+  if (result && !result.canceled && result.filePaths && result.filePaths.length > 0) {
+    loadMetricsSource(role, result.filePaths[0]);
+  }
+}
+
+// Whether any pixel is less than fully opaque
+function hasTransparency(data) {
+  for (let i = 3; i < data.length; i += 4) {
+    if (data[i] < 255) return true;
+  }
+  return false;
+}
+
+async function loadMetricsSource(role, filePath) {
+  const path = require('path');
+  const slot = getMetricsSlot(role);
+  const name = path.basename(filePath);
+  slot.querySelector('.metrics-slot-name').textContent = name;
+  slot.querySelector('.metrics-slot-name').title = filePath;
+  slot.querySelector('.metrics-slot-meta').textContent = 'Decoding...';
+  metricsSources[role] = null;
+  updateMetricsReport();
+
+  try {
+    const file = createFileFromPath(filePath);
+    const source = await decodeBatchSource(file, filePath);
+    // A newer file may have been dropped on the slot while this one decoded
+    if (slot.querySelector('.metrics-slot-name').title !== filePath) return;
+
+    const canvas = renderExportCanvas(source, 'png');
+    const data = canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height).data;
+    const format = MIME_FORMATS[file.type] || null;
+    metricsSources[role] = {
+      name,
+      filePath,
+      format: format ? FORMAT_NAMES[format] || format.toUpperCase() : 'Unknown',
+      width: canvas.width,
+      height: canvas.height,
+      hasAlpha: hasTransparency(data),
+      canvas
+    };
+    slot.querySelector('.metrics-slot-meta').textContent =
+      `${metricsSources[role].format} · ${canvas.width}x${canvas.height}${metricsSources[role].hasAlpha ? ' · alpha' : ''}`;
+    logger.info('Metrics source loaded', { role, fileName: name, width: canvas.width, height: canvas.height });
+  } catch (err) {
+    slot.querySelector('.metrics-slot-meta').textContent = 'Could not decode this file';
+    logger.error('Failed to decode metrics source', { role, fileName: name }, err);
+  }
+  updateMetricsReport();
+}
+
+// Candidate pixels at the reference size; a differently sized candidate is scaled to fit
+function getCandidatePixels(candidate, width, height) {
+  if (candidate.width === width && candidate.height === height) {
+    return candidate.canvas.getContext('2d').getImageData(0, 0, width, height).data;
+  }
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  ctx.imageSmoothingQuality = 'high';
+  ctx.drawImage(candidate.canvas, 0, 0, width, height);
+  return ctx.getImageData(0, 0, width, height).data;
+}
+
+// Dimension and alpha differences that make the numbers need a second look
+function getMetricsFlags(reference, candidate) {
+  const flags = [];
+  if (reference.width !== candidate.width || reference.height !== candidate.height) {
+    flags.push({
+      type: 'dimensions',
+      message: `Dimensions differ: the reference is ${reference.width}x${reference.height} and the candidate is ` +
+        `${candidate.width}x${candidate.height}. The candidate was scaled to the reference size before measuring.`
+    });
+  }
+  if (reference.hasAlpha !== candidate.hasAlpha) {
+    const [transparent, opaque] = reference.hasAlpha ? ['reference', 'candidate'] : ['candidate', 'reference'];
+    flags.push({
+      type: 'alpha',
+      message: `Alpha differs: the ${transparent} has transparency and the ${opaque} is opaque. ` +
+        'Colors are compared over white.'
+    });
+  }
+  return flags;
+}
+
+function formatPsnr(psnr) {
+  return Number.isFinite(psnr) ? `${psnr.toFixed(2)} dB` : 'Infinite (identical)';
+}
+
+function describeMetricsSource(source) {
+  return {
+    name: source.name,
+    path: source.filePath,
+    format: source.format,
+    width: source.width,
+    height: source.height,
+    hasAlpha: source.hasAlpha
+  };
+}
+
+function updateMetricsReport() {
+  const { reference, candidate } = metricsSources;
+  metricsPixels = null;
+  metricsReport = null;
+  if (!reference || !candidate) {
+    metricsResults.hidden = true;
+    setMetricsStatus('Load a reference and a candidate to measure the difference between them.');
+    return;
+  }
+
+  const startTime = Date.now();
+  const info = { width: reference.width, height: reference.height, channels: 4 };
+  let metrics;
+  try {
+    const referenceData = reference.canvas.getContext('2d').getImageData(0, 0, info.width, info.height).data;
+    const candidateData = getCandidatePixels(candidate, info.width, info.height);
+    metrics = compareImages(referenceData, candidateData, info);
+    metricsPixels = { reference: referenceData, candidate: candidateData, info };
+  } catch (err) {
+    metricsResults.hidden = true;
+    setMetricsStatus(`Could not compare the images: ${err.message}`, true);
+    logger.error('Failed to compute quality metrics', null, err);
+    return;
+  }
+
+  const flags = getMetricsFlags(reference, candidate);
+  const pixelCount = info.width * info.height;
+  const changedPercent = (metrics.changedPixels / pixelCount) * 100;
+  const showAlpha = reference.hasAlpha || candidate.hasAlpha;
+  const rows = [
+    ['PSNR', formatPsnr(metrics.psnr)],
+    ['SSIM', metrics.ssim.toFixed(4)],
+    ['Max channel error', `${metrics.maxError} / 255`],
+    ['Mean channel error', metrics.meanError.toFixed(2)],
+    ...(showAlpha ? [['Max alpha error', `${metrics.maxAlphaError} / 255`]] : []),
+    ['Changed pixels', `${metrics.changedPixels.toLocaleString()} (${changedPercent.toFixed(2)}%)`]
+  ];
+
+  metricsTableBody.replaceChildren(...rows.map(([label, value]) => {
+    const row = document.createElement('tr');
+    const name = document.createElement('th');
+    const cell = document.createElement('td');
+    name.textContent = label;
+    cell.textContent = value;
+    row.append(name, cell);
+    return row;
+  }));
+  metricsFlags.replaceChildren(...flags.map(flag => {
+    const item = document.createElement('li');
+    item.textContent = flag.message;
+    return item;
+  }));
+
+  metricsImage.width = info.width;
+  metricsImage.height = info.height;
+  metricsImage.getContext('2d').drawImage(reference.canvas, 0, 0);
+  drawMetricsHeatmap();
+  metricsResults.hidden = false;
+  setMetricsStatus(metrics.changedPixels === 0
+    ? 'The images are pixel-identical.'
+    : 'Highlighted areas differ; raise the gain to see small differences.');
+
+  metricsReport = {
+    generatedAt: new Date().toISOString(),
+    reference: describeMetricsSource(reference),
+    candidate: describeMetricsSource(candidate),
+    comparedSize: { width: info.width, height: info.height },
+    metrics: {
+      // JSON has no Infinity; identical images report a null PSNR
+      psnr: Number.isFinite(metrics.psnr) ? Number(metrics.psnr.toFixed(4)) : null,
+      ssim: Number(metrics.ssim.toFixed(6)),
+      maxChannelError: metrics.maxError,
+      meanChannelError: Number(metrics.meanError.toFixed(4)),
+      maxAlphaError: metrics.maxAlphaError,
+      changedPixels: metrics.changedPixels,
+      changedPercent: Number(changedPercent.toFixed(4)),
+      identical: metrics.changedPixels === 0
+    },
+    flags
+  };
+  logger.info('Quality metrics computed', {
+    psnr: formatPsnr(metrics.psnr),
+    ssim: metrics.ssim.toFixed(4),
+    maxError: metrics.maxError,
+    flags: flags.map(flag => flag.type),
+    duration: `${Date.now() - startTime}ms`
+  });
+}
+
+function drawMetricsHeatmap() {
+  if (!metricsPixels) return;
+  const { reference, candidate, info } = metricsPixels;
+  const heatmap = diffHeatmap(reference, candidate, info, Number(metricsGain.value));
+  metricsHeatmap.width = info.width;
+  metricsHeatmap.height = info.height;
+  metricsHeatmap.getContext('2d').putImageData(new ImageData(heatmap, info.width, info.height), 0, 0);
+  metricsHeatmap.hidden = !metricsHeatmapToggle.checked;
+}
+
+async function exportMetricsReport() {
+  if (!metricsReport) return;
+  const baseName = name => name.replace(/\.[^/.]+$/, '');
+  const result = await ipcRenderer.invoke('export-metrics-report', {
+    report: metricsReport,
+    defaultName: `${baseName(metricsReport.reference.name)}-vs-${baseName(metricsReport.candidate.name)}.json`
+  });
+  if (result.cancelled) return;
+  if (!result.success) {
+    setMetricsStatus(`Could not export the report: ${result.error}`, true);
+    return;
+  }
+  setMetricsStatus(`Report saved to ${result.path}`);
+  logger.info('Quality report exported', { path: result.path });
+}
+
 // Keyboard shortcuts
 document.addEventListener('keydown', (e) => {
   // Escape to close modals or reset app
   if (e.key === 'Escape') {
     if (activeModal) {
       closeActiveModal();
-    } else {
+    } else if (!batchRunning) {
       resetApp();
     }
   }
@@ -1136,26 +3758,210 @@ document.addEventListener('keydown', (e) => {
   }
 });
 
-function resetApp() {
+function clearLoadedImage() {
   currentImage = null;
   currentFile = null;
   currentFileName = '';
   currentFileType = '';
   currentCanvas = null;
   currentFilePath = null;
+  currentAnimation = null;
+  currentOrientation = 1;
+  currentFormatWarning = null;
+  currentBitDepth = 8;
+  currentTransform = { rotate: 0, mirror: false, crop: null };
+  cropBox.hidden = true;
+  stopCompare();
+  compareBtn.disabled = true;
+  clearSizeEstimates();
   currentInfoPayload = null;
   currentInfoKey = null;
   previewImage.src = '';
   previewContainer.hidden = true;
+  disableInfoButton();
+  updateAnimationControl();
+  updateRasterizeControl();
+  updatePrecisionHint();
+  showPages([]);
+}
+
+function resetApp() {
+  clearLoadedImage();
+  clearBatchQueue();
   dropZone.querySelector('.drop-content').hidden = false;
   fileInput.value = '';
   disableFormatButtons();
-  disableInfoButton();
   showProcessing(false);
   showStatus('Ready');
   logger.info('App reset');
 }
 
+// Presets capture the selected format and every conversion setting in the panel
+function setPresetButtonsDisabled(disabled) {
+  presetList.querySelectorAll('.preset-apply').forEach(btn => {
+    btn.disabled = disabled;
+  });
+}
+
+function describePreset(preset) {
+  const parts = [preset.format.toUpperCase()];
+  if (preset.targetSize) {
+    parts.push(`under ${Math.round(preset.targetSize / 1024)} KB`);
+  } else if (preset.quality) {
+    parts.push(`quality ${preset.quality}`);
+  }
+  if (preset.resize) parts.push(`resize ${preset.resize.mode}`);
+  parts.push(`metadata ${preset.metadata}`);
+  if (preset.orientation === 'tag') parts.push('orientation tag');
+  if (preset.color && preset.color !== 'keep') {
+    parts.push(`color ${['srgb', 'p3'].includes(preset.color) ? preset.color : require('path').basename(preset.color)}`);
+  }
+  return parts.join(', ');
+}
+
+function renderPresets() {
+  presetList.innerHTML = '';
+  presetEmpty.hidden = presets.length > 0;
+  exportPresetsBtn.disabled = presets.length === 0;
+  const disabled = Array.from(formatCards).every(btn => btn.disabled);
+
+  presets.forEach(preset => {
+    const chip = document.createElement('span');
+    chip.className = 'preset-chip';
+
+    const applyBtn = document.createElement('button');
+    applyBtn.className = 'preset-apply';
+    applyBtn.textContent = preset.name;
+    applyBtn.title = describePreset(preset);
+    applyBtn.disabled = disabled;
+    applyBtn.addEventListener('click', () => applyPreset(preset));
+
+    const deleteBtn = document.createElement('button');
+    deleteBtn.className = 'preset-delete';
+    deleteBtn.textContent = '\u00d7';
+    deleteBtn.title = `Delete preset "${preset.name}"`;
+    deleteBtn.addEventListener('click', () => deletePreset(preset));
+
+    chip.appendChild(applyBtn);
+    chip.appendChild(deleteBtn);
+    presetList.appendChild(chip);
+  });
+}
+
+async function loadPresets() {
+  try {
+    const result = await ipcRenderer.invoke('get-presets');
+    presets = result.presets || [];
+  } catch (err) {
+    logger.error('Failed to load presets', { error: err.message }, err);
+    presets = [];
+  }
+  renderPresets();
+}
+
+function applyPreset(preset) {
+  if (batchRunning) return;
+  const card = Array.from(formatCards).find(btn => btn.dataset.format === preset.format);
+  if (!card || card.disabled) return;
+
+  selectFormat(card);
+  if (preset.quality) {
+    qualitySlider.value = preset.quality;
+    qualityValue.textContent = `${preset.quality}%`;
+  }
+  targetSizeEnabled.checked = Boolean(preset.targetSize);
+  if (preset.targetSize) {
+    targetSizeValue.value = Math.round(preset.targetSize / 1024);
+  }
+  allowDownscale.checked = Boolean(preset.allowDownscale);
+  updateTargetSizeFields();
+  setResizeOptions(preset.resize);
+  metadataPolicy.value = preset.metadata;
+  orientationMode.value = preset.orientation || 'bake';
+  setColorProfile(preset.color);
+  setEncoderOptions(preset.format, preset.encoder);
+  updateBitDepthOptions(preset.format);
+  updatePrecisionHint();
+  updateRepackHint();
+  scheduleSizeEstimates();
+  presetName.value = preset.name;
+
+  showStatus(`Preset applied: ${preset.name}`, 'info');
+  logger.info('Preset applied', { name: preset.name, format: preset.format });
+}
+
+async function saveCurrentPreset() {
+  if (!selectedFormat) return;
+  const name = presetName.value.trim();
+  if (!name) {
+    showStatus('Enter a name for the preset', 'error');
+    presetName.focus();
+    return;
+  }
+
+  const { format } = selectedFormat;
+  const result = await ipcRenderer.invoke('save-preset', {
+    name,
+    format,
+    quality: getTargetQuality(format),
+    resize: getResizeOptions(),
+    metadata: metadataPolicy.value,
+    orientation: orientationMode.value,
+    color: getColorProfile() || 'keep',
+    encoder: getEncoderOptions(format),
+    targetSize: getTargetSize(format),
+    allowDownscale: allowDownscale.checked
+  });
+
+  if (!result.success) {
+    showStatus(`Could not save preset: ${result.error}`, 'error');
+    logger.error('Failed to save preset', { name, error: result.error });
+    return;
+  }
+  presets = result.presets;
+  renderPresets();
+  showStatus(`Preset saved: ${name}`, 'success');
+  logger.info('Preset saved', { name, format });
+}
+
+async function deletePreset(preset) {
+  const result = await ipcRenderer.invoke('delete-preset', preset.name);
+  if (!result.success) {
+    showStatus(`Could not delete preset: ${result.error}`, 'error');
+    return;
+  }
+  presets = result.presets;
+  renderPresets();
+  showStatus(`Preset deleted: ${preset.name}`, 'info');
+  logger.info('Preset deleted', { name: preset.name });
+}
+
+async function importPresets() {
+  const result = await ipcRenderer.invoke('import-presets');
+  if (result.cancelled) return;
+  if (!result.success) {
+    showStatus(`Could not import presets: ${result.error}`, 'error');
+    logger.error('Failed to import presets', { error: result.error });
+    return;
+  }
+  presets = result.presets;
+  renderPresets();
+  const skippedNote = result.skipped.length ? `, ${result.skipped.length} skipped` : '';
+  showStatus(`Imported ${result.imported} preset${result.imported === 1 ? '' : 's'}${skippedNote}`, 'success');
+  logger.info('Presets imported', { imported: result.imported, skipped: result.skipped });
+}
+
+async function exportPresets() {
+  const result = await ipcRenderer.invoke('export-presets');
+  if (result.cancelled) return;
+  if (!result.success) {
+    showStatus(`Could not export presets: ${result.error}`, 'error');
+    return;
+  }
+  showStatus(`Exported ${result.count} presets to ${result.path}`, 'success');
+  logger.info('Presets exported', { path: result.path, count: result.count });
+}
+
 // Initialize on load
 document.addEventListener('DOMContentLoaded', () => {
   // Ensure processing overlay is hidden on start
@@ -1164,6 +3970,8 @@ document.addEventListener('DOMContentLoaded', () => {
   logger.info('Application started');
   
   initDecoder();
+  loadEncoderSupport();
+  loadPresets();
 });
 
 // Global error handlers
@@ -1198,38 +4006,25 @@ ipcRenderer.on('menu-open-info', () => {
   openInfoWindow();
 });
 
+ipcRenderer.on('menu-compare-images', () => {
+  logger.info('Image comparison triggered from menu');
+  openModal(metricsModal);
+});
+
 ipcRenderer.on('menu-open-file', async () => {
   logger.info('Open file triggered from menu');
   try {
     const result = await ipcRenderer.invoke('show-open-dialog');
     if (result && !result.canceled && result.filePaths && result.filePaths.length > 0) {
+      if (result.filePaths.length > 1 || isBatchMode()) {
+        logger.info('Files selected from dialog', { count: result.filePaths.length });
+        addFilesToBatch(result.filePaths);
+        return;
+      }
+
       const filePath = result.filePaths[0];
       logger.info('File selected from dialog', { filePath });
-      
-      // Read the file and create a File object
-      const fs = require('fs');
-      const path = require('path');
-      const buffer = fs.readFileSync(filePath);
-      const fileName = path.basename(filePath);
-      const ext = path.extname(filePath).toLowerCase();
-      
-      // Map extension to MIME type
-      const mimeTypes = {
-        '.jpg': 'image/jpeg',
-        '.jpeg': 'image/jpeg',
-        '.png': 'image/png',
-        '.webp': 'image/webp',
-        '.gif': 'image/gif',
-        '.bmp': 'image/bmp',
-        '.tif': 'image/tiff',
-        '.tiff': 'image/tiff',
-        '.heic': 'image/heic',
-        '.heif': 'image/heif',
-        '.avif': 'image/avif'
-      };
-      
-      const file = new File([buffer], fileName, { type: mimeTypes[ext] || 'image/unknown' });
-      handleFile(file, filePath);
+      handleFile(createFileFromPath(filePath), filePath);
     }
   } catch (err) {
     logger.error('Failed to open file from dialog', null, err);